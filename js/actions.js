@@ -0,0 +1,85 @@
+/**
+ * Actions - Delegated click handling for markup built from templates
+ * Elements say what a click does with data-action="room.verb" and carry its
+ * arguments in other data-* attributes. One listener on the document runs the
+ * registered handler, so markup never needs inline onclick code.
+ * Images say what happens when they fail to load with data-error-action the same way.
+ */
+
+const Actions = {
+    // Handlers by action name
+    handlers: {},
+
+    /**
+     * Start handling clicks and load errors
+     * Runs before the router intercepts links, so action links are handled here
+     */
+    init() {
+        document.addEventListener('click', (event) => this.handle(event));
+
+        // Load errors don't bubble, so they are caught on their way down to the element
+        document.addEventListener('error', (event) => this.handleError(event), true);
+
+        console.log('Actions: Initialized');
+    },
+
+    /**
+     * Register action handlers
+     * Handlers receive the element's dataset, the click event and the element
+     * @param {Object<string, Function>} handlers - Handlers by action name
+     */
+    register(handlers) {
+        Object.entries(handlers).forEach(([name, handler]) => {
+            if (this.handlers[name]) {
+                console.warn(`Actions: Replacing handler for ${name}`);
+            }
+            this.handlers[name] = handler;
+        });
+    },
+
+    /**
+     * Run the action of the clicked element, if any
+     * @param {MouseEvent} event - Click event
+     */
+    handle(event) {
+        const element = event.target.closest && event.target.closest('[data-action]');
+        if (!element) return;
+
+        // Links keep opening in a new tab or window with a modifier key
+        if (element.matches('a[href]') && (event.button !== 0 ||
+            event.metaKey || event.ctrlKey || event.shiftKey || event.altKey)) {
+            return;
+        }
+
+        const { action } = element.dataset;
+        const handler = this.handlers[action];
+        if (!handler) {
+            console.warn(`Actions: No handler for ${action}`);
+            return;
+        }
+
+        event.preventDefault();
+        handler(element.dataset, event, element);
+    },
+
+    /**
+     * Run the error action of an element that failed to load, if any
+     * @param {Event} event - Error event
+     */
+    handleError(event) {
+        const element = event.target;
+        const action = element.dataset && element.dataset.errorAction;
+        if (!action) return;
+
+        const handler = this.handlers[action];
+        if (!handler) {
+            console.warn(`Actions: No handler for ${action}`);
+            return;
+        }
+
+        handler(element.dataset, event, element);
+    }
+};
+
+// Export to window for global access
+window.Actions = Actions;
@@ -8,6 +8,12 @@ const App = {
     isInitialized: false,
     isLoading: false,
 
+    // Initial navigation, settled once the first room is on screen, cancelled or failed
+    firstNavigation: null,
+
+    // Milliseconds from navigation start to the first room on screen before a warning is logged
+    firstRoomBudget: 1500,
+
     // Cached DOM elements for performance
     elements: {
         room: null,
@@ -44,8 +50,10 @@ const App = {
             // Mark as initialized
             this.isInitialized = true;
 
-            // Hide loading state
+            // The first room replaces the loading state; the rest of the museum loads behind it
+            await this.waitForFirstRoom(this.firstNavigation);
             this.hideGlobalLoading();
+            this.loadInBackground();
 
             console.log('App: Initialization complete');
 
@@ -83,20 +91,53 @@ const App = {
             ThemeManager.handleContrastPreference();
         }
 
+        // Site manifest (rooms, walls, controllers, data sources) - everything below is built from it
+        await SiteManifest.load();
+        if (window.Router) {
+            Router.applyManifest(SiteManifest);
+        }
+
+        // Head metadata (description, link previews, canonical) follows the route
+        if (window.HeadManager) {
+            HeadManager.init();
+        }
+
+        // Delegated clicks for data-action markup - before the router, so action links aren't navigated
+        if (window.Actions) {
+            Actions.init();
+        }
+
         // Router system (handles navigation) - Initialize after theme system
         if (window.Router) {
-            Router.init();
+            this.firstNavigation = Router.init();
             console.log('App: Router initialized');
         }
 
+        // Prefetch the rooms around the visitor while the browser is idle
+        if (window.ContentLoader) {
+            ContentLoader.initPrefetching();
+        }
+
+        // Shared room content, revalidated when the visitor returns to the tab
+        if (window.ContentRepository) {
+            ContentRepository.init();
+        }
+
         // Universal lightbox system (handles all content viewing)
         if (window.UniversalContentLightbox) {
             window.UniversalContentLightbox.init();
             console.log('App: Lightbox system initialized');
         }
 
-        // Initialize content controllers
-        await this.initializeControllers();
+        // Offline support: service worker, connection banner and saved-content checks
+        if (window.ConnectionManager) {
+            ConnectionManager.init();
+        }
+
+        // Guided tours drive the router and lightbox
+        if (window.TourPlayer) {
+            TourPlayer.init();
+        }
 
         // Setup UI controls
         this.setupControls();
@@ -104,9 +145,9 @@ const App = {
         // Setup sitemap system
         this.setupSitemap();
 
-        // Initialize search system (after controllers are loaded)
+        // Initialize search system; its index fills in with the background load
         if (window.SearchSystem) {
-            await window.SearchSystem.init();
+            window.SearchSystem.init();
             console.log('App: Search system initialized');
         }
 
@@ -114,58 +155,78 @@ const App = {
     },
 
     /**
-     * Initialize content controllers
+     * Resolve once the first navigation has settled
+     * A cancelled or failed navigation settles too, so the loading state never stays up.
+     * Logs the time-to-first-room, measured from navigation start, against firstRoomBudget
+     * @param {Promise<boolean|undefined>} navigation - Initial navigation from Router.init()
+     * @returns {Promise<void>}
      */
-    async initializeControllers() {
-        console.log('App: Initializing content controllers');
-
-        // Initialize Photography Controller
-        if (window.PhotographyController) {
-            await window.PhotographyController.init();
-            console.log('App: Photography Controller initialized');
+    async waitForFirstRoom(navigation) {
+        let outcome = 'First room';
+        try {
+            if ((await navigation) === false) {
+                outcome = 'First navigation cancelled';
+            }
+        } catch (error) {
+            console.error('App: First room failed to render:', error);
+            outcome = 'First room failed';
         }
 
-        // Initialize Writings Controller
-        if (window.WritingsController) {
-            await window.WritingsController.init();
-            console.log('App: Writings Controller initialized');
-        }
+        const elapsed = Math.round(performance.now());
+        performance.mark('first-room');
 
-        // Initialize Music Controller
-        if (window.MusicController) {
-            await window.MusicController.init();
-            console.log('App: Music Controller initialized');
+        if (elapsed > this.firstRoomBudget) {
+            console.warn(`App: ${outcome} after ${elapsed}ms, over the ${this.firstRoomBudget}ms budget`);
+        } else {
+            console.log(`App: ${outcome} after ${elapsed}ms (budget ${this.firstRoomBudget}ms)`);
         }
+    },
 
-        // Initialize Projects Controller
-        if (window.ProjectsController) {
-            await window.ProjectsController.init();
-            console.log('App: Projects Controller initialized');
-        }
+    /**
+     * Warm up controllers and the search index once the browser is idle
+     * Rooms entered before then load their own data on entry; in dev mode content is also checked
+     */
+    loadInBackground() {
+        const run = () => {
+            this.initializeControllers();
+            if (window.SearchSystem) {
+                window.SearchSystem.buildSearchIndex();
+            }
+            if (window.ContentValidator && window.ContentValidator.isDevMode()) {
+                window.ContentValidator.run();
+            }
+        };
 
-        // Initialize Curated Writings Controller
-        if (window.CuratedWritingsController) {
-            await window.CuratedWritingsController.init();
-            console.log('App: Curated Writings Controller initialized');
+        if ('requestIdleCallback' in window) {
+            window.requestIdleCallback(run, { timeout: 5000 });
+        } else {
+            setTimeout(run, 1000);
         }
+    },
 
-        // Initialize Curated Cinema Controller
-        if (window.CuratedCinemaController) {
-            await window.CuratedCinemaController.init();
-            console.log('App: Curated Cinema Controller initialized');
-        }
+    /**
+     * Initialize content controllers
+     * Loads the data of every room the site manifest marks for preloading, in parallel
+     */
+    async initializeControllers() {
+        console.log('App: Initializing content controllers');
 
-        // Initialize Curated Music Controller
-        if (window.CuratedMusicController) {
-            await window.CuratedMusicController.init();
-            console.log('App: Curated Music Controller initialized');
-        }
+        const rooms = SiteManifest.getControllerRooms().filter(room => room.preload);
 
-        // Initialize Curated Misc Controller
-        if (window.CuratedMiscController) {
-            await window.CuratedMiscController.init();
-            console.log('App: Curated Misc Controller initialized');
-        }
+        await Promise.all(rooms.map(async (room) => {
+            const controller = window[room.controller];
+            if (!controller || typeof controller.init !== 'function') {
+                console.warn(`App: Controller ${room.controller} for room "${room.id}" is not loaded`);
+                return;
+            }
+
+            try {
+                await controller.init();
+                console.log(`App: ${room.controller} initialized`);
+            } catch (error) {
+                console.error(`App: ${room.controller} failed to initialize:`, error);
+            }
+        }));
 
         console.log('App: All controllers initialized');
     },
@@ -249,6 +310,14 @@ const App = {
                     this.hideSitemap();
                 }
             });
+
+            // Let browser back/forward open and close the overlay
+            if (window.Router) {
+                Router.registerOverlay('sitemap', {
+                    close: () => this.hideSitemap(),
+                    restore: () => this.showSitemap()
+                });
+            }
         }
     },
 
@@ -279,6 +348,54 @@ const App = {
         });
 
         navigationRoot.appendChild(list);
+
+        if (window.TourPlayer && SiteManifest.tours.length > 0) {
+            navigationRoot.appendChild(this.createTourList(SiteManifest.tours));
+        }
+    },
+
+    /**
+     * Create the sitemap's list of guided tours
+     * @param {Array<Object>} tours - Tour entries from the site manifest
+     * @returns {HTMLElement}
+     */
+    createTourList(tours) {
+        const section = document.createElement('section');
+        section.className = 'sitemap-tours';
+
+        const heading = document.createElement('h2');
+        heading.textContent = 'Guided Tours';
+        section.appendChild(heading);
+
+        const list = document.createElement('ul');
+        list.className = 'sitemap-list';
+
+        tours.forEach((tour) => {
+            const item = document.createElement('li');
+            item.className = 'sitemap-item';
+
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'sitemap-link';
+            button.textContent = tour.title || tour.id;
+            // The tour's first navigation closes the sitemap
+            button.addEventListener('click', () => {
+                TourPlayer.start(tour.id);
+            });
+            item.appendChild(button);
+
+            if (tour.description) {
+                const description = document.createElement('span');
+                description.className = 'sitemap-description';
+                description.textContent = tour.description;
+                item.appendChild(description);
+            }
+
+            list.appendChild(item);
+        });
+
+        section.appendChild(list);
+        return section;
     },
 
     /**
@@ -341,10 +458,13 @@ const App = {
      * @param {string} route - Route to navigate to
      */
     navigateFromSitemap(route) {
+        // navigateTo closes the sitemap and replaces its history entry; dismissing it
+        // here as well would queue a Back that undoes the navigation
         if (Router) {
             Router.navigateTo(route);
+        } else {
+            this.hideSitemap();
         }
-        this.hideSitemap();
     },
 
     /**
@@ -366,6 +486,9 @@ const App = {
     showSitemap() {
         if (!this.elements.sitemap) return;
 
+        // Rooms list their sub-views once their controllers have loaded
+        this.generateSitemap();
+
         this.elements.sitemap.classList.remove('hidden');
         this.elements.sitemap.classList.add('entering');
 
@@ -378,15 +501,26 @@ const App = {
         setTimeout(() => {
             this.elements.sitemap.classList.remove('entering');
         }, 300);
+
+        // Record the overlay as a history entry
+        if (window.Router) {
+            Router.pushOverlay('sitemap');
+        }
     },
 
     /**
      * Hide sitemap overlay
      */
     hideSitemap() {
-        if (!this.elements.sitemap) return;
+        const sitemap = this.elements.sitemap;
+        if (!sitemap || sitemap.classList.contains('hidden') || sitemap.classList.contains('exiting')) return;
+
+        sitemap.classList.add('exiting');
 
-        this.elements.sitemap.classList.add('exiting');
+        // Step history back past the overlay entry
+        if (window.Router) {
+            Router.dismissOverlay('sitemap');
+        }
 
         // Match the CSS animation duration exactly
         setTimeout(() => {
@@ -464,26 +598,42 @@ const App = {
                     }
                     break;
 
-                // Arrow keys for navigation (if in gallery)
+                // Arrow keys page through a gallery only while it has focus
                 case 'arrowleft':
-                    if (ContentLoader && typeof ContentLoader.previousPhoto === 'function') {
+                    if (this.isGalleryFocused(event.target)) {
                         event.preventDefault();
                         ContentLoader.previousPhoto();
+                        return;
                     }
                     break;
 
                 case 'arrowright':
-                    if (ContentLoader && typeof ContentLoader.nextPhoto === 'function') {
+                    if (this.isGalleryFocused(event.target)) {
                         event.preventDefault();
                         ContentLoader.nextPhoto();
+                        return;
                     }
                     break;
             }
+
+            // Arrow keys move between walls, Enter activates, Backspace goes to the parent room
+            if (window.SpatialNavigation && SpatialNavigation.handleKey(event)) {
+                event.preventDefault();
+            }
         });
 
         console.log('App: Keyboard shortcuts setup complete');
     },
 
+    /**
+     * Check whether a ContentLoader gallery has focus
+     * @param {EventTarget} target - Keyboard event target
+     * @returns {boolean}
+     */
+    isGalleryFocused(target) {
+        return Boolean(window.ContentLoader && target.closest && target.closest('.photo-display'));
+    },
+
     /**
      * Setup global event listeners
      */
@@ -500,16 +650,7 @@ const App = {
             event.preventDefault(); // Prevent default browser error handling
         });
 
-        // Handle online/offline status
-        window.addEventListener('online', () => {
-            console.log('App: Connection restored');
-            this.hideGlobalError();
-        });
-
-        window.addEventListener('offline', () => {
-            console.log('App: Connection lost');
-            this.showGlobalError('No internet connection - some content may not load');
-        });
+        // Online/offline status is shown by the ConnectionManager's banner
 
         // Handle window resize for responsive adjustments
         window.addEventListener('resize', this.debounce(() => {
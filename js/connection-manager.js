@@ -0,0 +1,169 @@
+/**
+ * Connection Manager - Offline support for the museum
+ * Registers the service worker (sw.js), tells the visitor when the connection
+ * drops or returns, and knows which content is saved on this device
+ */
+
+const ConnectionManager = {
+    isOnline: true,
+    hideTimer: null,
+
+    // Seconds the "back online" banner stays up
+    restoredDuration: 4,
+
+    // DOM elements cache
+    elements: {
+        banner: null,
+        message: null,
+        action: null
+    },
+
+    /**
+     * Initialize offline support
+     */
+    init() {
+        this.isOnline = navigator.onLine !== false;
+        this.cacheElements();
+
+        this.elements.action?.addEventListener('click', () => {
+            this.hideBanner();
+            Router.navigateTo('/offline');
+        });
+
+        window.addEventListener('online', () => this.handleConnectionChange(true));
+        window.addEventListener('offline', () => this.handleConnectionChange(false));
+
+        if (!this.isOnline) {
+            this.showBanner(false);
+        }
+
+        // Precaching competes with the first room for bandwidth, so it waits for the page to load
+        if (document.readyState === 'complete') {
+            this.registerServiceWorker();
+        } else {
+            window.addEventListener('load', () => this.registerServiceWorker(), { once: true });
+        }
+
+        console.log('ConnectionManager: Initialized,', this.isOnline ? 'online' : 'offline');
+    },
+
+    /**
+     * Cache DOM elements
+     */
+    cacheElements() {
+        const banner = document.getElementById('connection-banner');
+
+        this.elements.banner = banner;
+        this.elements.message = banner?.querySelector('.connection-message');
+        this.elements.action = banner?.querySelector('.connection-action');
+    },
+
+    /**
+     * Register the service worker where the browser supports it
+     * @returns {Promise<void>}
+     */
+    async registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) {
+            console.log('ConnectionManager: Service workers are not supported');
+            return;
+        }
+
+        try {
+            // Relative to the document base, so it also works under a router base path
+            const registration = await navigator.serviceWorker.register('sw.js');
+            console.log('ConnectionManager: Service worker registered for', registration.scope);
+        } catch (error) {
+            console.error('ConnectionManager: Service worker registration failed:', error);
+        }
+    },
+
+    /**
+     * React to the connection dropping or returning
+     * @param {boolean} online - Whether the browser is online now
+     */
+    handleConnectionChange(online) {
+        if (online === this.isOnline) return;
+
+        this.isOnline = online;
+        console.log('ConnectionManager:', online ? 'Connection restored' : 'Connection lost');
+
+        this.showBanner(online);
+
+        // A room that couldn't be shown offline can load now
+        if (online && window.OfflineController) {
+            window.OfflineController.restoreRoom();
+        }
+    },
+
+    /**
+     * Show the connection banner; the "back online" banner hides itself
+     * @param {boolean} online - Whether the connection is back
+     */
+    showBanner(online) {
+        const { banner, message, action } = this.elements;
+        if (!banner) return;
+
+        clearTimeout(this.hideTimer);
+
+        banner.classList.toggle('offline', !online);
+        if (message) {
+            message.textContent = online
+                ? 'Back online.'
+                : "You're offline. Rooms saved on this device still open.";
+        }
+        if (action) {
+            action.classList.toggle('hidden', online);
+        }
+        banner.classList.remove('hidden');
+
+        if (online) {
+            this.hideTimer = setTimeout(() => this.hideBanner(), this.restoredDuration * 1000);
+        }
+    },
+
+    /**
+     * Hide the connection banner
+     */
+    hideBanner() {
+        clearTimeout(this.hideTimer);
+        this.elements.banner?.classList.add('hidden');
+    },
+
+    /**
+     * Check whether a file can be read without a connection
+     * @param {string} url - URL relative to the site root
+     * @returns {Promise<boolean>}
+     */
+    async isAvailable(url) {
+        if (window.ContentLoader && ContentLoader.cache.has(url)) {
+            return true;
+        }
+        if (!('caches' in window)) {
+            return false;
+        }
+
+        try {
+            return Boolean(await caches.match(url));
+        } catch (error) {
+            return false;
+        }
+    },
+
+    /**
+     * Check whether a manifest room can be shown without a connection
+     * Rooms without data sources only need the shell
+     * @param {string} roomId - Manifest room id
+     * @returns {Promise<boolean>}
+     */
+    async isRoomAvailable(roomId) {
+        const room = SiteManifest.getRoom(roomId);
+        if (!room) return false;
+
+        const sources = Object.values(room.data || {});
+        const available = await Promise.all(sources.map(url => this.isAvailable(url)));
+        return available.every(Boolean);
+    }
+};
+
+// Export to window for global access
+window.ConnectionManager = ConnectionManager;
@@ -7,8 +7,14 @@ const ContentLoader = {
     // Content cache for performance
     cache: new Map(),
 
-    // Loading state management
-    loadingStates: new Set(),
+    // Requests in flight keyed by URL, so prefetches and room loads share one fetch
+    requests: new Map(),
+
+    // ETag and Last-Modified of cached files keyed by URL, for revalidation
+    validators: new Map(),
+
+    // Thumbnails already requested by prefetching
+    prefetchedImages: new Set(),
 
     /**
      * Generate picture element with WebP and fallback support
@@ -16,18 +22,18 @@ const ContentLoader = {
      * @param {string} alt - Alt text for accessibility
      * @param {string} cssClass - CSS class for styling
      * @param {boolean} lazy - Enable lazy loading
+     * @returns {Object} Markup
      */
     generatePictureElement(filename, alt, cssClass = '', lazy = true) {
         const baseName = filename.replace(/\.(jpg|jpeg|png|webp)$/i, '');
-        const lazyAttr = lazy ? 'loading="lazy"' : '';
 
-        return `
+        return html`
             <picture class="${cssClass}">
                 <source srcset="content/photos/web/${baseName}.webp" type="image/webp">
                 <img src="content/photos/web/${baseName}.png"
                      alt="${alt}"
-                     ${lazyAttr}
-                     onerror="this.style.display='none'">
+                     loading="${lazy ? 'lazy' : 'eager'}"
+                     data-error-action="image.hide">
             </picture>
         `;
     },
@@ -36,8 +42,10 @@ const ContentLoader = {
      * Load and display markdown content
      * @param {string} path - Path to markdown file
      * @param {HTMLElement} element - Element to render content into
+     * @param {Object} options - Optional { signal } that aborts the load and skips rendering
      */
-    async loadContent(path, element) {
+    async loadContent(path, element, options = {}) {
+        const { signal = null } = options;
         const fullPath = `content/${path}`;
 
         try {
@@ -46,13 +54,13 @@ const ContentLoader = {
             // Check cache first
             if (this.cache.has(fullPath)) {
                 console.log(`ContentLoader: Loading from cache: ${fullPath}`);
-                this.renderMarkdown(this.cache.get(fullPath), element);
+                this.renderMarkdown(this.cache.get(fullPath), element, fullPath);
                 return;
             }
 
             console.log(`ContentLoader: Fetching content: ${fullPath}`);
 
-            const response = await fetch(fullPath);
+            const response = await fetch(fullPath, { signal });
             if (!response.ok) {
                 throw new Error(`Failed to load content: ${response.status}`);
             }
@@ -63,47 +71,27 @@ const ContentLoader = {
             this.cache.set(fullPath, markdown);
 
             // Render the content
-            this.renderMarkdown(markdown, element);
+            this.renderMarkdown(markdown, element, fullPath);
 
         } catch (error) {
+            if (error.name === 'AbortError') {
+                console.log(`ContentLoader: Aborted ${fullPath}`);
+                return;
+            }
             console.error('ContentLoader: Error loading content:', error);
             this.showError(element, `Failed to load content: ${path}`);
         }
     },
 
-    /**
-     * Load and display blog post list
-     * @param {HTMLElement} element - Element to render list into
-     */
-    async loadBlogList(element) {
-        try {
-            this.showLoading(element);
-
-            const response = await fetch('content/writings/writings.json', {
-                cache: 'no-cache'
-            });
-
-            if (!response.ok) {
-                throw new Error(`Failed to load blog index: ${response.status}`);
-            }
-
-            const data = await response.json();
-            const posts = Array.isArray(data.articles) ? data.articles : [];
-
-            this.renderBlogList(posts, element);
-
-        } catch (error) {
-            console.error('ContentLoader: Error loading blog list:', error);
-            this.showError(element, 'Failed to load blog posts');
-        }
-    },
-
     /**
      * Load and display photo gallery
      * @param {string} jsonPath - Path to gallery JSON file
      * @param {HTMLElement} element - Element to render gallery into
+     * @param {Object} options - Optional { signal } that aborts the load and skips rendering
      */
-    async loadGallery(jsonPath, element) {
+    async loadGallery(jsonPath, element, options = {}) {
+        const { signal = null } = options;
+
         try {
             this.showLoading(element);
 
@@ -118,7 +106,7 @@ const ContentLoader = {
 
             console.log(`ContentLoader: Fetching gallery: ${fullPath}`);
 
-            const response = await fetch(fullPath);
+            const response = await fetch(fullPath, { signal });
             if (!response.ok) {
                 throw new Error(`Failed to load gallery: ${response.status}`);
             }
@@ -132,6 +120,10 @@ const ContentLoader = {
             this.renderGallery(galleryData, element);
 
         } catch (error) {
+            if (error.name === 'AbortError') {
+                console.log(`ContentLoader: Aborted gallery ${jsonPath}`);
+                return;
+            }
             console.error('ContentLoader: Error loading gallery:', error);
             this.showError(element, 'Failed to load gallery');
         }
@@ -141,34 +133,36 @@ const ContentLoader = {
      * Render markdown content with museum styling
      * @param {string} markdown - Markdown content to render
      * @param {HTMLElement} element - Element to render into
+     * @param {string} source - File the markdown came from, named in frontmatter errors
+     * @throws {Error} If the frontmatter is malformed
      */
-    renderMarkdown(markdown, element) {
+    renderMarkdown(markdown, element, source = 'markdown') {
         // Parse frontmatter if present
-        const { frontmatter, content } = this.parseFrontmatter(markdown);
+        const { frontmatter, content } = Frontmatter.parse(markdown, source);
 
-        // Convert markdown to HTML using the shared markdown parser
-        const htmlContent = (window.MarkdownParser && typeof window.MarkdownParser.parse === 'function')
-            ? window.MarkdownParser.parse(content)
-            : (window.marked && typeof window.marked.parse === 'function')
-                ? window.marked.parse(content)
-                : content;
+        // Convert markdown to sanitised HTML using the shared markdown parser
+        const body = document.createElement('div');
+        body.className = 'content-body';
+        body.innerHTML = MarkdownParser.parse(content);
 
-        // Create museum-style content display
-        let output = '';
+        // Create museum-style content display; frontmatter values are text, not markup
+        element.innerHTML = '';
 
         if (frontmatter.title) {
-            output += `<h2>${frontmatter.title}</h2>`;
+            const title = document.createElement('h2');
+            title.textContent = frontmatter.title;
+            element.appendChild(title);
         }
 
-        output += `<div class="content-body">${htmlContent}</div>`;
+        element.appendChild(body);
 
         if (frontmatter.date) {
-            const date = new Date(frontmatter.date).toLocaleDateString();
-            output += `<div class="museum-label">${date}</div>`;
+            const label = document.createElement('div');
+            label.className = 'museum-label';
+            label.textContent = new Date(frontmatter.date).toLocaleDateString();
+            element.appendChild(label);
         }
 
-        element.innerHTML = output;
-
         // Add content animation
         element.classList.add('content-enter');
         setTimeout(() => {
@@ -179,113 +173,6 @@ const ContentLoader = {
         this.setupLazyLoading(element);
     },
 
-    /**
-     * Render blog post list with navigation
-     * @param {Array} posts - Array of blog post objects
-     * @param {HTMLElement} element - Element to render into
-     */
-    renderBlogList(posts, element) {
-        element.innerHTML = '';
-
-        const heading = document.createElement('h2');
-        heading.textContent = 'Writings';
-        element.appendChild(heading);
-
-        const listWrapper = document.createElement('div');
-        listWrapper.className = 'blog-list';
-
-        const sortedPosts = [...posts].sort((a, b) => {
-            const dateA = new Date(a.date || 0).getTime();
-            const dateB = new Date(b.date || 0).getTime();
-            return dateB - dateA;
-        });
-
-        if (sortedPosts.length === 0) {
-            const emptyState = document.createElement('p');
-            emptyState.className = 'blog-empty';
-            emptyState.textContent = 'No writings published yet.';
-            listWrapper.appendChild(emptyState);
-        } else {
-            sortedPosts.forEach((post) => {
-                if (!post || !post.filename) {
-                    return;
-                }
-
-                const article = document.createElement('article');
-                article.className = 'blog-post-preview';
-                article.setAttribute('role', 'button');
-                article.tabIndex = 0;
-                article.dataset.filename = post.filename;
-
-                const title = document.createElement('h3');
-                title.textContent = post.title || post.filename;
-                article.appendChild(title);
-
-                if (post.excerpt) {
-                    const excerpt = document.createElement('p');
-                    excerpt.className = 'blog-excerpt';
-                    excerpt.textContent = post.excerpt;
-                    article.appendChild(excerpt);
-                }
-
-                if (post.date) {
-                    const time = document.createElement('time');
-                    const parsed = new Date(post.date);
-                    time.className = 'blog-date';
-
-                    if (!Number.isNaN(parsed.valueOf())) {
-                        time.dateTime = parsed.toISOString();
-                        time.textContent = parsed.toLocaleDateString();
-                    } else {
-                        time.textContent = post.date;
-                    }
-
-                    article.appendChild(time);
-                }
-
-                const activate = (event) => {
-                    event.preventDefault();
-                    this.loadBlogPost(post.filename);
-                };
-
-                article.addEventListener('click', activate);
-                article.addEventListener('keydown', (event) => {
-                    if (event.key === 'Enter' || event.key === ' ') {
-                        activate(event);
-                    }
-                });
-
-                listWrapper.appendChild(article);
-            });
-        }
-
-        element.appendChild(listWrapper);
-
-        const label = document.createElement('div');
-        label.className = 'museum-label';
-        label.textContent = 'personal writings';
-        element.appendChild(label);
-
-        element.classList.add('content-enter');
-        setTimeout(() => {
-            element.classList.remove('content-enter');
-        }, 400);
-    },
-
-    /**
-     * Load and display individual blog post
-     * @param {string} filename - Blog post filename
-     */
-    async loadBlogPost(filename) {
-        // Navigate to individual blog post route
-        // This would be implemented as a sub-route system
-        console.log(`Loading blog post: ${filename}`);
-
-        // For now, load directly into back wall
-        const backWall = document.querySelector('.back-wall .content-frame');
-        await this.loadContent(`blog/${filename}`, backWall);
-    },
-
     /**
      * Render photo gallery with navigation
      * @param {Object} galleryData - Gallery JSON data
@@ -310,21 +197,21 @@ const ContentLoader = {
      * @param {HTMLElement} element - Element to render into
      */
     renderPhoto(photo, element) {
-        const output = `
-            <div class="photo-display">
+        const output = html`
+            <div class="photo-display" tabindex="0" aria-label="Gallery, use the arrow keys to browse">
                 ${this.generatePictureElement(photo.filename, photo.title, 'gallery-image')}
 
                 <div class="photo-info">
                     <h3>${photo.title}</h3>
-                    ${photo.caption ? `<p>${photo.caption}</p>` : ''}
+                    ${photo.caption ? html`<p>${photo.caption}</p>` : ''}
                 </div>
 
                 <div class="gallery-controls">
-                    <button onclick="ContentLoader.previousPhoto()" class="control-btn">← Previous</button>
+                    <button data-action="gallery.previous" class="control-btn">← Previous</button>
                     <span class="photo-counter">
                         ${this.currentPhotoIndex + 1} of ${this.galleryPhotos.length}
                     </span>
-                    <button onclick="ContentLoader.nextPhoto()" class="control-btn">Next →</button>
+                    <button data-action="gallery.next" class="control-btn">Next →</button>
                 </div>
 
                 <div class="museum-label">
@@ -347,8 +234,7 @@ const ContentLoader = {
     nextPhoto() {
         if (this.currentPhotoIndex < this.galleryPhotos.length - 1) {
             this.currentPhotoIndex++;
-            const element = document.querySelector('.back-wall .content-frame');
-            this.renderPhoto(this.galleryPhotos[this.currentPhotoIndex], element);
+            this.showGalleryPhoto();
         }
     },
 
@@ -358,79 +244,22 @@ const ContentLoader = {
     previousPhoto() {
         if (this.currentPhotoIndex > 0) {
             this.currentPhotoIndex--;
-            const element = document.querySelector('.back-wall .content-frame');
-            this.renderPhoto(this.galleryPhotos[this.currentPhotoIndex], element);
+            this.showGalleryPhoto();
         }
     },
 
     /**
-     * Parse YAML frontmatter from markdown
-     * @param {string} markdown - Markdown content with potential frontmatter
-     * @returns {Object} { frontmatter, content }
+     * Render the current gallery photo, keeping keyboard focus on the gallery
      */
-    parseFrontmatter(markdown) {
-        const frontmatterRegex = /^---\s*\n([\s\S]*?)\n---\s*\n?/;
-        const match = markdown.match(frontmatterRegex);
-
-        if (!match) {
-            return { frontmatter: {}, content: markdown };
-        }
-
-        const frontmatterText = match[1];
-        const content = markdown.slice(match[0].length);
-
-        const frontmatter = {};
-        const lines = frontmatterText.split(/\r?\n/);
-        let currentKey = null;
+    showGalleryPhoto() {
+        const element = document.querySelector('.back-wall .content-frame');
+        const hadFocus = element.contains(document.activeElement);
 
-        lines.forEach((rawLine) => {
-            const line = rawLine.trim();
-            if (!line) {
-                return;
-            }
+        this.renderPhoto(this.galleryPhotos[this.currentPhotoIndex], element);
 
-            if (line.startsWith('-') && currentKey && Array.isArray(frontmatter[currentKey])) {
-                frontmatter[currentKey].push(line.substring(1).trim());
-                return;
-            }
-
-            const colonIndex = line.indexOf(':');
-            if (colonIndex === -1) {
-                return;
-            }
-
-            const key = line.substring(0, colonIndex).trim();
-            let value = line.substring(colonIndex + 1).trim();
-
-            if (!key) {
-                return;
-            }
-
-            if (!value) {
-                frontmatter[key] = [];
-                currentKey = key;
-                return;
-            }
-
-            if ((value.startsWith('"') && value.endsWith('"')) || (value.startsWith("'") && value.endsWith("'"))) {
-                value = value.substring(1, value.length - 1);
-            }
-
-            if (value.startsWith('[') && value.endsWith(']')) {
-                try {
-                    frontmatter[key] = JSON.parse(value.replace(/'/g, '"'));
-                } catch (error) {
-                    frontmatter[key] = value;
-                }
-                currentKey = key;
-                return;
-            }
-
-            frontmatter[key] = value;
-            currentKey = key;
-        });
-
-        return { frontmatter, content };
+        if (hadFocus) {
+            element.querySelector('.photo-display').focus();
+        }
     },
 
     /**
@@ -475,11 +304,11 @@ const ContentLoader = {
      * @param {string} message - Error message
      */
     showError(element, message) {
-        element.innerHTML = `
+        element.innerHTML = html`
             <div class="error-content">
                 <h3>Error</h3>
                 <p>${message}</p>
-                <button onclick="window.location.reload()" class="control-btn">
+                <button data-action="page.reload" class="control-btn">
                     Reload Page
                 </button>
             </div>
@@ -487,38 +316,280 @@ const ContentLoader = {
     },
 
     /**
-     * Prefetch content for better performance
-     * @param {string} path - Content path to prefetch
+     * Fetch and parse a JSON file through the cache
+     * @param {string} url - URL relative to the site root
+     * @param {Object} options - Optional { signal } that aborts waiting for the file
+     * @returns {Promise<Object>} Parsed JSON
      */
-    async prefetchContent(path) {
-        if (this.cache.has(path) || this.loadingStates.has(path)) {
-            return; // Already cached or loading
+    fetchJSON(url, options = {}) {
+        return this.fetchCached(url, response => response.json(), options);
+    },
+
+    /**
+     * Fetch a text file (e.g. markdown) through the cache
+     * @param {string} url - URL relative to the site root
+     * @param {Object} options - Optional { signal } that aborts waiting for the file
+     * @returns {Promise<string>} File contents
+     */
+    fetchText(url, options = {}) {
+        return this.fetchCached(url, response => response.text(), options);
+    },
+
+    /**
+     * Fetch a URL once, sharing the cached result and any request already in flight
+     * The underlying request is only aborted once every caller waiting on it has aborted
+     * @param {string} url - URL relative to the site root
+     * @param {Function} parse - Reads the response body
+     * @param {Object} options - Optional { signal } that aborts waiting for the response
+     * @returns {Promise<*>} Parsed content
+     */
+    fetchCached(url, parse, options = {}) {
+        const { signal = null } = options;
+
+        if (this.cache.has(url)) {
+            return Promise.resolve(this.cache.get(url));
         }
 
-        this.loadingStates.add(path);
+        let request = this.requests.get(url);
+        if (!request) {
+            const controller = new AbortController();
+            request = {
+                controller,
+                waiting: 0,
+                promise: fetch(url, { signal: controller.signal })
+                    .then((response) => {
+                        if (!response.ok) {
+                            throw new Error(`HTTP error! status: ${response.status}`);
+                        }
+                        this.rememberValidators(url, response);
+                        return parse(response);
+                    })
+                    .then((content) => {
+                        this.cache.set(url, content);
+                        return content;
+                    })
+                    .finally(() => {
+                        // A request abandoned by its callers may already have been replaced
+                        if (this.requests.get(url) === request) {
+                            this.requests.delete(url);
+                        }
+                    })
+            };
+            this.requests.set(url, request);
+        }
 
-        try {
-            const response = await fetch(`content/${path}`);
-            if (response.ok) {
-                const content = await response.text();
-                this.cache.set(`content/${path}`, content);
-                console.log(`ContentLoader: Prefetched ${path}`);
+        request.waiting++;
+        if (!signal) {
+            return request.promise;
+        }
+
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                request.waiting--;
+                if (request.waiting === 0) {
+                    // Don't let a navigation in the same turn join the dead request
+                    if (this.requests.get(url) === request) {
+                        this.requests.delete(url);
+                    }
+                    request.controller.abort();
+                }
+                reject(new DOMException('The operation was aborted.', 'AbortError'));
+            };
+
+            if (signal.aborted) {
+                onAbort();
+                return;
             }
+
+            signal.addEventListener('abort', onAbort, { once: true });
+            request.promise
+                .then(resolve, reject)
+                .finally(() => signal.removeEventListener('abort', onAbort));
+        });
+    },
+
+    /**
+     * Check a cached file with the server, refreshing the cache if it changed
+     * Sends the file's ETag/Last-Modified so unchanged files cost a 304
+     * @param {string} url - URL of a cached file
+     * @param {Function} parse - Reads the response body
+     * @returns {Promise<boolean>} Whether the content changed
+     */
+    async revalidate(url, parse) {
+        const validators = this.validators.get(url) || {};
+        const headers = {};
+        if (validators.etag) {
+            headers['If-None-Match'] = validators.etag;
+        }
+        if (validators.lastModified) {
+            headers['If-Modified-Since'] = validators.lastModified;
+        }
+
+        // Bypass the HTTP cache so the server sees the conditional request
+        const response = await fetch(url, { headers, cache: 'no-store' });
+        if (response.status === 304) {
+            return false;
+        }
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        this.rememberValidators(url, response);
+        const content = await parse(response);
+
+        // Servers without validators resend the file whether or not it changed
+        if (JSON.stringify(content) === JSON.stringify(this.cache.get(url))) {
+            return false;
+        }
+
+        this.cache.set(url, content);
+        return true;
+    },
+
+    /**
+     * Keep a response's ETag and Last-Modified for revalidation
+     * @param {string} url - URL of the file
+     * @param {Response} response - Successful response
+     */
+    rememberValidators(url, response) {
+        const etag = response.headers.get('ETag');
+        const lastModified = response.headers.get('Last-Modified');
+        if (etag || lastModified) {
+            this.validators.set(url, { etag, lastModified });
+        }
+    },
+
+    /**
+     * Prefetch content for better performance
+     * @param {string} path - Content path to prefetch, relative to content/
+     * @param {Object} options - Optional { signal } that aborts the request
+     */
+    async prefetchContent(path, options = {}) {
+        try {
+            await this.fetchText(`content/${path}`, options);
+            console.log(`ContentLoader: Prefetched ${path}`);
         } catch (error) {
+            if (error.name === 'AbortError') {
+                return;
+            }
             console.warn(`ContentLoader: Failed to prefetch ${path}:`, error);
-        } finally {
-            this.loadingStates.delete(path);
         }
     },
 
+    /**
+     * How much prefetching the visitor's connection allows
+     * Save-Data and 2G connections get none; 3G gets data files but no images
+     * @returns {string} 'none', 'data' or 'all'
+     */
+    getPrefetchLevel() {
+        const connection = navigator.connection;
+        if (!connection) {
+            return 'all';
+        }
+        if (connection.saveData || ['slow-2g', '2g'].includes(connection.effectiveType)) {
+            return 'none';
+        }
+        return connection.effectiveType === '3g' ? 'data' : 'all';
+    },
+
+    /**
+     * Prefetch a room's data files and first screen of thumbnails
+     * Data lands in the cache the room's controller loads from, so entering feels instant
+     * @param {string} route - Route of the room
+     */
+    async prefetchRoom(route) {
+        const level = this.getPrefetchLevel();
+        if (level === 'none' || !window.Router || !window.SiteManifest) {
+            return;
+        }
+
+        const config = Router.getRouteConfig(route);
+        const room = config && config.room ? SiteManifest.getRoom(config.room) : null;
+        if (!room || !room.data) {
+            return;
+        }
+
+        try {
+            await Promise.all(Object.values(room.data).map(url =>
+                url.endsWith('.json') ? this.fetchJSON(url) : this.fetchText(url)
+            ));
+        } catch (error) {
+            console.warn(`ContentLoader: Failed to prefetch room ${room.id}:`, error);
+            return;
+        }
+
+        const controller = window[room.controller];
+        if (level !== 'all' || !controller || typeof controller.getPreviewImages !== 'function') {
+            return;
+        }
+
+        const data = room.data.items ? this.cache.get(room.data.items) : null;
+        controller.getPreviewImages(data).forEach((url) => {
+            if (this.prefetchedImages.has(url)) {
+                return;
+            }
+            this.prefetchedImages.add(url);
+
+            const image = new Image();
+            image.decoding = 'async';
+            image.src = url;
+        });
+
+        console.log(`ContentLoader: Prefetched room ${room.id}`);
+    },
+
+    /**
+     * Prefetch the rooms leading off a room once the browser is idle
+     * @param {string} route - Route of the room just entered
+     */
+    prefetchNeighbours(route) {
+        if (this.getPrefetchLevel() === 'none' || !window.Router) {
+            return;
+        }
+
+        const routes = Router.getChildRoutes(route);
+        if (routes.length === 0) {
+            return;
+        }
+
+        const run = () => routes.forEach(childRoute => this.prefetchRoom(childRoute));
+        if ('requestIdleCallback' in window) {
+            window.requestIdleCallback(run, { timeout: 5000 });
+        } else {
+            setTimeout(run, 1000);
+        }
+    },
+
+    /**
+     * Prefetch the rooms around each room the visitor enters
+     */
+    initPrefetching() {
+        document.addEventListener('routechange', (event) => {
+            this.prefetchNeighbours(event.detail.to);
+        });
+    },
+
     /**
      * Clear content cache
      */
     clearCache() {
         this.cache.clear();
+        this.validators.clear();
         console.log('ContentLoader: Cache cleared');
     }
 };
 
 // Export for use in other modules
 window.ContentLoader = ContentLoader;
+
+// Handle clicks and failed images in the loader's markup
+if (window.Actions) {
+    window.Actions.register({
+        'gallery.previous': () => ContentLoader.previousPhoto(),
+        'gallery.next': () => ContentLoader.nextPhoto(),
+        'page.reload': () => window.location.reload(),
+        'image.hide': (data, event, image) => {
+            image.style.display = 'none';
+        }
+    });
+}
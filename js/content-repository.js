@@ -0,0 +1,242 @@
+/**
+ * Content Repository - One shared, normalized copy of every room's content
+ * Controllers and search read items through it instead of fetching their own JSON;
+ * loaded content is revalidated with ETag/Last-Modified and subscribers hear about changes
+ */
+
+const ContentRepository = {
+    // Content types (lightbox content types): the manifest room whose "items" data
+    // source holds them, the JSON key of the item list and how items are identified
+    types: {
+        photo: { room: 'photography', key: 'photos' },
+        writing: { room: 'writings', key: 'articles', id: item => item.filename || item.title },
+        music: { room: 'music', key: 'tracks' },
+        project: { room: 'projects', key: 'projects' },
+        curated_writing: { room: 'curated-writings', key: 'articles' },
+        curated_cinema: { room: 'curated-cinema', key: 'items' },
+        curated_music: { room: 'curated-music', key: 'items' },
+        curated_misc: { room: 'curated-misc', key: 'items' }
+    },
+
+    // Loaded content keyed by type ({ items, collections, metadata, checkedAt })
+    entries: new Map(),
+
+    // Revalidations in flight keyed by type
+    revalidations: new Map(),
+
+    // Change callbacks keyed by type
+    listeners: new Map(),
+
+    // How long loaded content is trusted before it is checked with the server again
+    maxAge: 5 * 60 * 1000,
+
+    /**
+     * Check stale content with the server whenever the visitor comes back to the tab
+     */
+    init() {
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') {
+                this.entries.forEach((entry, type) => this.revalidateIfStale(type));
+            }
+        });
+
+        console.log('ContentRepository: Initialized');
+    },
+
+    /**
+     * Load a content type, fetching it only the first time
+     * Concurrent loads share one request; stale content is returned at once and revalidated
+     * @param {string} type - Content type
+     * @param {Object} options - Optional { signal } that aborts waiting for the content
+     * @returns {Promise<Object>} Content ({ items, collections, metadata })
+     * @throws {Error} If the type is unknown or its data cannot be fetched
+     */
+    async load(type, options = {}) {
+        const loaded = this.entries.get(type);
+        if (loaded) {
+            this.revalidateIfStale(type);
+            return loaded;
+        }
+
+        const data = await ContentLoader.fetchJSON(this.getSource(type), options);
+
+        // Another caller may have stored the same response meanwhile
+        return this.entries.get(type) || this.store(type, data);
+    },
+
+    /**
+     * Get every photo
+     * @returns {Promise<Array<Object>>} Photos in file order
+     */
+    async getPhotos() {
+        return this.getItems('photo');
+    },
+
+    /**
+     * Get every item of a content type
+     * @param {string} type - Content type
+     * @returns {Promise<Array<Object>>} Items in file order
+     */
+    async getItems(type) {
+        const content = await this.load(type);
+        return Object.values(content.items);
+    },
+
+    /**
+     * Get one item of a content type
+     * @param {string} type - Content type
+     * @param {string} id - Item id
+     * @returns {Promise<Object|null>} Item, or null if there is none with this id
+     */
+    async getItem(type, id) {
+        const content = await this.load(type);
+        return content.items[id] || null;
+    },
+
+    /**
+     * Get the collections of a content type
+     * @param {string} type - Content type
+     * @returns {Promise<Object>} Collections keyed by id
+     */
+    async getCollections(type) {
+        const content = await this.load(type);
+        return content.collections;
+    },
+
+    /**
+     * Get the item id of an item
+     * @param {string} type - Content type
+     * @param {Object} item - Item
+     * @returns {string} Item id
+     */
+    getItemId(type, item) {
+        const { id } = this.types[type];
+        return id ? id(item) : item.id;
+    },
+
+    /**
+     * Get the URL a content type is loaded from
+     * @param {string} type - Content type
+     * @returns {string} URL relative to the site root
+     * @throws {Error} If the type is unknown
+     */
+    getSource(type) {
+        const definition = this.types[type];
+        if (!definition) {
+            throw new Error(`ContentRepository: Unknown content type "${type}"`);
+        }
+        return SiteManifest.getDataSource(definition.room);
+    },
+
+    /**
+     * Normalize a content file and keep it as the type's content
+     * Item lists may be arrays or objects keyed by id; both become objects keyed by id
+     * @param {string} type - Content type
+     * @param {Object} data - Parsed JSON file
+     * @returns {Object} Stored content
+     */
+    store(type, data) {
+        const list = data[this.types[type].key];
+        const items = {};
+
+        if (Array.isArray(list)) {
+            list.forEach((item) => {
+                items[this.getItemId(type, item)] = item;
+            });
+        } else if (list) {
+            Object.assign(items, list);
+        }
+
+        const entry = {
+            items,
+            collections: data.collections || {},
+            metadata: data.metadata || {},
+            checkedAt: Date.now()
+        };
+        this.entries.set(type, entry);
+
+        console.log('ContentRepository: Loaded', Object.keys(items).length, type, 'items');
+        return entry;
+    },
+
+    /**
+     * Revalidate a loaded type if it hasn't been checked within maxAge
+     * @param {string} type - Content type
+     */
+    revalidateIfStale(type) {
+        const entry = this.entries.get(type);
+        if (entry && Date.now() - entry.checkedAt > this.maxAge) {
+            this.revalidate(type);
+        }
+    },
+
+    /**
+     * Check a loaded type with the server and notify subscribers if it changed
+     * @param {string} type - Content type
+     * @returns {Promise<boolean>} Whether the content changed
+     */
+    revalidate(type) {
+        if (!this.entries.has(type)) {
+            return Promise.resolve(false);
+        }
+        if (this.revalidations.has(type)) {
+            return this.revalidations.get(type);
+        }
+
+        const url = this.getSource(type);
+        const revalidation = ContentLoader.revalidate(url, response => response.json())
+            .then((changed) => {
+                if (!changed) {
+                    this.entries.get(type).checkedAt = Date.now();
+                    return false;
+                }
+
+                console.log('ContentRepository:', type, 'content changed');
+                this.notify(type, this.store(type, ContentLoader.cache.get(url)));
+                return true;
+            })
+            .catch((error) => {
+                console.warn(`ContentRepository: Failed to revalidate ${type}:`, error);
+                return false;
+            })
+            .finally(() => {
+                this.revalidations.delete(type);
+            });
+
+        this.revalidations.set(type, revalidation);
+        return revalidation;
+    },
+
+    /**
+     * Listen for changes to a content type
+     * @param {string} type - Content type
+     * @param {Function} callback - Called with (content, type) after the content changed
+     * @returns {Function} Unsubscribes the callback
+     */
+    subscribe(type, callback) {
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, new Set());
+        }
+        this.listeners.get(type).add(callback);
+
+        return () => this.listeners.get(type).delete(callback);
+    },
+
+    /**
+     * Tell a type's subscribers that its content changed
+     * @param {string} type - Content type
+     * @param {Object} content - New content
+     */
+    notify(type, content) {
+        (this.listeners.get(type) || []).forEach((callback) => {
+            try {
+                callback(content, type);
+            } catch (error) {
+                console.error(`ContentRepository: ${type} subscriber failed:`, error);
+            }
+        });
+    }
+};
+
+// Export to window for global access
+window.ContentRepository = ContentRepository;
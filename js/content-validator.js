@@ -0,0 +1,374 @@
+/**
+ * Content Validator - Checks content files against their JSON Schemas in content/schemas
+ * Runs from Node (node scripts/validate-content.js) and, in dev mode, in the browser,
+ * where the problems found are listed in a dismissible overlay
+ * Dev mode is on for localhost, or anywhere after localStorage.contentValidation = 'on'
+ */
+
+const ContentValidator = {
+    // Content files and the schema each one must follow
+    schemas: {
+        'content/photos/photos.json': 'content/schemas/photos.schema.json',
+        'content/about/about.json': 'content/schemas/about.schema.json',
+        'content/photography/photography.json': 'content/schemas/photography.schema.json',
+        'content/writings/writings.json': 'content/schemas/writings.schema.json',
+        'content/music/music.json': 'content/schemas/music.schema.json',
+        'content/projects/projects.json': 'content/schemas/projects.schema.json',
+        'content/curated/writings/curated-writings.json': 'content/schemas/curated-writings.schema.json',
+        'content/curated/cinema/curated-cinema.json': 'content/schemas/curated-cinema.schema.json',
+        'content/curated/music/curated-music.json': 'content/schemas/curated-music.schema.json',
+        'content/curated/misc/curated-misc.json': 'content/schemas/curated-misc.schema.json'
+    },
+
+    // Hosts that always validate content in the browser
+    devHosts: ['localhost', '127.0.0.1', '[::1]'],
+
+    // Problems found by the last browser run ({ file, path, message })
+    problems: [],
+
+    /**
+     * Check whether the browser should validate content
+     * @returns {boolean}
+     */
+    isDevMode() {
+        if (this.devHosts.includes(window.location.hostname)) {
+            return true;
+        }
+
+        try {
+            return window.localStorage.getItem('contentValidation') === 'on';
+        } catch (error) {
+            // Storage can be unavailable (private browsing, blocked cookies)
+            return false;
+        }
+    },
+
+    /**
+     * Validate a parsed content file against its schema
+     * @param {string} file - File path, reported with each problem
+     * @param {*} data - Parsed JSON
+     * @param {Object} schema - Parsed JSON Schema
+     * @returns {Array<Object>} Problems ({ file, path, message })
+     */
+    validateFile(file, data, schema) {
+        return this.validate(data, schema).map(problem => ({ file, ...problem }));
+    },
+
+    /**
+     * Validate a value against a schema
+     * Supports the keywords the content schemas use: $ref (local), type, enum, const,
+     * anyOf, required, properties, additionalProperties, items, minimum, maximum,
+     * minLength, pattern and format ("date" or "date-time"), plus "x-renamed", which
+     * names the property an unexpected one has been replaced by
+     * @param {*} value - Value to check
+     * @param {Object} schema - Schema for the value
+     * @param {Object} root - Schema that $refs resolve against
+     * @param {string} path - JSON Pointer of the value within the file
+     * @returns {Array<Object>} Problems ({ path, message })
+     */
+    validate(value, schema, root = schema, path = '') {
+        if (schema.$ref) {
+            return this.validate(value, this.resolveRef(root, schema.$ref), root, path);
+        }
+
+        const problems = [];
+        const type = this.typeOf(value);
+
+        if (!this.matchesType(type, schema.type)) {
+            return [{ path, message: `Expected ${[].concat(schema.type).join(' or ')}, found ${this.describe(value)}` }];
+        }
+
+        if ('const' in schema && value !== schema.const) {
+            problems.push({ path, message: `Expected ${JSON.stringify(schema.const)}, found ${this.describe(value)}` });
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            const allowed = schema.enum.map(option => JSON.stringify(option)).join(', ');
+            problems.push({ path, message: `Expected one of ${allowed}, found ${this.describe(value)}` });
+        }
+
+        if (schema.anyOf) {
+            const attempts = schema.anyOf.map(option => this.validate(value, option, root, path));
+            if (!attempts.some(attempt => attempt.length === 0)) {
+                // Report the alternative meant for this kind of value, or else the one that came closest
+                const candidates = attempts.filter((attempt, index) => this.matchesType(type, schema.anyOf[index].type));
+                const closest = (candidates.length > 0 ? candidates : attempts)
+                    .reduce((best, attempt) => (attempt.length < best.length ? attempt : best));
+                problems.push(...closest);
+            }
+        }
+
+        if (type === 'string') {
+            problems.push(...this.validateString(value, schema, path));
+        } else if (type === 'number' || type === 'integer') {
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                problems.push({ path, message: `Must be at least ${schema.minimum}, found ${value}` });
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                problems.push({ path, message: `Must be at most ${schema.maximum}, found ${value}` });
+            }
+        } else if (type === 'array' && schema.items) {
+            value.forEach((item, index) => {
+                problems.push(...this.validate(item, schema.items, root, `${path}/${index}`));
+            });
+        } else if (type === 'object') {
+            problems.push(...this.validateObject(value, schema, root, path));
+        }
+
+        return problems;
+    },
+
+    /**
+     * Validate a string's length, pattern and format
+     * @param {string} value - String to check
+     * @param {Object} schema - Schema for the string
+     * @param {string} path - JSON Pointer of the string
+     * @returns {Array<Object>} Problems ({ path, message })
+     */
+    validateString(value, schema, path) {
+        const problems = [];
+
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            problems.push({ path, message: value.length === 0 ? 'Must not be empty' : `Must be at least ${schema.minLength} characters` });
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            problems.push({ path, message: `${this.describe(value)} does not match ${schema.pattern}` });
+        }
+        if (schema.format === 'date' && !this.isDate(value)) {
+            problems.push({ path, message: `Expected a date as YYYY-MM-DD, found ${this.describe(value)}` });
+        }
+        if (schema.format === 'date-time' && !this.isDateTime(value)) {
+            problems.push({ path, message: `Expected a date and time as YYYY-MM-DDTHH:MM:SSZ, found ${this.describe(value)}` });
+        }
+
+        return problems;
+    },
+
+    /**
+     * Validate an object's required, known and unexpected properties
+     * @param {Object} value - Object to check
+     * @param {Object} schema - Schema for the object
+     * @param {Object} root - Schema that $refs resolve against
+     * @param {string} path - JSON Pointer of the object
+     * @returns {Array<Object>} Problems ({ path, message })
+     */
+    validateObject(value, schema, root, path) {
+        const problems = [];
+        const properties = schema.properties || {};
+        const renamed = schema['x-renamed'] || {};
+
+        (schema.required || []).forEach((key) => {
+            if (!(key in value)) {
+                problems.push({ path, message: `Missing required property "${key}"` });
+            }
+        });
+
+        Object.keys(value).forEach((key) => {
+            const propertyPath = `${path}/${this.escapePointer(key)}`;
+
+            if (properties[key]) {
+                problems.push(...this.validate(value[key], properties[key], root, propertyPath));
+            } else if (schema.additionalProperties === false) {
+                const message = renamed[key]
+                    ? `Unexpected property "${key}", use "${renamed[key]}" instead`
+                    : `Unexpected property "${key}"`;
+                problems.push({ path: propertyPath, message });
+            } else if (schema.additionalProperties) {
+                problems.push(...this.validate(value[key], schema.additionalProperties, root, propertyPath));
+            }
+        });
+
+        return problems;
+    },
+
+    /**
+     * Look up a local $ref such as "#/definitions/photo"
+     * @param {Object} root - Schema the reference points into
+     * @param {string} ref - Reference
+     * @returns {Object} Referenced schema
+     * @throws {Error} If the reference is not local or points at nothing
+     */
+    resolveRef(root, ref) {
+        if (!ref.startsWith('#')) {
+            throw new Error(`ContentValidator: Only local $refs are supported (${ref})`);
+        }
+
+        const target = ref.slice(1).split('/').filter(Boolean)
+            .reduce((node, key) => (node ? node[key.replace(/~1/g, '/').replace(/~0/g, '~')] : undefined), root);
+
+        if (!target) {
+            throw new Error(`ContentValidator: Unresolved $ref ${ref}`);
+        }
+        return target;
+    },
+
+    /**
+     * Get a value's JSON Schema type
+     * @param {*} value
+     * @returns {string} null, array, integer, number, string, boolean or object
+     */
+    typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+        return typeof value;
+    },
+
+    /**
+     * Check a value's type against a schema's "type" keyword
+     * @param {string} type - Value type from typeOf()
+     * @param {string|Array<string>|undefined} allowed - Schema type or types; any type if unset
+     * @returns {boolean}
+     */
+    matchesType(type, allowed) {
+        if (!allowed) return true;
+
+        const types = [].concat(allowed);
+        return types.includes(type) || (type === 'integer' && types.includes('number'));
+    },
+
+    /**
+     * Describe a value for a problem message
+     * @param {*} value
+     * @returns {string} e.g. 'string ""' or 'array'
+     */
+    describe(value) {
+        const type = this.typeOf(value);
+        return type === 'object' || type === 'array' ? type : `${type} ${JSON.stringify(value)}`;
+    },
+
+    /**
+     * Check that a string is a real calendar date written as YYYY-MM-DD
+     * @param {string} value
+     * @returns {boolean}
+     */
+    isDate(value) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+            return false;
+        }
+        const date = new Date(`${value}T00:00:00Z`);
+        return !isNaN(date.getTime()) && date.toISOString().startsWith(value);
+    },
+
+    /**
+     * Check that a string is an ISO 8601 date and time with a time zone
+     * @param {string} value
+     * @returns {boolean}
+     */
+    isDateTime(value) {
+        const match = /^(\d{4}-\d{2}-\d{2})T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/.exec(value);
+        return match !== null && this.isDate(match[1]) && !isNaN(new Date(value).getTime());
+    },
+
+    /**
+     * Escape a property name for a JSON Pointer
+     * @param {string} key
+     * @returns {string}
+     */
+    escapePointer(key) {
+        return key.replace(/~/g, '~0').replace(/\//g, '~1');
+    },
+
+    /**
+     * Validate every content file in the browser and list any problems
+     * Content comes through the ContentLoader cache, so rooms already loaded aren't fetched again
+     * @returns {Promise<Array<Object>>} Problems ({ file, path, message })
+     */
+    async run() {
+        console.log('ContentValidator: Checking', Object.keys(this.schemas).length, 'content files');
+
+        const results = await Promise.all(Object.entries(this.schemas).map(async ([file, schemaUrl]) => {
+            try {
+                const [data, schema] = await Promise.all([
+                    ContentLoader.fetchJSON(file),
+                    ContentLoader.fetchJSON(schemaUrl)
+                ]);
+                return this.validateFile(file, data, schema);
+            } catch (error) {
+                return [{ file, path: '', message: `Could not be checked: ${error.message}` }];
+            }
+        }));
+
+        this.problems = results.flat();
+
+        if (this.problems.length > 0) {
+            console.warn('ContentValidator: Found', this.problems.length, 'problems', this.problems);
+            this.showOverlay(this.problems);
+        } else {
+            console.log('ContentValidator: All content files match their schemas');
+            this.hideOverlay();
+        }
+
+        return this.problems;
+    },
+
+    /**
+     * List problems in the dev overlay
+     * @param {Array<Object>} problems - Problems ({ file, path, message })
+     */
+    showOverlay(problems) {
+        this.hideOverlay();
+
+        const overlay = document.createElement('section');
+        overlay.id = 'content-errors';
+        overlay.className = 'content-errors';
+        overlay.setAttribute('aria-labelledby', 'content-errors-title');
+
+        const header = document.createElement('header');
+        header.className = 'content-errors-header';
+
+        const title = document.createElement('h2');
+        title.id = 'content-errors-title';
+        title.textContent = `Content problems (${problems.length})`;
+
+        const dismiss = document.createElement('button');
+        dismiss.type = 'button';
+        dismiss.className = 'content-errors-dismiss';
+        dismiss.textContent = 'Dismiss';
+        dismiss.addEventListener('click', () => this.hideOverlay());
+
+        header.append(title, dismiss);
+
+        const list = document.createElement('ul');
+        list.className = 'content-errors-list';
+
+        problems.forEach((problem) => {
+            const item = document.createElement('li');
+
+            const file = document.createElement('code');
+            file.className = 'content-errors-file';
+            file.textContent = problem.file;
+
+            const path = document.createElement('code');
+            path.className = 'content-errors-path';
+            path.textContent = problem.path || '/';
+
+            const message = document.createElement('span');
+            message.className = 'content-errors-message';
+            message.textContent = problem.message;
+
+            item.append(file, path, message);
+            list.appendChild(item);
+        });
+
+        overlay.append(header, list);
+        document.body.appendChild(overlay);
+    },
+
+    /**
+     * Remove the dev overlay
+     */
+    hideOverlay() {
+        const overlay = document.getElementById('content-errors');
+        if (overlay) {
+            overlay.remove();
+        }
+    }
+};
+
+// Export to window for global access, or to Node for the content check script
+if (typeof window !== 'undefined') {
+    window.ContentValidator = ContentValidator;
+} else {
+    module.exports = ContentValidator;
+}
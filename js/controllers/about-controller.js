@@ -9,27 +9,31 @@ const AboutController = {
 
     /**
      * Initialize about page
+     * @param {AbortSignal} signal - Optional signal that aborts loading and rendering
      */
-    async init() {
+    async init(signal = null) {
         console.log('AboutController: Initializing');
-        await this.loadAboutData();
-        await this.loadBioMarkdown();
+        await this.loadAboutData(signal);
+        await this.loadBioMarkdown(signal);
+        if (signal && signal.aborted) return;
+
         this.render();
     },
 
     /**
      * Load about metadata from JSON
+     * @param {AbortSignal} signal - Optional signal that aborts the request
      */
-    async loadAboutData() {
+    async loadAboutData(signal = null) {
         try {
-            const response = await fetch('content/about/about.json');
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-            this.data = await response.json();
+            this.data = await ContentLoader.fetchJSON(SiteManifest.getDataSource('about', 'profile'), { signal });
             console.log('AboutController: Loaded metadata');
         } catch (error) {
-            console.error('AboutController: Failed to load about.json:', error);
+            if (error.name === 'AbortError') {
+                console.log('AboutController: Load aborted');
+                return;
+            }
+            console.error('AboutController: Failed to load profile:', error);
             // Set minimal defaults
             this.data = {
                 name: '',
@@ -41,26 +45,22 @@ const AboutController = {
 
     /**
      * Load and parse markdown bio
+     * @param {AbortSignal} signal - Optional signal that aborts the request
      */
-    async loadBioMarkdown() {
+    async loadBioMarkdown(signal = null) {
         try {
-            const response = await fetch('content/about/bio.md');
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-            const markdown = await response.text();
-
-            // Parse markdown using marked.js
-            if (typeof marked !== 'undefined') {
-                this.bioContent = marked.parse(markdown);
-            } else {
-                console.warn('AboutController: marked.js not loaded, using plain text');
-                this.bioContent = `<pre>${markdown}</pre>`;
-            }
+            const markdown = await ContentLoader.fetchText(SiteManifest.getDataSource('about', 'bio'), { signal });
+
+            // Parse markdown using the shared, sanitising markdown parser
+            this.bioContent = MarkdownParser.parse(markdown);
 
             console.log('AboutController: Loaded bio markdown');
         } catch (error) {
-            console.error('AboutController: Failed to load bio.md:', error);
+            if (error.name === 'AbortError') {
+                console.log('AboutController: Load aborted');
+                return;
+            }
+            console.error('AboutController: Failed to load bio:', error);
             this.bioContent = '<p>Bio content coming soon.</p>';
         }
     },
@@ -71,12 +71,6 @@ const AboutController = {
     render() {
         console.log('AboutController: Rendering');
 
-        const room = document.getElementById('room');
-        if (!room) return;
-
-        // Use 3-wall layout
-        room.className = 'room three-wall-layout';
-
         // Clear all walls
         this.clearAllWalls();
 
@@ -105,10 +99,11 @@ const AboutController = {
         const backContent = document.getElementById('back-content');
         if (!backContent) return;
 
-        backContent.innerHTML = `
+        // The bio is sanitised by the markdown parser
+        backContent.innerHTML = html`
             <div class="content-frame about-content">
                 <div class="about-bio markdown-content">
-                    ${this.bioContent}
+                    ${HTMLTemplate.raw(this.bioContent)}
                 </div>
             </div>
         `;
@@ -128,31 +123,31 @@ const AboutController = {
 
         let linksHtml = '';
         if (hasLinks) {
-            linksHtml = this.data.links.map(link => `
+            linksHtml = this.data.links.map(link => html`
                 <a href="${link.url}"
                    target="_blank"
                    rel="noopener noreferrer"
                    class="social-link">
                     ${link.label}
                 </a>
-            `).join('');
+            `);
         }
 
-        leftContent.innerHTML = `
+        leftContent.innerHTML = html`
             <div class="content-frame">
                 <div class="left-wall-content">
-                    ${hasContact ? `
+                    ${hasContact ? html`
                         <div class="contact-section">
                             <h3>Reach Out</h3>
-                            ${this.data.contact.email ? `
+                            ${this.data.contact.email ? html`
                                 <p><a href="mailto:${this.data.contact.email}">${this.data.contact.email}</a></p>
                             ` : ''}
-                            ${this.data.contact.location ? `
+                            ${this.data.contact.location ? html`
                                 <p class="location">${this.data.contact.location}</p>
                             ` : ''}
                         </div>
                     ` : ''}
-                    ${hasLinks ? `
+                    ${hasLinks ? html`
                         <div class="links-section">
                             <div class="social-links">
                                 ${linksHtml}
@@ -171,7 +166,7 @@ const AboutController = {
         const rightContent = document.getElementById('right-content');
         if (!rightContent) return;
 
-        rightContent.innerHTML = `
+        rightContent.innerHTML = html`
             <div class="content-frame">
                 <div class="testimonial-section">
                     <h3>Testimonial</h3>
@@ -187,3 +182,11 @@ const AboutController = {
 
 // Make globally accessible
 window.AboutController = AboutController;
+
+// Register room with the router
+if (window.Router) {
+    window.Router.registerRoute({
+        room: 'about',
+        enter: (params, route, signal) => AboutController.init(signal)
+    });
+}
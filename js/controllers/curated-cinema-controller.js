@@ -6,42 +6,102 @@
 const CuratedCinemaController = {
     cinema: null,
     collections: null,
+    sort: null,
+
+    // Orders a collection can be shown in with ?sort=, besides the default
+    sortOrders: {
+        rating: (a, b) => (b.rating || 0) - (a.rating || 0),
+        year: (a, b) => (b.year || 0) - (a.year || 0),
+        title: (a, b) => (a.title || '').localeCompare(b.title || '')
+    },
 
     /**
      * Initialize controller - Load curated cinema data
+     * @param {AbortSignal} signal - Optional signal that aborts loading
      */
-    async init() {
+    async init(signal = null) {
         console.log('CuratedCinemaController: Initializing');
-        await this.loadCinemaData();
+        await this.loadCinemaData(signal);
     },
 
     /**
      * Load curated cinema from JSON file
+     * @param {AbortSignal} signal - Optional signal that aborts the request
      */
-    async loadCinemaData() {
+    async loadCinemaData(signal = null) {
         try {
-            const response = await fetch('content/curated/cinema/curated-cinema.json');
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+            this.applyContent(await ContentRepository.load('curated_cinema', { signal }));
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                console.log('CuratedCinemaController: Load aborted');
+                return;
             }
-            const data = await response.json();
+            console.error('CuratedCinemaController: Failed to load curated cinema:', error);
+            this.applyContent({ items: {}, collections: {} });
+        }
+    },
 
-            this.collections = data.collections || {};
+    /**
+     * Take over content from the shared repository
+     * @param {Object} content - Repository content ({ items, collections })
+     */
+    applyContent(content) {
+        this.cinema = content.items;
+        this.collections = content.collections;
 
-            // Convert items array to object keyed by ID for easy lookup
-            this.cinema = {};
-            if (data.items && Array.isArray(data.items)) {
-                data.items.forEach(item => {
-                    this.cinema[item.id] = item;
-                });
-            }
+        console.log('CuratedCinemaController: Loaded', Object.keys(this.cinema).length, 'cinema items');
+    },
 
-            console.log('CuratedCinemaController: Loaded', Object.keys(this.cinema).length, 'cinema items');
-        } catch (error) {
-            console.error('CuratedCinemaController: Failed to load curated cinema:', error);
-            this.cinema = {};
-            this.collections = {};
+    /**
+     * Enter the room from a route
+     * @param {Object} params - Route params ({ collection, item, query: { sort } })
+     * @param {string} route - Route being entered
+     * @param {AbortSignal} signal - Aborted when a newer navigation supersedes this one
+     * @returns {Promise<boolean|undefined>} False if the route's collection or item doesn't exist
+     */
+    async enter(params, route, signal = null) {
+        if (!this.cinema) {
+            await this.init(signal);
         }
+        if (signal && signal.aborted) return;
+
+        // Deep links to collections or cinema items that don't exist are not found
+        if ((params.collection && !this.collections[params.collection]) ||
+            (params.item && !this.cinema[params.item])) {
+            console.error('CuratedCinemaController: Not found:', params.collection, params.item);
+            Router.show404(route);
+            return false;
+        }
+
+        this.sort = Object.hasOwn(this.sortOrders, params.query.sort || '') ? params.query.sort : null;
+        this.render(params.collection);
+
+        if (params.item) {
+            const itemIds = params.collection
+                ? this.getCollectionItems(params.collection).map(c => c.id)
+                : null;
+            this.openCinemaInLightbox(params.item, itemIds);
+        }
+    },
+
+    /**
+     * Get a collection's display name
+     * @param {string} collectionId - Collection ID
+     * @returns {string|null} Collection name, or null if unknown or not loaded yet
+     */
+    getCollectionName(collectionId) {
+        const collection = this.collections && this.collections[collectionId];
+        return collection ? collection.name : null;
+    },
+
+    /**
+     * Get a cinema item's title
+     * @param {string} itemId - Cinema item ID
+     * @returns {string|null} Title, or null if unknown or not loaded yet
+     */
+    getItemTitle(itemId) {
+        const item = this.cinema && this.cinema[itemId];
+        return item ? item.title : null;
     },
 
     /**
@@ -67,18 +127,12 @@ const CuratedCinemaController = {
      * Render collection overview - Show all collections on 4 walls
      */
     renderCollectionOverview() {
-        const room = document.getElementById('room');
-        if (!room) return;
-
         // Clear all walls
         ['leftmost', 'leftmiddle', 'rightmiddle', 'rightmost'].forEach(wall => {
             const content = document.getElementById(`${wall}-content`);
             if (content) content.innerHTML = '';
         });
 
-        // Use 4-wall layout
-        room.className = 'room four-wall-layout';
-
         const collectionIds = Object.keys(this.collections);
         const walls = ['leftmost', 'leftmiddle', 'rightmiddle', 'rightmost'];
 
@@ -94,18 +148,40 @@ const CuratedCinemaController = {
         });
     },
 
+    /**
+     * Get a collection's cinema items, featured first then newest,
+     * unless a sort order was picked
+     * @param {string} collectionId - Collection ID
+     * @returns {Array} Sorted cinema items
+     */
+    getCollectionItems(collectionId) {
+        const items = Object.values(this.cinema)
+            .filter(c => c.collection === collectionId);
+
+        if (this.sort) {
+            return items.sort(this.sortOrders[this.sort]);
+        }
+
+        return items.sort((a, b) => {
+            // Sort by featured first, then by date added
+            if (a.featured && !b.featured) return -1;
+            if (!a.featured && b.featured) return 1;
+            return new Date(b.dateAdded) - new Date(a.dateAdded);
+        });
+    },
+
     /**
      * Create a collection button for the wall
      * @param {string} collectionId - Collection identifier
      * @param {Object} collection - Collection data
-     * @returns {string} HTML string
+     * @returns {Object} Markup
      */
     createCollectionButton(collectionId, collection) {
         const itemsInCollection = Object.values(this.cinema)
             .filter(c => c.collection === collectionId).length;
 
-        return `
-            <button class="wall-button" onclick="CuratedCinemaController.navigateToCollection('${collectionId}')">
+        return html`
+            <button class="wall-button" data-action="curated-cinema.open-collection" data-collection="${collectionId}">
                 <div class="button-content">
                     <h2>${collection.name}</h2>
                     <p class="wall-description">${collection.description}</p>
@@ -121,7 +197,9 @@ const CuratedCinemaController = {
      */
     navigateToCollection(collectionId) {
         if (window.Router) {
-            Router.navigateTo(`/works/curated/cinema/${collectionId}`);
+            // The sort order carries over into the collection
+            const route = Router.getRoomPath('curated-cinema', { collection: collectionId });
+            Router.navigateTo(Router.withQuery(route, { sort: this.sort }));
         }
     },
 
@@ -130,27 +208,14 @@ const CuratedCinemaController = {
      * @param {string} collectionId - Collection ID to render
      */
     renderCollection(collectionId) {
-        const room = document.getElementById('room');
-        if (!room) return;
-
         // Clear all walls
         ['leftmost', 'leftmiddle', 'rightmiddle', 'rightmost'].forEach(wall => {
             const content = document.getElementById(`${wall}-content`);
             if (content) content.innerHTML = '';
         });
 
-        // Use 4-wall layout
-        room.className = 'room four-wall-layout';
-
         // Get cinema items in this collection
-        const itemsInCollection = Object.values(this.cinema)
-            .filter(c => c.collection === collectionId)
-            .sort((a, b) => {
-                // Sort by featured first, then by date added
-                if (a.featured && !b.featured) return -1;
-                if (!a.featured && b.featured) return 1;
-                return new Date(b.dateAdded) - new Date(a.dateAdded);
-            });
+        const itemsInCollection = this.getCollectionItems(collectionId);
 
         const walls = ['leftmost', 'leftmiddle', 'rightmiddle', 'rightmost'];
 
@@ -168,19 +233,19 @@ const CuratedCinemaController = {
      * Create a cinema item button for the wall
      * @param {Object} item - Cinema item data
      * @param {Array} itemArray - Array of all cinema items for navigation
-     * @returns {string} HTML string
+     * @returns {Object} Markup
      */
     createCinemaButton(item, itemArray) {
-        const featuredBadge = item.featured ? '<span class="featured-badge">Recommended</span>' : '';
+        const featuredBadge = item.featured ? html`<span class="featured-badge">Recommended</span>` : '';
         const typeLabel = item.type === 'film' ? 'Film' : 'TV Series';
 
-        return `
-            <button class="wall-button" onclick='CuratedCinemaController.openCinemaInLightbox("${item.id}", ${JSON.stringify(itemArray.map(i => i.id))})'>
+        return html`
+            <button class="wall-button" data-action="curated-cinema.open-item" data-id="${item.id}" data-ids="${JSON.stringify(itemArray.map(i => i.id))}">
                 <div class="button-content">
                     <h2>${item.title}</h2>
-                    ${item.director ? `<p class="wall-meta">Directed by ${item.director}</p>` : ''}
-                    ${item.year ? `<p class="wall-meta">${typeLabel} • ${item.year}</p>` : `<p class="wall-meta">${typeLabel}</p>`}
-                    ${item.excerpt ? `<p class="writing-excerpt">${item.excerpt}</p>` : ''}
+                    ${item.director ? html`<p class="wall-meta">Directed by ${item.director}</p>` : ''}
+                    ${item.year ? html`<p class="wall-meta">${typeLabel} • ${item.year}</p>` : html`<p class="wall-meta">${typeLabel}</p>`}
+                    ${item.excerpt ? html`<p class="writing-excerpt">${item.excerpt}</p>` : ''}
                     ${featuredBadge}
                 </div>
             </button>
@@ -241,7 +306,7 @@ const CuratedCinemaController = {
 
         const backContent = document.getElementById('back-content');
         if (backContent) {
-            backContent.innerHTML = `
+            backContent.innerHTML = html`
                 <div class="empty-state">
                     <h2>No Curated Cinema Available</h2>
                     <p>Check back later for film and TV recommendations.</p>
@@ -253,3 +318,35 @@ const CuratedCinemaController = {
 
 // Export to window for global access
 window.CuratedCinemaController = CuratedCinemaController;
+
+// Pick up changed content, re-rendering the room if it is on display
+if (window.ContentRepository) {
+    window.ContentRepository.subscribe('curated_cinema', (content) => {
+        CuratedCinemaController.applyContent(content);
+        Router.refreshRoom('curated-cinema');
+    });
+}
+
+// Register room with the router
+if (window.Router) {
+    window.Router.registerRoute({
+        room: 'curated-cinema',
+        params: '/:collection?/:item?',
+        name: (params) => {
+            if (params.item) return CuratedCinemaController.getItemTitle(params.item);
+            if (params.collection) return CuratedCinemaController.getCollectionName(params.collection);
+            return SiteManifest.getRoom('curated-cinema').label;
+        },
+        contentType: 'curated_cinema',
+        itemParams: (item) => ({ collection: item.collection, item: item.id }),
+        enter: (params, route, signal) => CuratedCinemaController.enter(params, route, signal)
+    });
+}
+
+// Handle clicks in the room's markup
+if (window.Actions) {
+    window.Actions.register({
+        'curated-cinema.open-collection': ({ collection }) => CuratedCinemaController.navigateToCollection(collection),
+        'curated-cinema.open-item': ({ id, ids }) => CuratedCinemaController.openCinemaInLightbox(id, JSON.parse(ids))
+    });
+}
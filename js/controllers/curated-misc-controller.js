@@ -6,42 +6,102 @@
 const CuratedMiscController = {
     items: null,
     collections: null,
+    sort: null,
+
+    // Orders a collection can be shown in with ?sort=, besides the default
+    sortOrders: {
+        rating: (a, b) => (b.rating || 0) - (a.rating || 0),
+        year: (a, b) => (b.year || 0) - (a.year || 0),
+        title: (a, b) => (a.title || '').localeCompare(b.title || '')
+    },
 
     /**
      * Initialize controller - Load curated misc data
+     * @param {AbortSignal} signal - Optional signal that aborts loading
      */
-    async init() {
+    async init(signal = null) {
         console.log('CuratedMiscController: Initializing');
-        await this.loadMiscData();
+        await this.loadMiscData(signal);
     },
 
     /**
      * Load curated misc items from JSON file
+     * @param {AbortSignal} signal - Optional signal that aborts the request
      */
-    async loadMiscData() {
+    async loadMiscData(signal = null) {
         try {
-            const response = await fetch('content/curated/misc/curated-misc.json');
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+            this.applyContent(await ContentRepository.load('curated_misc', { signal }));
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                console.log('CuratedMiscController: Load aborted');
+                return;
             }
-            const data = await response.json();
+            console.error('CuratedMiscController: Failed to load curated misc items:', error);
+            this.applyContent({ items: {}, collections: {} });
+        }
+    },
 
-            this.collections = data.collections || {};
+    /**
+     * Take over content from the shared repository
+     * @param {Object} content - Repository content ({ items, collections })
+     */
+    applyContent(content) {
+        this.items = content.items;
+        this.collections = content.collections;
 
-            // Convert items array to object keyed by ID for easy lookup
-            this.items = {};
-            if (data.items && Array.isArray(data.items)) {
-                data.items.forEach(item => {
-                    this.items[item.id] = item;
-                });
-            }
+        console.log('CuratedMiscController: Loaded', Object.keys(this.items).length, 'misc items');
+    },
 
-            console.log('CuratedMiscController: Loaded', Object.keys(this.items).length, 'misc items');
-        } catch (error) {
-            console.error('CuratedMiscController: Failed to load curated misc items:', error);
-            this.items = {};
-            this.collections = {};
+    /**
+     * Enter the room from a route
+     * @param {Object} params - Route params ({ collection, item, query: { sort } })
+     * @param {string} route - Route being entered
+     * @param {AbortSignal} signal - Aborted when a newer navigation supersedes this one
+     * @returns {Promise<boolean|undefined>} False if the route's collection or item doesn't exist
+     */
+    async enter(params, route, signal = null) {
+        if (!this.items) {
+            await this.init(signal);
         }
+        if (signal && signal.aborted) return;
+
+        // Deep links to collections or items that don't exist are not found
+        if ((params.collection && !this.collections[params.collection]) ||
+            (params.item && !this.items[params.item])) {
+            console.error('CuratedMiscController: Not found:', params.collection, params.item);
+            Router.show404(route);
+            return false;
+        }
+
+        this.sort = Object.hasOwn(this.sortOrders, params.query.sort || '') ? params.query.sort : null;
+        this.render(params.collection);
+
+        if (params.item) {
+            const itemIds = params.collection
+                ? this.getCollectionItems(params.collection).map(i => i.id)
+                : null;
+            this.openItemInLightbox(params.item, itemIds);
+        }
+    },
+
+    /**
+     * Get a collection's display name
+     * @param {string} collectionId - Collection ID
+     * @returns {string|null} Collection name, or null if unknown or not loaded yet
+     */
+    getCollectionName(collectionId) {
+        const collection = this.collections && this.collections[collectionId];
+        return collection ? collection.name : null;
+    },
+
+    /**
+     * Get an item's title
+     * @param {string} itemId - Item ID
+     * @returns {string|null} Title, or null if unknown or not loaded yet
+     */
+    getItemTitle(itemId) {
+        const item = this.items && this.items[itemId];
+        return item ? item.title : null;
     },
 
     /**
@@ -67,18 +127,12 @@ const CuratedMiscController = {
      * Render collection overview - Show all collections on 4 walls
      */
     renderCollectionOverview() {
-        const room = document.getElementById('room');
-        if (!room) return;
-
         // Clear all walls
         ['leftmost', 'leftmiddle', 'rightmiddle', 'rightmost'].forEach(wall => {
             const content = document.getElementById(`${wall}-content`);
             if (content) content.innerHTML = '';
         });
 
-        // Use 4-wall layout
-        room.className = 'room four-wall-layout';
-
         const collectionIds = Object.keys(this.collections);
         const walls = ['leftmost', 'leftmiddle', 'rightmiddle', 'rightmost'];
 
@@ -94,18 +148,40 @@ const CuratedMiscController = {
         });
     },
 
+    /**
+     * Get a collection's items, featured first then newest,
+     * unless a sort order was picked
+     * @param {string} collectionId - Collection ID
+     * @returns {Array} Sorted items
+     */
+    getCollectionItems(collectionId) {
+        const items = Object.values(this.items)
+            .filter(i => i.collection === collectionId);
+
+        if (this.sort) {
+            return items.sort(this.sortOrders[this.sort]);
+        }
+
+        return items.sort((a, b) => {
+            // Sort by featured first, then by date added
+            if (a.featured && !b.featured) return -1;
+            if (!a.featured && b.featured) return 1;
+            return new Date(b.dateAdded) - new Date(a.dateAdded);
+        });
+    },
+
     /**
      * Create a collection button for the wall
      * @param {string} collectionId - Collection identifier
      * @param {Object} collection - Collection data
-     * @returns {string} HTML string
+     * @returns {Object} Markup
      */
     createCollectionButton(collectionId, collection) {
         const itemsInCollection = Object.values(this.items)
             .filter(i => i.collection === collectionId).length;
 
-        return `
-            <button class="wall-button" onclick="CuratedMiscController.navigateToCollection('${collectionId}')">
+        return html`
+            <button class="wall-button" data-action="curated-misc.open-collection" data-collection="${collectionId}">
                 <div class="button-content">
                     <h2>${collection.name}</h2>
                     <p class="wall-description">${collection.description}</p>
@@ -121,7 +197,9 @@ const CuratedMiscController = {
      */
     navigateToCollection(collectionId) {
         if (window.Router) {
-            Router.navigateTo(`/works/curated/misc/${collectionId}`);
+            // The sort order carries over into the collection
+            const route = Router.getRoomPath('curated-misc', { collection: collectionId });
+            Router.navigateTo(Router.withQuery(route, { sort: this.sort }));
         }
     },
 
@@ -130,27 +208,14 @@ const CuratedMiscController = {
      * @param {string} collectionId - Collection ID to render
      */
     renderCollection(collectionId) {
-        const room = document.getElementById('room');
-        if (!room) return;
-
         // Clear all walls
         ['leftmost', 'leftmiddle', 'rightmiddle', 'rightmost'].forEach(wall => {
             const content = document.getElementById(`${wall}-content`);
             if (content) content.innerHTML = '';
         });
 
-        // Use 4-wall layout
-        room.className = 'room four-wall-layout';
-
         // Get items in this collection
-        const itemsInCollection = Object.values(this.items)
-            .filter(i => i.collection === collectionId)
-            .sort((a, b) => {
-                // Sort by featured first, then by date added
-                if (a.featured && !b.featured) return -1;
-                if (!a.featured && b.featured) return 1;
-                return new Date(b.dateAdded) - new Date(a.dateAdded);
-            });
+        const itemsInCollection = this.getCollectionItems(collectionId);
 
         const walls = ['leftmost', 'leftmiddle', 'rightmiddle', 'rightmost'];
 
@@ -168,19 +233,19 @@ const CuratedMiscController = {
      * Create an item button for the wall
      * @param {Object} item - Item data
      * @param {Array} itemArray - Array of all items for navigation
-     * @returns {string} HTML string
+     * @returns {Object} Markup
      */
     createItemButton(item, itemArray) {
-        const featuredBadge = item.featured ? '<span class="featured-badge">Recommended</span>' : '';
-        const typeBadge = item.type ? `<span class="content-type-badge">${item.type}</span>` : '';
+        const featuredBadge = item.featured ? html`<span class="featured-badge">Recommended</span>` : '';
+        const typeBadge = item.type ? html`<span class="content-type-badge">${item.type}</span>` : '';
 
-        return `
-            <button class="wall-button" onclick='CuratedMiscController.openItemInLightbox("${item.id}", ${JSON.stringify(itemArray.map(i => i.id))})'>
+        return html`
+            <button class="wall-button" data-action="curated-misc.open-item" data-id="${item.id}" data-ids="${JSON.stringify(itemArray.map(i => i.id))}">
                 <div class="button-content">
                     <h2>${item.title}</h2>
-                    ${item.creator ? `<p class="wall-meta">by ${item.creator}</p>` : ''}
+                    ${item.creator ? html`<p class="wall-meta">by ${item.creator}</p>` : ''}
                     ${typeBadge}
-                    ${item.excerpt ? `<p class="writing-excerpt">${item.excerpt}</p>` : ''}
+                    ${item.excerpt ? html`<p class="writing-excerpt">${item.excerpt}</p>` : ''}
                     ${featuredBadge}
                 </div>
             </button>
@@ -241,7 +306,7 @@ const CuratedMiscController = {
 
         const backContent = document.getElementById('back-content');
         if (backContent) {
-            backContent.innerHTML = `
+            backContent.innerHTML = html`
                 <div class="empty-state">
                     <h2>No Curated Content Available</h2>
                     <p>Check back later for curated recommendations.</p>
@@ -253,3 +318,35 @@ const CuratedMiscController = {
 
 // Export to window for global access
 window.CuratedMiscController = CuratedMiscController;
+
+// Pick up changed content, re-rendering the room if it is on display
+if (window.ContentRepository) {
+    window.ContentRepository.subscribe('curated_misc', (content) => {
+        CuratedMiscController.applyContent(content);
+        Router.refreshRoom('curated-misc');
+    });
+}
+
+// Register room with the router
+if (window.Router) {
+    window.Router.registerRoute({
+        room: 'curated-misc',
+        params: '/:collection?/:item?',
+        name: (params) => {
+            if (params.item) return CuratedMiscController.getItemTitle(params.item);
+            if (params.collection) return CuratedMiscController.getCollectionName(params.collection);
+            return SiteManifest.getRoom('curated-misc').label;
+        },
+        contentType: 'curated_misc',
+        itemParams: (item) => ({ collection: item.collection, item: item.id }),
+        enter: (params, route, signal) => CuratedMiscController.enter(params, route, signal)
+    });
+}
+
+// Handle clicks in the room's markup
+if (window.Actions) {
+    window.Actions.register({
+        'curated-misc.open-collection': ({ collection }) => CuratedMiscController.navigateToCollection(collection),
+        'curated-misc.open-item': ({ id, ids }) => CuratedMiscController.openItemInLightbox(id, JSON.parse(ids))
+    });
+}
@@ -6,44 +6,104 @@
 const CuratedMusicController = {
     music: null,
     collections: null,
+    sort: null,
+
+    // Orders a collection can be shown in with ?sort=, besides the default
+    sortOrders: {
+        rating: (a, b) => (b.rating || 0) - (a.rating || 0),
+        year: (a, b) => (b.year || 0) - (a.year || 0),
+        title: (a, b) => (a.title || '').localeCompare(b.title || '')
+    },
 
     /**
      * Initialize controller - Load curated music data
+     * @param {AbortSignal} signal - Optional signal that aborts loading
      */
-    async init() {
+    async init(signal = null) {
         console.log('CuratedMusicController: Initializing');
-        await this.loadMusicData();
+        await this.loadMusicData(signal);
     },
 
     /**
      * Load curated music from JSON file
+     * @param {AbortSignal} signal - Optional signal that aborts the request
      */
-    async loadMusicData() {
+    async loadMusicData(signal = null) {
         try {
-            const response = await fetch('content/curated/music/curated-music.json');
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+            this.applyContent(await ContentRepository.load('curated_music', { signal }));
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                console.log('CuratedMusicController: Load aborted');
+                return;
             }
-            const data = await response.json();
+            console.error('CuratedMusicController: Failed to load curated music:', error);
+            this.applyContent({ items: {}, collections: {} });
+        }
+    },
 
-            this.collections = data.collections || {};
+    /**
+     * Take over content from the shared repository
+     * @param {Object} content - Repository content ({ items, collections })
+     */
+    applyContent(content) {
+        this.music = content.items;
+        this.collections = content.collections;
 
-            // Convert items array to object keyed by ID for easy lookup
-            this.music = {};
-            if (data.items && Array.isArray(data.items)) {
-                data.items.forEach(item => {
-                    this.music[item.id] = item;
-                });
-            }
+        console.log('CuratedMusicController: Loaded', Object.keys(this.music).length, 'music items');
+    },
 
-            console.log('CuratedMusicController: Loaded', Object.keys(this.music).length, 'music items');
-        } catch (error) {
-            console.error('CuratedMusicController: Failed to load curated music:', error);
-            this.music = {};
-            this.collections = {};
+    /**
+     * Enter the room from a route
+     * @param {Object} params - Route params ({ collection, item, query: { sort } })
+     * @param {string} route - Route being entered
+     * @param {AbortSignal} signal - Aborted when a newer navigation supersedes this one
+     * @returns {Promise<boolean|undefined>} False if the route's collection or item doesn't exist
+     */
+    async enter(params, route, signal = null) {
+        if (!this.music) {
+            await this.init(signal);
+        }
+        if (signal && signal.aborted) return;
+
+        // Deep links to collections or music items that don't exist are not found
+        if ((params.collection && !this.collections[params.collection]) ||
+            (params.item && !this.music[params.item])) {
+            console.error('CuratedMusicController: Not found:', params.collection, params.item);
+            Router.show404(route);
+            return false;
+        }
+
+        this.sort = Object.hasOwn(this.sortOrders, params.query.sort || '') ? params.query.sort : null;
+        this.render(params.collection);
+
+        if (params.item) {
+            const itemIds = params.collection
+                ? this.getCollectionItems(params.collection).map(m => m.id)
+                : null;
+            this.openMusicInLightbox(params.item, itemIds);
         }
     },
 
+    /**
+     * Get a collection's display name
+     * @param {string} collectionId - Collection ID
+     * @returns {string|null} Collection name, or null if unknown or not loaded yet
+     */
+    getCollectionName(collectionId) {
+        const collection = this.collections && this.collections[collectionId];
+        return collection ? collection.name : null;
+    },
+
+    /**
+     * Get a music item's title
+     * @param {string} itemId - Music item ID
+     * @returns {string|null} Title, or null if unknown or not loaded yet
+     */
+    getItemTitle(itemId) {
+        const item = this.music && this.music[itemId];
+        return item ? item.title : null;
+    },
+
     /**
      * Render curated music view
      * @param {string} collectionId - Optional collection ID to filter by
@@ -67,18 +127,12 @@ const CuratedMusicController = {
      * Render collection overview - Show all collections on 4 walls
      */
     renderCollectionOverview() {
-        const room = document.getElementById('room');
-        if (!room) return;
-
         // Clear all walls
         ['leftmost', 'leftmiddle', 'rightmiddle', 'rightmost'].forEach(wall => {
             const content = document.getElementById(`${wall}-content`);
             if (content) content.innerHTML = '';
         });
 
-        // Use 4-wall layout
-        room.className = 'room four-wall-layout';
-
         const collectionIds = Object.keys(this.collections);
         const walls = ['leftmost', 'leftmiddle', 'rightmiddle', 'rightmost'];
 
@@ -94,18 +148,40 @@ const CuratedMusicController = {
         });
     },
 
+    /**
+     * Get a collection's music items, featured first then newest,
+     * unless a sort order was picked
+     * @param {string} collectionId - Collection ID
+     * @returns {Array} Sorted music items
+     */
+    getCollectionItems(collectionId) {
+        const items = Object.values(this.music)
+            .filter(m => m.collection === collectionId);
+
+        if (this.sort) {
+            return items.sort(this.sortOrders[this.sort]);
+        }
+
+        return items.sort((a, b) => {
+            // Sort by featured first, then by date added
+            if (a.featured && !b.featured) return -1;
+            if (!a.featured && b.featured) return 1;
+            return new Date(b.dateAdded) - new Date(a.dateAdded);
+        });
+    },
+
     /**
      * Create a collection button for the wall
      * @param {string} collectionId - Collection identifier
      * @param {Object} collection - Collection data
-     * @returns {string} HTML string
+     * @returns {Object} Markup
      */
     createCollectionButton(collectionId, collection) {
         const itemsInCollection = Object.values(this.music)
             .filter(m => m.collection === collectionId).length;
 
-        return `
-            <button class="wall-button" onclick="CuratedMusicController.navigateToCollection('${collectionId}')">
+        return html`
+            <button class="wall-button" data-action="curated-music.open-collection" data-collection="${collectionId}">
                 <div class="button-content">
                     <h2>${collection.name}</h2>
                     <p class="wall-description">${collection.description}</p>
@@ -121,7 +197,9 @@ const CuratedMusicController = {
      */
     navigateToCollection(collectionId) {
         if (window.Router) {
-            Router.navigateTo(`/works/curated/music/${collectionId}`);
+            // The sort order carries over into the collection
+            const route = Router.getRoomPath('curated-music', { collection: collectionId });
+            Router.navigateTo(Router.withQuery(route, { sort: this.sort }));
         }
     },
 
@@ -130,27 +208,14 @@ const CuratedMusicController = {
      * @param {string} collectionId - Collection ID to render
      */
     renderCollection(collectionId) {
-        const room = document.getElementById('room');
-        if (!room) return;
-
         // Clear all walls
         ['leftmost', 'leftmiddle', 'rightmiddle', 'rightmost'].forEach(wall => {
             const content = document.getElementById(`${wall}-content`);
             if (content) content.innerHTML = '';
         });
 
-        // Use 4-wall layout
-        room.className = 'room four-wall-layout';
-
         // Get music items in this collection
-        const itemsInCollection = Object.values(this.music)
-            .filter(m => m.collection === collectionId)
-            .sort((a, b) => {
-                // Sort by featured first, then by date added
-                if (a.featured && !b.featured) return -1;
-                if (!a.featured && b.featured) return 1;
-                return new Date(b.dateAdded) - new Date(a.dateAdded);
-            });
+        const itemsInCollection = this.getCollectionItems(collectionId);
 
         const walls = ['leftmost', 'leftmiddle', 'rightmiddle', 'rightmost'];
 
@@ -168,27 +233,27 @@ const CuratedMusicController = {
      * Create a music item button for the wall
      * @param {Object} item - Music item data
      * @param {Array} itemArray - Array of all music items for navigation
-     * @returns {string} HTML string
+     * @returns {Object} Markup
      */
     createMusicButton(item, itemArray) {
-        const featuredBadge = item.featured ? '<span class="featured-badge">Recommended</span>' : '';
+        const featuredBadge = item.featured ? html`<span class="featured-badge">Recommended</span>` : '';
 
         // Build genre badges if genres exist
         let genreBadges = '';
         if (item.genres && Array.isArray(item.genres)) {
-            genreBadges = `<div class="track-genres">${item.genres.map(genre =>
-                `<span class="genre-badge">${genre}</span>`
-            ).join('')}</div>`;
+            genreBadges = html`<div class="track-genres">${item.genres.map(genre =>
+                html`<span class="genre-badge">${genre}</span>`
+            )}</div>`;
         }
 
-        return `
-            <button class="wall-button" onclick='CuratedMusicController.openMusicInLightbox("${item.id}", ${JSON.stringify(itemArray.map(i => i.id))})'>
+        return html`
+            <button class="wall-button" data-action="curated-music.open-item" data-id="${item.id}" data-ids="${JSON.stringify(itemArray.map(i => i.id))}">
                 <div class="button-content">
                     <h2>${item.title}</h2>
-                    ${item.artist ? `<p class="wall-meta">by ${item.artist}</p>` : ''}
-                    ${item.year ? `<p class="wall-meta">${item.year}</p>` : ''}
+                    ${item.artist ? html`<p class="wall-meta">by ${item.artist}</p>` : ''}
+                    ${item.year ? html`<p class="wall-meta">${item.year}</p>` : ''}
                     ${genreBadges}
-                    ${item.excerpt ? `<p class="writing-excerpt">${item.excerpt}</p>` : ''}
+                    ${item.excerpt ? html`<p class="writing-excerpt">${item.excerpt}</p>` : ''}
                     ${featuredBadge}
                 </div>
             </button>
@@ -249,7 +314,7 @@ const CuratedMusicController = {
 
         const backContent = document.getElementById('back-content');
         if (backContent) {
-            backContent.innerHTML = `
+            backContent.innerHTML = html`
                 <div class="empty-state">
                     <h2>No Curated Music Available</h2>
                     <p>Check back later for music recommendations.</p>
@@ -261,3 +326,41 @@ const CuratedMusicController = {
 
 // Export to window for global access
 window.CuratedMusicController = CuratedMusicController;
+
+// Pick up changed content, re-rendering the room if it is on display
+if (window.ContentRepository) {
+    window.ContentRepository.subscribe('curated_music', (content) => {
+        CuratedMusicController.applyContent(content);
+        Router.refreshRoom('curated-music');
+    });
+}
+
+// Register room with the router
+if (window.Router) {
+    window.Router.registerRoute({
+        room: 'curated-music',
+        params: '/:collection?/:item?',
+        name: (params) => {
+            if (params.item) return CuratedMusicController.getItemTitle(params.item);
+            if (params.collection) return CuratedMusicController.getCollectionName(params.collection);
+            return SiteManifest.getRoom('curated-music').label;
+        },
+        contentType: 'curated_music',
+        itemParams: (item) => ({ collection: item.collection, item: item.id }),
+        enter: (params, route, signal) => CuratedMusicController.enter(params, route, signal),
+        beforeLeave: () => {
+            // Stop playback when walking out of the room
+            if (window.UniversalContentLightbox) {
+                window.UniversalContentLightbox.stopMedia();
+            }
+        }
+    });
+}
+
+// Handle clicks in the room's markup
+if (window.Actions) {
+    window.Actions.register({
+        'curated-music.open-collection': ({ collection }) => CuratedMusicController.navigateToCollection(collection),
+        'curated-music.open-item': ({ id, ids }) => CuratedMusicController.openMusicInLightbox(id, JSON.parse(ids))
+    });
+}
@@ -6,42 +6,102 @@
 const CuratedWritingsController = {
     writings: null,
     collections: null,
+    sort: null,
+
+    // Orders a collection can be shown in with ?sort=, besides the default
+    sortOrders: {
+        rating: (a, b) => (b.rating || 0) - (a.rating || 0),
+        year: (a, b) => (b.year || 0) - (a.year || 0),
+        title: (a, b) => (a.title || '').localeCompare(b.title || '')
+    },
 
     /**
      * Initialize controller - Load curated writings data
+     * @param {AbortSignal} signal - Optional signal that aborts loading
      */
-    async init() {
+    async init(signal = null) {
         console.log('CuratedWritingsController: Initializing');
-        await this.loadWritingsData();
+        await this.loadWritingsData(signal);
     },
 
     /**
      * Load curated writings from JSON file
+     * @param {AbortSignal} signal - Optional signal that aborts the request
      */
-    async loadWritingsData() {
+    async loadWritingsData(signal = null) {
         try {
-            const response = await fetch('content/curated/writings/curated-writings.json');
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+            this.applyContent(await ContentRepository.load('curated_writing', { signal }));
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                console.log('CuratedWritingsController: Load aborted');
+                return;
             }
-            const data = await response.json();
+            console.error('CuratedWritingsController: Failed to load curated writings:', error);
+            this.applyContent({ items: {}, collections: {} });
+        }
+    },
 
-            this.collections = data.collections || {};
+    /**
+     * Take over content from the shared repository
+     * @param {Object} content - Repository content ({ items, collections })
+     */
+    applyContent(content) {
+        this.writings = content.items;
+        this.collections = content.collections;
 
-            // Convert articles array to object keyed by ID for easy lookup
-            this.writings = {};
-            if (data.articles && Array.isArray(data.articles)) {
-                data.articles.forEach(article => {
-                    this.writings[article.id] = article;
-                });
-            }
+        console.log('CuratedWritingsController: Loaded', Object.keys(this.writings).length, 'curated writings');
+    },
 
-            console.log('CuratedWritingsController: Loaded', Object.keys(this.writings).length, 'curated writings');
-        } catch (error) {
-            console.error('CuratedWritingsController: Failed to load curated writings:', error);
-            this.writings = {};
-            this.collections = {};
+    /**
+     * Enter the room from a route
+     * @param {Object} params - Route params ({ collection, item, query: { sort } })
+     * @param {string} route - Route being entered
+     * @param {AbortSignal} signal - Aborted when a newer navigation supersedes this one
+     * @returns {Promise<boolean|undefined>} False if the route's collection or item doesn't exist
+     */
+    async enter(params, route, signal = null) {
+        if (!this.writings) {
+            await this.init(signal);
         }
+        if (signal && signal.aborted) return;
+
+        // Deep links to collections or writings that don't exist are not found
+        if ((params.collection && !this.collections[params.collection]) ||
+            (params.item && !this.writings[params.item])) {
+            console.error('CuratedWritingsController: Not found:', params.collection, params.item);
+            Router.show404(route);
+            return false;
+        }
+
+        this.sort = Object.hasOwn(this.sortOrders, params.query.sort || '') ? params.query.sort : null;
+        this.render(params.collection);
+
+        if (params.item) {
+            const itemIds = params.collection
+                ? this.getCollectionItems(params.collection).map(w => w.id)
+                : null;
+            this.openWritingInLightbox(params.item, itemIds);
+        }
+    },
+
+    /**
+     * Get a collection's display name
+     * @param {string} collectionId - Collection ID
+     * @returns {string|null} Collection name, or null if unknown or not loaded yet
+     */
+    getCollectionName(collectionId) {
+        const collection = this.collections && this.collections[collectionId];
+        return collection ? collection.name : null;
+    },
+
+    /**
+     * Get a writing's title
+     * @param {string} itemId - Writing ID
+     * @returns {string|null} Title, or null if unknown or not loaded yet
+     */
+    getItemTitle(itemId) {
+        const item = this.writings && this.writings[itemId];
+        return item ? item.title : null;
     },
 
     /**
@@ -67,18 +127,12 @@ const CuratedWritingsController = {
      * Render collection overview - Show all collections on 4 walls
      */
     renderCollectionOverview() {
-        const room = document.getElementById('room');
-        if (!room) return;
-
         // Clear all walls
         ['leftmost', 'leftmiddle', 'rightmiddle', 'rightmost'].forEach(wall => {
             const content = document.getElementById(`${wall}-content`);
             if (content) content.innerHTML = '';
         });
 
-        // Use 4-wall layout
-        room.className = 'room four-wall-layout';
-
         const collectionIds = Object.keys(this.collections);
         const walls = ['leftmost', 'leftmiddle', 'rightmiddle', 'rightmost'];
 
@@ -94,18 +148,40 @@ const CuratedWritingsController = {
         });
     },
 
+    /**
+     * Get a collection's writings, featured first then newest,
+     * unless a sort order was picked
+     * @param {string} collectionId - Collection ID
+     * @returns {Array} Sorted writings
+     */
+    getCollectionItems(collectionId) {
+        const items = Object.values(this.writings)
+            .filter(w => w.collection === collectionId);
+
+        if (this.sort) {
+            return items.sort(this.sortOrders[this.sort]);
+        }
+
+        return items.sort((a, b) => {
+            // Sort by featured first, then by date added
+            if (a.featured && !b.featured) return -1;
+            if (!a.featured && b.featured) return 1;
+            return new Date(b.dateAdded) - new Date(a.dateAdded);
+        });
+    },
+
     /**
      * Create a collection button for the wall
      * @param {string} collectionId - Collection identifier
      * @param {Object} collection - Collection data
-     * @returns {string} HTML string
+     * @returns {Object} Markup
      */
     createCollectionButton(collectionId, collection) {
         const writingsInCollection = Object.values(this.writings)
             .filter(w => w.collection === collectionId).length;
 
-        return `
-            <button class="wall-button" onclick="CuratedWritingsController.navigateToCollection('${collectionId}')">
+        return html`
+            <button class="wall-button" data-action="curated-writings.open-collection" data-collection="${collectionId}">
                 <div class="button-content">
                     <h2>${collection.name}</h2>
                     <p class="wall-description">${collection.description}</p>
@@ -121,7 +197,9 @@ const CuratedWritingsController = {
      */
     navigateToCollection(collectionId) {
         if (window.Router) {
-            Router.navigateTo(`/works/curated/writings/${collectionId}`);
+            // The sort order carries over into the collection
+            const route = Router.getRoomPath('curated-writings', { collection: collectionId });
+            Router.navigateTo(Router.withQuery(route, { sort: this.sort }));
         }
     },
 
@@ -130,27 +208,14 @@ const CuratedWritingsController = {
      * @param {string} collectionId - Collection ID to render
      */
     renderCollection(collectionId) {
-        const room = document.getElementById('room');
-        if (!room) return;
-
         // Clear all walls
         ['leftmost', 'leftmiddle', 'rightmiddle', 'rightmost'].forEach(wall => {
             const content = document.getElementById(`${wall}-content`);
             if (content) content.innerHTML = '';
         });
 
-        // Use 4-wall layout
-        room.className = 'room four-wall-layout';
-
         // Get writings in this collection
-        const writingsInCollection = Object.values(this.writings)
-            .filter(w => w.collection === collectionId)
-            .sort((a, b) => {
-                // Sort by featured first, then by date added
-                if (a.featured && !b.featured) return -1;
-                if (!a.featured && b.featured) return 1;
-                return new Date(b.dateAdded) - new Date(a.dateAdded);
-            });
+        const writingsInCollection = this.getCollectionItems(collectionId);
 
         const walls = ['leftmost', 'leftmiddle', 'rightmiddle', 'rightmost'];
 
@@ -168,19 +233,19 @@ const CuratedWritingsController = {
      * Create a writing button for the wall
      * @param {Object} writing - Writing data
      * @param {Array} writingArray - Array of all writings for navigation
-     * @returns {string} HTML string
+     * @returns {Object} Markup
      */
     createWritingButton(writing, writingArray) {
-        const featuredBadge = writing.featured ? '<span class="featured-badge">Recommended</span>' : '';
+        const featuredBadge = writing.featured ? html`<span class="featured-badge">Recommended</span>` : '';
 
-        return `
-            <button class="wall-button" onclick='CuratedWritingsController.openWritingInLightbox("${writing.id}", ${JSON.stringify(writingArray.map(w => w.id))})'>
+        return html`
+            <button class="wall-button" data-action="curated-writings.open-item" data-id="${writing.id}" data-ids="${JSON.stringify(writingArray.map(w => w.id))}">
                 <div class="button-content">
                     <h2>${writing.title}</h2>
-                    ${writing.author ? `<p class="wall-meta">by ${writing.author}</p>` : ''}
-                    ${writing.excerpt ? `<p class="writing-excerpt">${writing.excerpt}</p>` : ''}
+                    ${writing.author ? html`<p class="wall-meta">by ${writing.author}</p>` : ''}
+                    ${writing.excerpt ? html`<p class="writing-excerpt">${writing.excerpt}</p>` : ''}
                     ${featuredBadge}
-                    ${writing.type ? `<p class="wall-meta">${writing.type}</p>` : ''}
+                    ${writing.type ? html`<p class="wall-meta">${writing.type}</p>` : ''}
                 </div>
             </button>
         `;
@@ -240,7 +305,7 @@ const CuratedWritingsController = {
 
         const backContent = document.getElementById('back-content');
         if (backContent) {
-            backContent.innerHTML = `
+            backContent.innerHTML = html`
                 <div class="empty-state">
                     <h2>No Curated Writings Available</h2>
                     <p>Check back later for curated reading recommendations.</p>
@@ -252,3 +317,35 @@ const CuratedWritingsController = {
 
 // Export to window for global access
 window.CuratedWritingsController = CuratedWritingsController;
+
+// Pick up changed content, re-rendering the room if it is on display
+if (window.ContentRepository) {
+    window.ContentRepository.subscribe('curated_writing', (content) => {
+        CuratedWritingsController.applyContent(content);
+        Router.refreshRoom('curated-writings');
+    });
+}
+
+// Register room with the router
+if (window.Router) {
+    window.Router.registerRoute({
+        room: 'curated-writings',
+        params: '/:collection?/:item?',
+        name: (params) => {
+            if (params.item) return CuratedWritingsController.getItemTitle(params.item);
+            if (params.collection) return CuratedWritingsController.getCollectionName(params.collection);
+            return SiteManifest.getRoom('curated-writings').label;
+        },
+        contentType: 'curated_writing',
+        itemParams: (item) => ({ collection: item.collection, item: item.id }),
+        enter: (params, route, signal) => CuratedWritingsController.enter(params, route, signal)
+    });
+}
+
+// Handle clicks in the room's markup
+if (window.Actions) {
+    window.Actions.register({
+        'curated-writings.open-collection': ({ collection }) => CuratedWritingsController.navigateToCollection(collection),
+        'curated-writings.open-item': ({ id, ids }) => CuratedWritingsController.openWritingInLightbox(id, JSON.parse(ids))
+    });
+}
@@ -11,50 +11,43 @@ const MusicController = {
 
     /**
      * Initialize music system
+     * @param {AbortSignal} signal - Optional signal that aborts loading
      */
-    async init() {
+    async init(signal = null) {
         console.log('MusicController: Initializing');
-        await this.loadMusicData();
-        this.identifyFeaturedCollection();
+        await this.loadMusicData(signal);
     },
 
     /**
      * Load music data from JSON
+     * @param {AbortSignal} signal - Optional signal that aborts the request
      */
-    async loadMusicData() {
+    async loadMusicData(signal = null) {
         try {
-            const response = await fetch('content/music/music.json');
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-            const data = await response.json();
-
-            // Handle tracks as either object or array
-            if (data.tracks) {
-                if (Array.isArray(data.tracks)) {
-                    // Convert array to object keyed by ID
-                    this.tracks = {};
-                    data.tracks.forEach(track => {
-                        this.tracks[track.id] = track;
-                    });
-                } else {
-                    // Already an object
-                    this.tracks = data.tracks;
-                }
-            } else {
-                this.tracks = {};
-            }
-
-            this.collections = data.collections || {};
-
-            console.log('MusicController: Loaded', Object.keys(this.tracks).length, 'tracks');
+            this.applyContent(await ContentRepository.load('music', { signal }));
         } catch (error) {
+            if (error.name === 'AbortError') {
+                console.log('MusicController: Load aborted');
+                return;
+            }
             console.error('MusicController: Failed to load data:', error);
-            this.tracks = {};
-            this.collections = {};
+            this.applyContent({ items: {}, collections: {} });
         }
     },
 
+    /**
+     * Take over content from the shared repository
+     * @param {Object} content - Repository content ({ items, collections })
+     */
+    applyContent(content) {
+        this.tracks = content.items;
+        this.collections = content.collections;
+
+        this.identifyFeaturedCollection();
+
+        console.log('MusicController: Loaded', Object.keys(this.tracks).length, 'tracks');
+    },
+
     /**
      * Identify featured collection
      */
@@ -71,10 +64,59 @@ const MusicController = {
         }
     },
 
+    /**
+     * Enter the music room from a route
+     * @param {Object} params - Route params ({ collection, item })
+     * @param {string} route - Route being entered
+     * @param {AbortSignal} signal - Aborted when a newer navigation supersedes this one
+     * @returns {Promise<boolean|undefined>} False if the route's collection or track doesn't exist
+     */
+    async enter(params, route, signal = null) {
+        if (!this.tracks) {
+            await this.init(signal);
+        }
+        if (signal && signal.aborted) return;
+
+        // Deep links to collections or tracks that don't exist are not found
+        if ((params.collection && !this.collections[params.collection]) ||
+            (params.item && !this.tracks[params.item])) {
+            console.error('MusicController: Not found:', params.collection, params.item);
+            Router.show404(route);
+            return false;
+        }
+
+        this.render(params.collection);
+
+        if (params.item) {
+            this.openTrackInLightbox(params.item);
+        }
+    },
+
+    /**
+     * Get a collection's display name
+     * @param {string} collectionId - Collection ID
+     * @returns {string|null} Collection name, or null if unknown or not loaded yet
+     */
+    getCollectionName(collectionId) {
+        const collection = this.collections && this.collections[collectionId];
+        return collection ? collection.name : null;
+    },
+
+    /**
+     * Get a track's title
+     * @param {string} itemId - Track ID
+     * @returns {string|null} Title, or null if unknown or not loaded yet
+     */
+    getItemTitle(itemId) {
+        const item = this.tracks && this.tracks[itemId];
+        return item ? item.title : null;
+    },
+
     /**
      * Render music page with 3-wall layout
+     * @param {string} collectionId - Optional collection to show instead of the featured one
      */
-    render() {
+    render(collectionId = null) {
         console.log('MusicController: Rendering');
 
         if (!this.tracks || Object.keys(this.tracks).length === 0) {
@@ -82,17 +124,13 @@ const MusicController = {
             return;
         }
 
-        const room = document.getElementById('room');
-        if (!room) return;
-
-        // Use 3-wall layout
-        room.className = 'room three-wall-layout';
-
         // Clear all walls
         this.clearAllWalls();
 
         // Default to featured collection
-        this.currentCollection = this.featuredCollection;
+        this.currentCollection = collectionId && this.collections[collectionId]
+            ? collectionId
+            : this.featuredCollection;
 
         // Render each wall
         this.renderLeftWall();
@@ -121,14 +159,14 @@ const MusicController = {
         const collectionButtons = collectionIds.map(id => {
             const collection = this.collections[id];
             const isActive = id === this.currentCollection ? 'active' : '';
-            return `
-                <button class="collection-text-button ${isActive}" onclick="MusicController.selectCollection('${id}')">
+            return html`
+                <button class="collection-text-button ${isActive}" data-action="music.select-collection" data-collection="${id}">
                     ${collection.name}
                 </button>
             `;
-        }).join('');
+        });
 
-        leftContent.innerHTML = `
+        leftContent.innerHTML = html`
             <div class="wall-content">
                 <div class="collection-list">
                     ${collectionButtons}
@@ -154,21 +192,24 @@ const MusicController = {
         const displayTracks = tracksInCollection.slice(0, 6);
 
         const trackGrid = displayTracks.map(track => {
-            const coverUrl = track.coverArt || 'content/music/default-cover.webp';
-            return `
-                <div class="track-grid-item" onclick='MusicController.openTrackInLightbox("${track.id}")'>
-                    <div class="track-thumbnail" style="background-image: url('${coverUrl}')"></div>
+            const isFullUrl = track.cover && (track.cover.startsWith('http') || track.cover.startsWith('data:'));
+            const coverUrl = track.cover
+                ? (isFullUrl ? track.cover : `content/music/${track.cover}`)
+                : 'content/music/default-cover.webp';
+            return html`
+                <div class="track-grid-item" data-action="music.open-track" data-id="${track.id}">
+                    <div class="track-thumbnail" style="background-image: ${HTMLTemplate.cssURL(coverUrl)}"></div>
                 </div>
             `;
-        }).join('');
+        });
 
-        backContent.innerHTML = `
+        backContent.innerHTML = html`
             <div class="wall-content">
                 <h2 class="collection-title">${collection.name}</h2>
                 <div class="track-grid-2x3">
                     ${trackGrid}
                 </div>
-                <button class="more-label bottom-right" onclick="MusicController.openCollectionGrid()">
+                <button class="more-label bottom-right" data-action="music.open-grid">
                     more
                 </button>
             </div>
@@ -182,9 +223,9 @@ const MusicController = {
         const rightContent = document.getElementById('right-content');
         if (!rightContent) return;
 
-        rightContent.innerHTML = `
+        rightContent.innerHTML = html`
             <div class="wall-content">
-                <button class="wall-button random-button" onclick="MusicController.openRandomTrack()">
+                <button class="wall-button random-button" data-action="music.open-random">
                     <h3>Random</h3>
                 </button>
             </div>
@@ -200,6 +241,11 @@ const MusicController = {
         this.currentCollection = collectionId;
         this.renderCenterWall();
         this.renderLeftWall(); // Re-render to update active state
+
+        // Let Back/Forward return to this collection
+        if (window.Router) {
+            Router.saveViewState();
+        }
     },
 
     /**
@@ -276,7 +322,7 @@ const MusicController = {
 
         const backContent = document.getElementById('back-content');
         if (backContent) {
-            backContent.innerHTML = `
+            backContent.innerHTML = html`
                 <div class="empty-state">
                     <h2>No Music Available</h2>
                     <p>Check back later for music tracks.</p>
@@ -288,3 +334,49 @@ const MusicController = {
 
 // Export to window for global access
 window.MusicController = MusicController;
+
+// Pick up changed content, re-rendering the room if it is on display
+if (window.ContentRepository) {
+    window.ContentRepository.subscribe('music', (content) => {
+        MusicController.applyContent(content);
+        Router.refreshRoom('music');
+    });
+}
+
+// Register room with the router
+if (window.Router) {
+    window.Router.registerRoute({
+        room: 'music',
+        params: '/:collection?/:item?',
+        name: (params) => {
+            if (params.item) return MusicController.getItemTitle(params.item);
+            if (params.collection) return MusicController.getCollectionName(params.collection);
+            return SiteManifest.getRoom('music').label;
+        },
+        contentType: 'music',
+        itemParams: (track) => ({ collection: track.collection, item: track.id }),
+        enter: (params, route, signal) => MusicController.enter(params, route, signal),
+        beforeLeave: () => {
+            // Stop playback when walking out of the room
+            if (window.UniversalContentLightbox) {
+                window.UniversalContentLightbox.stopMedia();
+            }
+        },
+        saveState: () => ({ collection: MusicController.currentCollection }),
+        restoreState: (view) => {
+            if (view.collection && MusicController.collections && MusicController.collections[view.collection]) {
+                MusicController.selectCollection(view.collection);
+            }
+        }
+    });
+}
+
+// Handle clicks in the room's markup
+if (window.Actions) {
+    window.Actions.register({
+        'music.select-collection': ({ collection }) => MusicController.selectCollection(collection),
+        'music.open-track': ({ id }) => MusicController.openTrackInLightbox(id),
+        'music.open-grid': () => MusicController.openCollectionGrid(),
+        'music.open-random': () => MusicController.openRandomTrack()
+    });
+}
@@ -0,0 +1,234 @@
+/**
+ * Not Found Controller
+ * "Lost in the museum" room shown for unknown routes, with suggestions for
+ * the closest real rooms and items
+ */
+
+const NotFoundController = {
+    // Suggestions below this similarity (0-1) are too far off to be useful
+    minScore: 0.5,
+    maxSuggestions: 5,
+
+    /**
+     * Render the not-found room for a route
+     * @param {string} route - Route that could not be matched
+     */
+    render(route) {
+        console.log('NotFoundController: Rendering for', route);
+
+        const backContent = document.getElementById('back-content');
+        if (!backContent) return;
+
+        const container = document.createElement('div');
+        container.className = 'empty-state not-found';
+
+        const heading = document.createElement('h2');
+        heading.textContent = 'Lost in the Museum';
+        container.appendChild(heading);
+
+        // The requested path is user input, so it only ever goes in as text
+        const message = document.createElement('p');
+        message.append('There is no room at ');
+        const path = document.createElement('code');
+        path.className = 'not-found-path';
+        path.textContent = route || '/';
+        message.append(path, '.');
+        container.appendChild(message);
+
+        const suggestions = this.getSuggestions(route);
+        if (suggestions.length > 0) {
+            const suggestionHeading = document.createElement('h3');
+            suggestionHeading.className = 'not-found-heading';
+            suggestionHeading.textContent = 'Perhaps you were looking for';
+            container.appendChild(suggestionHeading);
+            container.appendChild(this.createSuggestionList(suggestions));
+        }
+
+        const entranceBtn = document.createElement('button');
+        entranceBtn.type = 'button';
+        entranceBtn.className = 'control-btn';
+        entranceBtn.textContent = 'Return to Entrance';
+        entranceBtn.addEventListener('click', () => Router.navigateTo(''));
+        container.appendChild(entranceBtn);
+
+        backContent.innerHTML = '';
+        backContent.appendChild(container);
+    },
+
+    /**
+     * Create the list of suggested rooms and items
+     * @param {Array<Object>} suggestions - Suggestions ({ label, route, kind })
+     * @returns {HTMLUListElement}
+     */
+    createSuggestionList(suggestions) {
+        const list = document.createElement('ul');
+        list.className = 'not-found-suggestions';
+
+        suggestions.forEach((suggestion) => {
+            const item = document.createElement('li');
+
+            const link = document.createElement('a');
+            link.href = Router.buildURL(suggestion.route);
+            link.textContent = suggestion.label;
+            link.addEventListener('click', (event) => {
+                event.preventDefault();
+                Router.navigateTo(suggestion.route);
+            });
+            item.appendChild(link);
+
+            const kind = document.createElement('span');
+            kind.className = 'not-found-kind';
+            kind.textContent = suggestion.kind;
+            item.appendChild(kind);
+
+            list.appendChild(item);
+        });
+
+        return list;
+    },
+
+    /**
+     * Find the rooms and items closest to a route
+     * @param {string} route - Requested route
+     * @returns {Array<Object>} Best suggestions first ({ label, route, kind, score })
+     */
+    getSuggestions(route) {
+        const queryTokens = this.tokenize(route);
+        if (queryTokens.length === 0) {
+            return [];
+        }
+
+        const seen = new Set();
+        return this.getCandidates()
+            .map(candidate => ({ ...candidate, score: this.scoreCandidate(queryTokens, candidate) }))
+            .filter(candidate => candidate.score >= this.minScore)
+            .sort((a, b) => b.score - a.score)
+            .filter((candidate) => {
+                if (seen.has(candidate.route)) return false;
+                seen.add(candidate.route);
+                return true;
+            })
+            .slice(0, this.maxSuggestions);
+    },
+
+    /**
+     * Collect rooms from the navigation tree and items from the search index
+     * @returns {Array<Object>} Candidates ({ label, route, kind, tokens })
+     */
+    getCandidates() {
+        const candidates = [];
+
+        const addNodes = (nodes) => {
+            nodes.forEach((node) => {
+                if (typeof node.route === 'string' && node.route !== '') {
+                    candidates.push({
+                        label: node.label,
+                        route: node.route,
+                        kind: 'Room',
+                        tokens: this.tokenize(`${node.label} ${node.route}`)
+                    });
+                }
+                if (Array.isArray(node.children)) {
+                    addNodes(node.children);
+                }
+            });
+        };
+        addNodes(Router.getNavigationTree());
+
+        if (window.SearchSystem && Array.isArray(window.SearchSystem.searchIndex)) {
+            window.SearchSystem.searchIndex.forEach((item) => {
+                const route = Router.getItemRoute(item.type, item.data) || item.route;
+                if (!route) return;
+
+                candidates.push({
+                    label: item.title,
+                    route,
+                    kind: item.contentType,
+                    tokens: this.tokenize(`${item.title} ${item.id || ''}`)
+                });
+            });
+        }
+
+        return candidates;
+    },
+
+    /**
+     * Score how well a candidate matches the requested route
+     * Each query word is matched against the candidate's closest word
+     * @param {Array<string>} queryTokens - Words from the requested route
+     * @param {Object} candidate - Candidate with tokens
+     * @returns {number} Similarity between 0 and 1
+     */
+    scoreCandidate(queryTokens, candidate) {
+        if (candidate.tokens.length === 0) {
+            return 0;
+        }
+
+        const total = queryTokens.reduce((sum, queryToken) => {
+            const best = Math.max(...candidate.tokens.map(token => this.similarity(queryToken, token)));
+            return sum + best;
+        }, 0);
+
+        return total / queryTokens.length;
+    },
+
+    /**
+     * Split text into lowercase words
+     * @param {string} text - Route or label
+     * @returns {Array<string>} Words
+     */
+    tokenize(text) {
+        let decoded = text;
+        try {
+            decoded = decodeURIComponent(text);
+        } catch (error) {
+            // Keep malformed escapes as typed
+        }
+
+        return decoded
+            .toLowerCase()
+            .split(/[^a-z0-9]+/)
+            .filter(token => token.length > 1 && token !== 'works');
+    },
+
+    /**
+     * Similarity of two words based on edit distance
+     * @param {string} a - First word
+     * @param {string} b - Second word
+     * @returns {number} 1 for identical words, 0 for nothing in common
+     */
+    similarity(a, b) {
+        if (a === b) return 1;
+
+        // Typing the start of a word is as good as a near miss
+        if (b.startsWith(a) || a.startsWith(b)) {
+            return 0.9 * Math.min(a.length, b.length) / Math.max(a.length, b.length) + 0.1;
+        }
+
+        return 1 - this.editDistance(a, b) / Math.max(a.length, b.length);
+    },
+
+    /**
+     * Levenshtein distance between two words
+     * @param {string} a - First word
+     * @param {string} b - Second word
+     * @returns {number} Number of single-character edits
+     */
+    editDistance(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            }
+            previous = current;
+        }
+
+        return previous[b.length];
+    }
+};
+
+// Export to window for global access
+window.NotFoundController = NotFoundController;
@@ -0,0 +1,147 @@
+/**
+ * Offline Controller
+ * "Offline" room listing the rooms saved on this device; shown at /offline and
+ * in place of rooms whose content can't be loaded without a connection
+ */
+
+const OfflineController = {
+    // Manifest room the offline room is standing in for, re-rendered once back online
+    replacedRoom: null,
+
+    /**
+     * Check whether a room can be entered right now
+     * @param {string} roomId - Manifest room id
+     * @returns {Promise<boolean>} False when offline and the room's content isn't saved
+     */
+    async canEnter(roomId) {
+        if (!window.ConnectionManager || ConnectionManager.isOnline || !roomId) {
+            return true;
+        }
+        return ConnectionManager.isRoomAvailable(roomId);
+    },
+
+    /**
+     * Render the offline room
+     * @param {string} roomId - Optional manifest room that couldn't be shown
+     * @param {AbortSignal} signal - Aborted when a newer navigation supersedes this one
+     */
+    async render(roomId = null, signal = null) {
+        console.log('OfflineController: Rendering', roomId ? `in place of ${roomId}` : '');
+
+        const backContent = document.getElementById('back-content');
+        if (!backContent) return;
+
+        const rooms = await this.getRooms();
+        if (signal && signal.aborted) {
+            return;
+        }
+
+        this.replacedRoom = roomId;
+
+        const container = document.createElement('div');
+        container.className = 'empty-state offline-room';
+
+        const heading = document.createElement('h2');
+        heading.textContent = 'Offline';
+        container.appendChild(heading);
+
+        const replaced = roomId ? SiteManifest.getRoom(roomId) : null;
+        const message = document.createElement('p');
+        message.textContent = replaced
+            ? `${replaced.breadcrumb || replaced.label} isn't saved on this device yet. These rooms are:`
+            : 'These rooms are saved on this device and open without a connection:';
+        container.appendChild(message);
+
+        const saved = rooms.filter(entry => entry.available);
+        const missing = rooms.filter(entry => !entry.available);
+
+        container.appendChild(this.createRoomList(saved, true));
+
+        if (missing.length > 0) {
+            const missingHeading = document.createElement('h3');
+            missingHeading.className = 'offline-heading';
+            missingHeading.textContent = 'Needs a connection';
+            container.appendChild(missingHeading);
+            container.appendChild(this.createRoomList(missing, false));
+        }
+
+        const entranceBtn = document.createElement('button');
+        entranceBtn.type = 'button';
+        entranceBtn.className = 'control-btn';
+        entranceBtn.textContent = 'Return to Entrance';
+        entranceBtn.addEventListener('click', () => Router.navigateTo(''));
+        container.appendChild(entranceBtn);
+
+        backContent.innerHTML = '';
+        backContent.appendChild(container);
+    },
+
+    /**
+     * Create a list of rooms, linked when they can be visited
+     * @param {Array<Object>} rooms - Rooms ({ room, available })
+     * @param {boolean} linked - Whether to link each room
+     * @returns {HTMLUListElement}
+     */
+    createRoomList(rooms, linked) {
+        const list = document.createElement('ul');
+        list.className = 'offline-rooms';
+
+        rooms.forEach(({ room }) => {
+            const item = document.createElement('li');
+            const label = room.breadcrumb || room.label;
+
+            if (linked) {
+                const link = document.createElement('a');
+                link.href = Router.buildURL(room.route);
+                link.textContent = label;
+                link.addEventListener('click', (event) => {
+                    event.preventDefault();
+                    Router.navigateTo(room.route);
+                });
+                item.appendChild(link);
+            } else {
+                item.textContent = label;
+            }
+
+            list.appendChild(item);
+        });
+
+        return list;
+    },
+
+    /**
+     * Check every manifest room against what is saved on this device
+     * @returns {Promise<Array<Object>>} Rooms in manifest order ({ room, available })
+     */
+    async getRooms() {
+        return Promise.all(SiteManifest.rooms.map(async room => ({
+            room,
+            available: await ConnectionManager.isRoomAvailable(room.id)
+        })));
+    },
+
+    /**
+     * Load the room the offline room stood in for, now that the connection is back
+     */
+    restoreRoom() {
+        if (!this.replacedRoom) return;
+
+        const roomId = this.replacedRoom;
+        this.replacedRoom = null;
+        Router.refreshRoom(roomId);
+    }
+};
+
+// Export to window for global access
+window.OfflineController = OfflineController;
+
+// Register room with the router
+if (window.Router) {
+    window.Router.registerRoute({
+        pattern: '/offline',
+        title: 'Offline - Personal Museum',
+        name: 'Offline',
+        layout: 'single-wall-layout',
+        enter: (params, route, signal) => OfflineController.render(null, signal)
+    });
+}
@@ -8,53 +8,47 @@ const PhotographyController = {
     collections: null,
     currentCollection: null,
     featuredCollection: null,
+    selectedTag: null,
 
     /**
      * Initialize photography system
+     * @param {AbortSignal} signal - Optional signal that aborts loading
      */
-    async init() {
+    async init(signal = null) {
         console.log('PhotographyController: Initializing');
-        await this.loadPhotographyData();
-        this.identifyFeaturedCollection();
+        await this.loadPhotographyData(signal);
     },
 
     /**
      * Load photography data from JSON
+     * @param {AbortSignal} signal - Optional signal that aborts the request
      */
-    async loadPhotographyData() {
+    async loadPhotographyData(signal = null) {
         try {
-            const response = await fetch('content/photography/photography.json');
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-            const data = await response.json();
-
-            // Handle photos as either object or array
-            if (data.photos) {
-                if (Array.isArray(data.photos)) {
-                    // Convert array to object keyed by ID
-                    this.photos = {};
-                    data.photos.forEach(photo => {
-                        this.photos[photo.id] = photo;
-                    });
-                } else {
-                    // Already an object
-                    this.photos = data.photos;
-                }
-            } else {
-                this.photos = {};
-            }
-
-            this.collections = data.collections || {};
-
-            console.log('PhotographyController: Loaded', Object.keys(this.photos).length, 'photos');
+            this.applyContent(await ContentRepository.load('photo', { signal }));
         } catch (error) {
+            if (error.name === 'AbortError') {
+                console.log('PhotographyController: Load aborted');
+                return;
+            }
             console.error('PhotographyController: Failed to load data:', error);
-            this.photos = {};
-            this.collections = {};
+            this.applyContent({ items: {}, collections: {} });
         }
     },
 
+    /**
+     * Take over content from the shared repository
+     * @param {Object} content - Repository content ({ items, collections })
+     */
+    applyContent(content) {
+        this.photos = content.items;
+        this.collections = content.collections;
+
+        this.identifyFeaturedCollection();
+
+        console.log('PhotographyController: Loaded', Object.keys(this.photos).length, 'photos');
+    },
+
     /**
      * Identify featured collection
      */
@@ -71,10 +65,40 @@ const PhotographyController = {
         }
     },
 
+    /**
+     * Enter the photography room from a route
+     * @param {Object} params - Route params ({ collection, item, query: { tag } })
+     * @param {string} route - Route being entered
+     * @param {AbortSignal} signal - Aborted when a newer navigation supersedes this one
+     * @returns {Promise<boolean|undefined>} False if the route's collection or photo doesn't exist
+     */
+    async enter(params, route, signal = null) {
+        await this.init(signal);
+        if (signal && signal.aborted) return;
+
+        // Deep links to collections or photos that don't exist are not found
+        if ((params.collection && !this.collections[params.collection]) ||
+            (params.item && !this.photos[params.item])) {
+            console.error('PhotographyController: Not found:', params.collection, params.item);
+            Router.show404(route);
+            return false;
+        }
+
+        // ?tag= narrows the collection to photos with that tag
+        this.selectedTag = params.query.tag ? params.query.tag.toLowerCase() : null;
+
+        this.render(params.collection);
+
+        if (params.item) {
+            this.openPhotoInLightbox(params.item);
+        }
+    },
+
     /**
      * Render photography page with 3-wall layout
+     * @param {string} collectionId - Optional collection to show instead of the featured one
      */
-    render() {
+    render(collectionId = null) {
         console.log('PhotographyController: Rendering');
 
         if (!this.photos || Object.keys(this.photos).length === 0) {
@@ -82,17 +106,13 @@ const PhotographyController = {
             return;
         }
 
-        const room = document.getElementById('room');
-        if (!room) return;
-
-        // Use 3-wall layout
-        room.className = 'room three-wall-layout';
-
         // Clear all walls
         this.clearAllWalls();
 
         // Default to featured collection
-        this.currentCollection = this.featuredCollection;
+        this.currentCollection = collectionId && this.collections[collectionId]
+            ? collectionId
+            : this.featuredCollection;
 
         // Render each wall
         this.renderLeftWall();
@@ -121,23 +141,60 @@ const PhotographyController = {
         const collectionLinks = collectionIds.map(id => {
             const collection = this.collections[id];
             const isActive = id === this.currentCollection ? 'active' : '';
-            return `
-                <a href="#" class="collection-link ${isActive}" onclick="event.preventDefault(); PhotographyController.selectCollection('${id}');">
+            return html`
+                <a href="${Router.buildURL(this.getCollectionRoute(id))}" class="collection-link ${isActive}" data-action="photography.select-collection" data-collection="${id}">
                     ${collection.name}
                 </a>
             `;
-        }).join('');
+        });
 
-        leftContent.innerHTML = `
+        const tagButtons = this.getCollectionTags().map(tag => {
+            const isActive = tag === this.selectedTag ? 'active' : '';
+            return html`
+                <button class="collection-text-button ${isActive}" data-action="photography.select-tag" data-tag="${tag}">
+                    ${tag}
+                </button>
+            `;
+        });
+
+        leftContent.innerHTML = html`
             <div class="wall-content">
                 <h3 class="wall-heading">Collections</h3>
                 <div class="collection-list">
                     ${collectionLinks}
                 </div>
+                ${tagButtons.length > 0 ? html`
+                    <h3 class="wall-heading">Tags</h3>
+                    <div class="collection-list">
+                        ${tagButtons}
+                    </div>
+                ` : ''}
             </div>
         `;
     },
 
+    /**
+     * Get the photos of the current collection, narrowed to the selected tag
+     * @returns {Array<Object>} Photos
+     */
+    getCollectionPhotos() {
+        return Object.values(this.photos)
+            .filter(p => p.collection === this.currentCollection)
+            .filter(p => !this.selectedTag || (p.tags || []).some(tag => tag.toLowerCase() === this.selectedTag));
+    },
+
+    /**
+     * Get the tags used in the current collection
+     * @returns {Array<string>} Lowercase tags, alphabetically
+     */
+    getCollectionTags() {
+        const tags = new Set();
+        Object.values(this.photos)
+            .filter(p => p.collection === this.currentCollection)
+            .forEach(p => (p.tags || []).forEach(tag => tags.add(tag.toLowerCase())));
+        return Array.from(tags).sort();
+    },
+
     /**
      * Render CENTER WALL - Photo grid
      */
@@ -149,8 +206,7 @@ const PhotographyController = {
         if (!collection) return;
 
         // Get photos in this collection (limit to 6 for grid)
-        const photosInCollection = Object.values(this.photos)
-            .filter(p => p.collection === this.currentCollection);
+        const photosInCollection = this.getCollectionPhotos();
 
         console.log('PhotographyController: Photos in collection:', photosInCollection.length);
         console.log('PhotographyController: Current collection:', this.currentCollection);
@@ -164,28 +220,28 @@ const PhotographyController = {
             const thumbnailUrl = `content/photography/${basename}_thumbnail.${extension}`;
 
             console.log('PhotographyController: Photo:', photo.id, 'Filename:', photo.filename, 'Thumbnail URL:', thumbnailUrl);
-            return `
-                <div class="main-photo-card" onclick='PhotographyController.openPhotoInLightbox("${photo.id}")'>
+            return html`
+                <div class="main-photo-card" data-action="photography.open-photo" data-id="${photo.id}">
                     <img src="${thumbnailUrl}" alt="${photo.title || 'Photo'}" class="main-photo-img">
                 </div>
             `;
-        }).join('');
+        });
 
-        const html = `
+        const markup = html`
             <div class="wall-content">
-                <h2 class="collection-title">${collection.name}</h2>
+                <h2 class="collection-title">${collection.name}${this.selectedTag ? ` · ${this.selectedTag}` : ''}</h2>
                 <div class="main-photo-grid">
                     ${photoGrid}
                 </div>
-                <button class="more-label bottom-left" onclick="PhotographyController.openCollectionGrid()">
+                <button class="more-label bottom-left" data-action="photography.open-grid">
                     more
                 </button>
             </div>
         `;
 
-        console.log('PhotographyController: Setting backContent HTML, length:', html.length);
+        console.log('PhotographyController: Setting backContent HTML, length:', String(markup).length);
         console.log('PhotographyController: photoGrid items:', displayPhotos.length);
-        backContent.innerHTML = html;
+        backContent.innerHTML = markup;
 
         // Verify it's in the DOM
         setTimeout(() => {
@@ -205,9 +261,9 @@ const PhotographyController = {
         const rightContent = document.getElementById('right-content');
         if (!rightContent) return;
 
-        rightContent.innerHTML = `
+        rightContent.innerHTML = html`
             <div class="wall-content">
-                <a href="#" class="random-link" onclick="PhotographyController.openRandomPhoto(); return false;">Random</a>
+                <a href="#" class="random-link" data-action="photography.open-random">Random</a>
             </div>
         `;
     },
@@ -219,12 +275,75 @@ const PhotographyController = {
     selectCollection(collectionId) {
         console.log('PhotographyController: Selecting collection:', collectionId);
         console.log('PhotographyController: Previous collection:', this.currentCollection);
+
+        // Route through the router so the collection gets its own URL and history entry
+        if (window.Router) {
+            Router.navigateTo(this.getCollectionRoute(collectionId));
+            return;
+        }
+
         this.currentCollection = collectionId;
         console.log('PhotographyController: New collection:', this.currentCollection);
         this.renderCenterWall();
         this.renderLeftWall(); // Re-render to update active state
     },
 
+    /**
+     * Select a tag, or clear it when it is already selected
+     * @param {string} tag - Tag to filter the collection by
+     */
+    selectTag(tag) {
+        console.log('PhotographyController: Selecting tag:', tag);
+        this.selectedTag = tag === this.selectedTag ? null : tag;
+        this.renderCenterWall();
+        this.renderLeftWall(); // Re-render to update active state
+
+        // Keep the tag in the URL so the filtered view can be shared
+        if (window.Router) {
+            Router.updateQuery({ tag: this.selectedTag });
+        }
+    },
+
+    /**
+     * Get the route of a collection
+     * @param {string} collectionId - Collection ID
+     * @returns {string} Collection route
+     */
+    getCollectionRoute(collectionId) {
+        return Router.getRoomPath('photography', { collection: collectionId });
+    },
+
+    /**
+     * Get a collection's display name
+     * @param {string} collectionId - Collection ID
+     * @returns {string|null} Collection name, or null if unknown or not loaded yet
+     */
+    getCollectionName(collectionId) {
+        const collection = this.collections && this.collections[collectionId];
+        return collection ? collection.name : null;
+    },
+
+    /**
+     * Get a photo's title
+     * @param {string} itemId - Photo ID
+     * @returns {string|null} Title, or null if unknown or not loaded yet
+     */
+    getItemTitle(itemId) {
+        const item = this.photos && this.photos[itemId];
+        return item ? item.title : null;
+    },
+
+    /**
+     * Get sitemap entries for each collection
+     * @returns {Array<Object>} Navigation nodes ({ label, route })
+     */
+    getCollectionNavigation() {
+        return Object.entries(this.collections || {}).map(([id, collection]) => ({
+            label: collection.name,
+            route: this.getCollectionRoute(id)
+        }));
+    },
+
     /**
      * Get thumbnail URL from photo filename
      * @param {string} filename - Original filename
@@ -250,12 +369,31 @@ const PhotographyController = {
         return `content/photography/${basename}_thumbnail.${extension}`;
     },
 
+    /**
+     * Get the thumbnails on the room's first screen, for prefetching
+     * @param {Object} data - Parsed photography JSON
+     * @returns {Array<string>} Thumbnail URLs of the featured collection's first photos
+     */
+    getPreviewImages(data) {
+        if (!data || !data.photos) {
+            return [];
+        }
+
+        const collections = data.collections || {};
+        const collectionId = Object.keys(collections).find(id => collections[id].featured) ||
+            Object.keys(collections)[0];
+
+        return Object.values(data.photos)
+            .filter(photo => photo.collection === collectionId)
+            .slice(0, 6)
+            .map(photo => this.getThumbnailUrl(photo.filename));
+    },
+
     /**
      * Open collection grid lightbox (shows all photos from collection)
      */
     openCollectionGrid() {
-        const photosInCollection = Object.values(this.photos)
-            .filter(p => p.collection === this.currentCollection);
+        const photosInCollection = this.getCollectionPhotos();
 
         if (window.UniversalContentLightbox) {
             window.UniversalContentLightbox.openGrid(
@@ -278,8 +416,7 @@ const PhotographyController = {
         }
 
         // Get all photos in current collection for navigation
-        const photosInCollection = Object.values(this.photos)
-            .filter(p => p.collection === this.currentCollection);
+        const photosInCollection = this.getCollectionPhotos();
 
         const index = photosInCollection.findIndex(p => p.id === photoId);
 
@@ -324,7 +461,7 @@ const PhotographyController = {
 
         const backContent = document.getElementById('back-content');
         if (backContent) {
-            backContent.innerHTML = `
+            backContent.innerHTML = html`
                 <div class="empty-state">
                     <h2>No Photos Available</h2>
                     <p>Check back later for photography.</p>
@@ -336,3 +473,46 @@ const PhotographyController = {
 
 // Export to window for global access
 window.PhotographyController = PhotographyController;
+
+// Pick up changed content, re-rendering the room if it is on display
+if (window.ContentRepository) {
+    window.ContentRepository.subscribe('photo', (content) => {
+        PhotographyController.applyContent(content);
+        Router.refreshRoom('photography');
+    });
+}
+
+// Register room with the router
+if (window.Router) {
+    window.Router.registerRoute({
+        room: 'photography',
+        params: '/:collection?/:item?',
+        title: (params) => {
+            const roomTitle = SiteManifest.getRoom('photography').title;
+            const collectionName = PhotographyController.getCollectionName(params.collection);
+            return collectionName ? `${collectionName} - ${roomTitle}` : roomTitle;
+        },
+        name: (params) => {
+            if (params.item) return PhotographyController.getItemTitle(params.item);
+            if (params.collection) return PhotographyController.getCollectionName(params.collection);
+            return SiteManifest.getRoom('photography').label;
+        },
+        navigation: {
+            children: () => PhotographyController.getCollectionNavigation()
+        },
+        contentType: 'photo',
+        itemParams: (photo) => ({ collection: photo.collection, item: photo.id }),
+        enter: (params, route, signal) => PhotographyController.enter(params, route, signal)
+    });
+}
+
+// Handle clicks in the room's markup
+if (window.Actions) {
+    window.Actions.register({
+        'photography.select-collection': ({ collection }) => PhotographyController.selectCollection(collection),
+        'photography.select-tag': ({ tag }) => PhotographyController.selectTag(tag),
+        'photography.open-photo': ({ id }) => PhotographyController.openPhotoInLightbox(id),
+        'photography.open-grid': () => PhotographyController.openCollectionGrid(),
+        'photography.open-random': () => PhotographyController.openRandomPhoto()
+    });
+}
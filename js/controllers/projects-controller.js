@@ -8,46 +8,77 @@ const ProjectsController = {
 
     /**
      * Initialize projects system
+     * @param {AbortSignal} signal - Optional signal that aborts loading
      */
-    async init() {
+    async init(signal = null) {
         console.log('ProjectsController: Initializing');
-        await this.loadProjectsData();
+        await this.loadProjectsData(signal);
     },
 
     /**
      * Load projects data from JSON
+     * @param {AbortSignal} signal - Optional signal that aborts the request
      */
-    async loadProjectsData() {
+    async loadProjectsData(signal = null) {
         try {
-            const response = await fetch('content/projects/projects.json');
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-            const data = await response.json();
-
-            // Handle projects as either object or array
-            if (data.projects) {
-                if (Array.isArray(data.projects)) {
-                    // Convert array to object keyed by ID
-                    this.projects = {};
-                    data.projects.forEach(project => {
-                        this.projects[project.id] = project;
-                    });
-                } else {
-                    // Already an object
-                    this.projects = data.projects;
-                }
-            } else {
-                this.projects = {};
-            }
-
-            console.log('ProjectsController: Loaded', Object.keys(this.projects).length, 'projects');
+            this.applyContent(await ContentRepository.load('project', { signal }));
         } catch (error) {
+            if (error.name === 'AbortError') {
+                console.log('ProjectsController: Load aborted');
+                return;
+            }
             console.error('ProjectsController: Failed to load data:', error);
-            this.projects = {};
+            this.applyContent({ items: {}, collections: {} });
         }
     },
 
+    /**
+     * Take over content from the shared repository
+     * @param {Object} content - Repository content ({ items, collections })
+     */
+    applyContent(content) {
+        this.projects = content.items;
+
+        console.log('ProjectsController: Loaded', Object.keys(this.projects).length, 'projects');
+    },
+
+    /**
+     * Enter the projects room from a route
+     * @param {Object} params - Route params ({ item })
+     * @param {string} route - Route being entered
+     * @param {AbortSignal} signal - Aborted when a newer navigation supersedes this one
+     * @returns {Promise<boolean|undefined>} False if the route's project doesn't exist
+     */
+    async enter(params, route, signal = null) {
+        if (!this.projects) {
+            await this.init(signal);
+        }
+        if (signal && signal.aborted) return;
+
+        // Deep links to projects that don't exist are not found
+        if (params.item && !this.projects[params.item]) {
+            console.error('ProjectsController: Not found:', params.item);
+            Router.show404(route);
+            return false;
+        }
+
+        this.render();
+
+        if (params.item) {
+            this.openProjectInLightbox(params.item);
+        }
+    },
+
+    /**
+     * Get a project's title
+     * @param {string} itemId - Project ID
+     * @returns {string|null} Title, or null if unknown or not loaded yet
+     */
+    getItemTitle(itemId) {
+        const item = this.projects && this.projects[itemId];
+        return item ? item.title : null;
+    },
+
     /**
      * Render projects page with 3-wall layout
      */
@@ -59,12 +90,6 @@ const ProjectsController = {
             return;
         }
 
-        const room = document.getElementById('room');
-        if (!room) return;
-
-        // Use 3-wall layout
-        room.className = 'room three-wall-layout';
-
         // Clear all walls
         this.clearAllWalls();
 
@@ -111,20 +136,20 @@ const ProjectsController = {
 
         const projectGrid = projects.map(project => {
             const thumbnailUrl = this.getThumbnailUrl(project.id);
-            return `
-                <div class="project-grid-item" onclick='ProjectsController.openProjectInLightbox("${project.id}")'>
-                    <div class="project-thumbnail" style="background-image: url('${thumbnailUrl}')"></div>
+            return html`
+                <div class="project-grid-item" data-action="projects.open-project" data-id="${project.id}">
+                    <div class="project-thumbnail" style="background-image: ${HTMLTemplate.cssURL(thumbnailUrl)}"></div>
                 </div>
             `;
-        }).join('');
+        });
 
-        const moreButton = showMoreButton ? `
-            <button class="more-label bottom-right" onclick="ProjectsController.openProjectsGrid()">
+        const moreButton = showMoreButton ? html`
+            <button class="more-label bottom-right" data-action="projects.open-grid">
                 more
             </button>
         ` : '';
 
-        content.innerHTML = `
+        content.innerHTML = html`
             <div class="wall-content">
                 <div class="project-grid-2x3">
                     ${projectGrid}
@@ -143,6 +168,19 @@ const ProjectsController = {
         return `content/projects/${projectId}_thumbnail.webp`;
     },
 
+    /**
+     * Get the thumbnails on the room's first screen, for prefetching
+     * @param {Object} data - Parsed projects JSON
+     * @returns {Array<string>} Thumbnail URLs of the centre wall's projects
+     */
+    getPreviewImages(data) {
+        const projects = data && data.projects ? Object.values(data.projects) : [];
+        return projects
+            .sort((a, b) => new Date(b.dateCreated || 0) - new Date(a.dateCreated || 0))
+            .slice(0, 6)
+            .map(project => this.getThumbnailUrl(project.id));
+    },
+
     /**
      * Open projects grid lightbox (shows all projects)
      */
@@ -200,7 +238,7 @@ const ProjectsController = {
 
         const backContent = document.getElementById('back-content');
         if (backContent) {
-            backContent.innerHTML = `
+            backContent.innerHTML = html`
                 <div class="empty-state">
                     <h2>No Projects Available</h2>
                     <p>Check back later for projects.</p>
@@ -212,3 +250,34 @@ const ProjectsController = {
 
 // Export to window for global access
 window.ProjectsController = ProjectsController;
+
+// Pick up changed content, re-rendering the room if it is on display
+if (window.ContentRepository) {
+    window.ContentRepository.subscribe('project', (content) => {
+        ProjectsController.applyContent(content);
+        Router.refreshRoom('projects');
+    });
+}
+
+// Register room with the router
+if (window.Router) {
+    window.Router.registerRoute({
+        room: 'projects',
+        params: '/:item?',
+        name: (params) => {
+            if (params.item) return ProjectsController.getItemTitle(params.item);
+            return SiteManifest.getRoom('projects').label;
+        },
+        contentType: 'project',
+        itemParams: (project) => ({ item: project.id }),
+        enter: (params, route, signal) => ProjectsController.enter(params, route, signal)
+    });
+}
+
+// Handle clicks in the room's markup
+if (window.Actions) {
+    window.Actions.register({
+        'projects.open-project': ({ id }) => ProjectsController.openProjectInLightbox(id),
+        'projects.open-grid': () => ProjectsController.openProjectsGrid()
+    });
+}
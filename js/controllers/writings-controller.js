@@ -1,6 +1,7 @@
 /**
  * Writings Controller - REDESIGNED
  * 3-wall layout: Years list | Articles display | Featured + Random
+ * Articles open in a reader at /works/personal/writings/:slug
  */
 
 const WritingsController = {
@@ -10,46 +11,49 @@ const WritingsController = {
     availableYears: [],
     featuredArticle: null,
 
+    // Reading speed behind the estimate for articles without a readingTime
+    wordsPerMinute: 200,
+
     /**
      * Initialize writings system
+     * @param {AbortSignal} signal - Optional signal that aborts loading
      */
-    async init() {
+    async init(signal = null) {
         console.log('WritingsController: Initializing');
-        await this.loadWritingsData();
-        this.extractYears();
-        this.identifyFeaturedArticle();
+        await this.loadWritingsData(signal);
     },
 
     /**
      * Load writings data from JSON
+     * @param {AbortSignal} signal - Optional signal that aborts the request
      */
-    async loadWritingsData() {
+    async loadWritingsData(signal = null) {
         try {
-            const response = await fetch('content/writings/writings.json');
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-            const data = await response.json();
-
-            // Convert articles array to object keyed by ID/filename
-            this.writings = {};
-            if (data.articles && Array.isArray(data.articles)) {
-                data.articles.forEach(article => {
-                    const id = article.filename || article.title;
-                    this.writings[id] = article;
-                });
-            }
-
-            this.collections = data.collections || {};
-
-            console.log('WritingsController: Loaded', Object.keys(this.writings).length, 'articles');
+            this.applyContent(await ContentRepository.load('writing', { signal }));
         } catch (error) {
+            if (error.name === 'AbortError') {
+                console.log('WritingsController: Load aborted');
+                return;
+            }
             console.error('WritingsController: Failed to load data:', error);
-            this.writings = {};
-            this.collections = {};
+            this.applyContent({ items: {}, collections: {} });
         }
     },
 
+    /**
+     * Take over content from the shared repository
+     * @param {Object} content - Repository content ({ items, collections })
+     */
+    applyContent(content) {
+        this.writings = content.items;
+        this.collections = content.collections;
+
+        this.extractYears();
+        this.identifyFeaturedArticle();
+
+        console.log('WritingsController: Loaded', Object.keys(this.writings).length, 'articles');
+    },
+
     /**
      * Extract unique years from articles
      */
@@ -76,6 +80,80 @@ const WritingsController = {
         }
     },
 
+    /**
+     * Enter the writings room from a route
+     * @param {Object} params - Route params ({ slug, query: { year } })
+     * @param {string} route - Route being entered
+     * @param {AbortSignal} signal - Aborted when a newer navigation supersedes this one
+     * @returns {Promise<boolean|undefined>} False if the route's article doesn't exist
+     */
+    async enter(params, route, signal = null) {
+        if (!this.writings) {
+            await this.init(signal);
+        }
+        if (signal && signal.aborted) return;
+
+        if (params.slug) {
+            return this.renderReader(params.slug, route, signal);
+        }
+
+        // ?year= links straight to a year's articles
+        const year = parseInt(params.query.year, 10);
+        this.selectedYear = this.availableYears.includes(year) ? year : null;
+
+        this.render();
+    },
+
+    /**
+     * Get an article's ID
+     * @param {Object} article - Article metadata
+     * @returns {string} Filename, or title for articles without a file
+     */
+    getArticleId(article) {
+        return ContentRepository.getItemId('writing', article);
+    },
+
+    /**
+     * Get the slug an article is read at
+     * @param {Object} article - Article metadata
+     * @returns {string} The article's slug, else its filename without .md, else its title slugified
+     */
+    getSlug(article) {
+        if (article.slug) return article.slug;
+        if (article.filename) return article.filename.replace(/\.md$/i, '');
+
+        return article.title
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+    },
+
+    /**
+     * Find the article read at a slug
+     * Article IDs are accepted too, so links from before the reader keep working
+     * @param {string} slug - Slug or article ID
+     * @returns {Object|null} Article metadata, or null if unknown or not loaded yet
+     */
+    findArticle(slug) {
+        if (!this.writings) return null;
+
+        return Object.values(this.writings).find(article => this.getSlug(article) === slug)
+            || this.writings[slug]
+            || null;
+    },
+
+    /**
+     * Get an article's title
+     * @param {string} slug - Article slug
+     * @returns {string|null} Title, or null if unknown or not loaded yet
+     */
+    getItemTitle(slug) {
+        const article = this.findArticle(slug);
+        return article ? article.title : null;
+    },
+
     /**
      * Render writings page with 3-wall layout
      */
@@ -87,12 +165,6 @@ const WritingsController = {
             return;
         }
 
-        const room = document.getElementById('room');
-        if (!room) return;
-
-        // Use 3-wall layout
-        room.className = 'room three-wall-layout';
-
         // Clear all walls
         this.clearAllWalls();
 
@@ -121,14 +193,14 @@ const WritingsController = {
 
         const yearButtons = this.availableYears.map(year => {
             const isActive = year === this.selectedYear ? 'active' : '';
-            return `
-                <button class="collection-text-button ${isActive}" onclick="WritingsController.selectYear(${year})">
+            return html`
+                <button class="collection-text-button ${isActive}" data-action="writings.select-year" data-year="${year}">
                     ${year}
                 </button>
             `;
-        }).join('');
+        });
 
-        leftContent.innerHTML = `
+        leftContent.innerHTML = html`
             <div class="wall-content">
                 <h3 class="wall-section-title">By Year</h3>
                 <div class="collection-list">
@@ -159,6 +231,20 @@ const WritingsController = {
         }
     },
 
+    /**
+     * Render an article's title and description, opening the article when clicked
+     * @param {Object} article - Article metadata
+     * @returns {Object} Markup
+     */
+    renderArticleItem(article) {
+        return html`
+            <div class="article-item" data-action="writings.open-article" data-id="${this.getArticleId(article)}">
+                <h3 class="article-title">${article.title}</h3>
+                <p class="article-description">${article.description || article.excerpt || ''}</p>
+            </div>
+        `;
+    },
+
     /**
      * Render default articles view (Latest + Previous)
      */
@@ -166,33 +252,25 @@ const WritingsController = {
         const latestArticle = sortedArticles[0];
         const previousArticles = sortedArticles.slice(1, 3);
 
-        const latestHTML = latestArticle ? `
+        const latestHTML = latestArticle ? html`
             <div class="article-section">
                 <h4 class="article-section-heading">Latest:</h4>
-                <div class="article-item" onclick='WritingsController.openArticleInLightbox("${latestArticle.filename || latestArticle.title}")'>
-                    <h3 class="article-title">${latestArticle.title}</h3>
-                    <p class="article-description">${latestArticle.description || latestArticle.excerpt || ''}</p>
-                </div>
+                ${this.renderArticleItem(latestArticle)}
             </div>
         ` : '';
 
-        const previousHTML = previousArticles.length > 0 ? `
+        const previousHTML = previousArticles.length > 0 ? html`
             <div class="article-section">
                 <h4 class="article-section-heading">Previous:</h4>
-                ${previousArticles.map(article => `
-                    <div class="article-item" onclick='WritingsController.openArticleInLightbox("${article.filename || article.title}")'>
-                        <h3 class="article-title">${article.title}</h3>
-                        <p class="article-description">${article.description || article.excerpt || ''}</p>
-                    </div>
-                `).join('')}
+                ${previousArticles.map(article => this.renderArticleItem(article))}
             </div>
         ` : '';
 
-        container.innerHTML = `
+        container.innerHTML = html`
             <div class="wall-content">
                 ${latestHTML}
                 ${previousHTML}
-                <button class="more-label bottom-right" onclick="WritingsController.openArticlesGrid()">
+                <button class="more-label bottom-right" data-action="writings.open-grid">
                     more
                 </button>
             </div>
@@ -208,20 +286,13 @@ const WritingsController = {
             return year === this.selectedYear;
         }).slice(0, 3);
 
-        const articlesHTML = yearArticles.map(article => `
-            <div class="article-item" onclick='WritingsController.openArticleInLightbox("${article.filename || article.title}")'>
-                <h3 class="article-title">${article.title}</h3>
-                <p class="article-description">${article.description || article.excerpt || ''}</p>
-            </div>
-        `).join('');
-
-        container.innerHTML = `
+        container.innerHTML = html`
             <div class="wall-content">
                 <h2 class="collection-title">${this.selectedYear}</h2>
                 <div class="article-section">
-                    ${articlesHTML}
+                    ${yearArticles.map(article => this.renderArticleItem(article))}
                 </div>
-                <button class="more-label bottom-right" onclick="WritingsController.openArticlesGrid()">
+                <button class="more-label bottom-right" data-action="writings.open-grid">
                     more
                 </button>
             </div>
@@ -235,20 +306,17 @@ const WritingsController = {
         const rightContent = document.getElementById('right-content');
         if (!rightContent) return;
 
-        const featuredHTML = this.featuredArticle ? `
+        const featuredHTML = this.featuredArticle ? html`
             <div class="featured-section">
                 <h4 class="wall-section-title">Featured</h4>
-                <div class="article-item" onclick='WritingsController.openArticleInLightbox("${this.featuredArticle.filename || this.featuredArticle.title}")'>
-                    <h3 class="article-title">${this.featuredArticle.title}</h3>
-                    <p class="article-description">${this.featuredArticle.description || this.featuredArticle.excerpt || ''}</p>
-                </div>
+                ${this.renderArticleItem(this.featuredArticle)}
             </div>
         ` : '';
 
-        rightContent.innerHTML = `
+        rightContent.innerHTML = html`
             <div class="wall-content">
                 ${featuredHTML}
-                <button class="wall-button random-button" onclick="WritingsController.openRandomArticle()">
+                <button class="wall-button random-button" data-action="writings.open-random">
                     <h3>Random</h3>
                 </button>
             </div>
@@ -264,6 +332,11 @@ const WritingsController = {
         this.selectedYear = year;
         this.renderCenterWall();
         this.renderLeftWall(); // Re-render to update active state
+
+        // Keep the year in the URL so it can be shared and restored by Back/Forward
+        if (window.Router) {
+            Router.updateQuery({ year });
+        }
     },
 
     /**
@@ -299,38 +372,17 @@ const WritingsController = {
     },
 
     /**
-     * Open article in lightbox
+     * Open an article in the reader
      * @param {string} articleId - Article ID (filename or title)
      */
-    async openArticleInLightbox(articleId) {
+    openArticle(articleId) {
         const article = this.writings[articleId];
         if (!article) {
             console.error('WritingsController: Article not found:', articleId);
             return;
         }
 
-        // Load full content if filename provided
-        let fullContent = article;
-        if (article.filename) {
-            fullContent = await this.loadWritingContent(article);
-        }
-
-        // Get all articles for navigation
-        const allArticles = Object.values(this.writings)
-            .sort((a, b) => new Date(b.datePublished) - new Date(a.datePublished));
-
-        const index = allArticles.findIndex(a =>
-            (a.filename || a.title) === (article.filename || article.title)
-        );
-
-        if (window.UniversalContentLightbox) {
-            window.UniversalContentLightbox.open(
-                fullContent,
-                window.UniversalContentLightbox.ContentTypes.WRITING,
-                allArticles,
-                index
-            );
-        }
+        Router.navigateTo(Router.getRoomPath('writings', { slug: this.getSlug(article) }));
     },
 
     /**
@@ -343,98 +395,229 @@ const WritingsController = {
         const randomIndex = Math.floor(Math.random() * allArticles.length);
         const randomArticle = allArticles[randomIndex];
 
-        this.openArticleInLightbox(randomArticle.filename || randomArticle.title);
+        this.openArticle(this.getArticleId(randomArticle));
     },
 
     /**
      * Load full writing content from markdown file
+     * Frontmatter overrides the index's metadata
      * @param {Object} writing - Writing metadata
-     * @returns {Object} Writing with full content
+     * @param {AbortSignal} signal - Optional signal that aborts the request
+     * @returns {Promise<Object>} Writing with its content as HTML, wordCount and readingTime
+     * @throws {Error} If the file can't be loaded or its frontmatter is malformed
      */
-    async loadWritingContent(writing) {
-        try {
-            const response = await fetch(`content/writings/${writing.filename}`);
-            if (!response.ok) {
-                throw new Error(`Failed to load writing: ${response.status}`);
-            }
+    async loadWritingContent(writing, signal = null) {
+        let markdown = writing.content || '';
+        let frontmatter = {};
+
+        if (writing.filename) {
+            const path = `content/writings/${writing.filename}`;
+            const file = await ContentLoader.fetchText(path, { signal });
+            ({ frontmatter, content: markdown } = Frontmatter.parse(file, path));
+        }
 
-            const markdown = await response.text();
+        const merged = { ...writing, ...frontmatter };
+        const wordCount = markdown.split(/\s+/).filter(Boolean).length;
 
-            // Parse frontmatter and content
-            const { frontmatter, content } = this.parseFrontmatter(markdown);
+        return {
+            ...merged,
+            datePublished: frontmatter.datePublished || frontmatter.date || writing.datePublished,
+            wordCount: merged.wordCount || wordCount,
+            readingTime: merged.readingTime || Math.max(1, Math.round(wordCount / this.wordsPerMinute)),
+            content: MarkdownParser.parse(markdown)
+        };
+    },
 
-            // Convert markdown to HTML
-            const htmlContent = this.markdownToHTML(content);
+    /**
+     * Get the articles published before and after an article
+     * @param {Object} article - Article metadata
+     * @returns {Object} { previous, next }, either null at the ends
+     */
+    getAdjacentArticles(article) {
+        const chronological = Object.values(this.writings)
+            .sort((a, b) => new Date(a.datePublished) - new Date(b.datePublished));
 
-            // Merge metadata
-            return {
-                ...writing,
-                ...frontmatter,
-                content: htmlContent
-            };
+        const index = chronological.findIndex(a => this.getArticleId(a) === this.getArticleId(article));
 
-        } catch (error) {
-            console.error('WritingsController: Error loading content:', error);
-            return writing;
-        }
+        return {
+            previous: chronological[index - 1] || null,
+            next: chronological[index + 1] || null
+        };
     },
 
     /**
-     * Parse YAML frontmatter from markdown
-     * @param {string} markdown - Markdown content
-     * @returns {Object} { frontmatter, content }
+     * Render the article reader in place of the room's walls
+     * @param {string} slug - Article slug
+     * @param {string} route - Route being entered
+     * @param {AbortSignal} signal - Optional signal that aborts loading the article
+     * @returns {Promise<boolean|undefined>} False if there is no article with this slug
      */
-    parseFrontmatter(markdown) {
-        const frontmatterRegex = /^---\s*\n([\s\S]*?)\n---\s*\n?/;
-        const match = markdown.match(frontmatterRegex);
+    async renderReader(slug, route, signal = null) {
+        const article = this.findArticle(slug);
+        if (!article) {
+            console.error('WritingsController: Article not found:', slug);
+            Router.show404(route);
+            return false;
+        }
 
-        if (!match) {
-            return { frontmatter: {}, content: markdown };
+        const room = document.getElementById('room');
+        if (room) room.className = 'room single-wall-layout';
+
+        const backContent = document.getElementById('back-content');
+        if (!backContent) return;
+
+        ContentLoader.showLoading(backContent);
+
+        let writing = article;
+        let failed = false;
+        try {
+            writing = await this.loadWritingContent(article, signal);
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            console.error('WritingsController: Error loading content:', error);
+            failed = true;
         }
+        if (signal && signal.aborted) return;
 
-        const frontmatterText = match[1];
-        const content = markdown.slice(match[0].length);
+        console.log('WritingsController: Reading', slug);
 
-        const frontmatter = {};
-        const lines = frontmatterText.split(/\r?\n/);
+        const reader = document.createElement('article');
+        reader.className = 'article-reader';
+        reader.appendChild(this.createReaderHeader(writing));
 
-        lines.forEach(line => {
-            const colonIndex = line.indexOf(':');
-            if (colonIndex === -1) return;
+        const body = document.createElement('div');
+        body.className = 'writing-content';
+        if (failed) {
+            const message = document.createElement('p');
+            message.className = 'reader-error';
+            message.textContent = "This article couldn't be loaded. Check your connection and try again.";
+            body.appendChild(message);
+        } else {
+            body.innerHTML = writing.content;
+        }
+        reader.appendChild(body);
 
-            const key = line.substring(0, colonIndex).trim();
-            let value = line.substring(colonIndex + 1).trim();
+        reader.appendChild(this.createReaderFooter(writing, this.getAdjacentArticles(article)));
 
-            if (!key) return;
+        backContent.innerHTML = '';
+        backContent.appendChild(reader);
+        backContent.scrollTop = 0;
 
-            // Remove quotes
-            if ((value.startsWith('"') && value.endsWith('"')) ||
-                (value.startsWith("'") && value.endsWith("'"))) {
-                value = value.substring(1, value.length - 1);
-            }
+        // Describe the article to link previews
+        if (window.HeadManager) {
+            HeadManager.setItem(route, {
+                title: writing.title,
+                description: writing.excerpt || writing.description,
+                type: 'article'
+            });
+        }
+    },
 
-            frontmatter[key] = value;
-        });
+    /**
+     * Create the reader's header: title, subtitle, date and reading time
+     * @param {Object} writing - Loaded writing
+     * @returns {HTMLElement}
+     */
+    createReaderHeader(writing) {
+        const header = document.createElement('header');
+        header.className = 'writing-header';
+
+        const title = document.createElement('h1');
+        title.className = 'writing-title';
+        title.textContent = writing.title || 'Untitled';
+        header.appendChild(title);
+
+        if (writing.subtitle) {
+            const subtitle = document.createElement('p');
+            subtitle.className = 'writing-subtitle';
+            subtitle.textContent = writing.subtitle;
+            header.appendChild(subtitle);
+        }
+
+        const meta = document.createElement('div');
+        meta.className = 'writing-meta';
+
+        const published = new Date(writing.datePublished);
+        if (!Number.isNaN(published.valueOf())) {
+            const time = document.createElement('time');
+            time.dateTime = published.toISOString().slice(0, 10);
+            // Dates without a time are midnight UTC, so they're shown in UTC to keep the day
+            time.textContent = published.toLocaleDateString('en-US', {
+                year: 'numeric',
+                month: 'long',
+                day: 'numeric',
+                timeZone: 'UTC'
+            });
+            meta.appendChild(time);
+        }
 
-        return { frontmatter, content };
+        if (writing.readingTime) {
+            const readingTime = document.createElement('span');
+            readingTime.textContent = `${writing.readingTime} min read`;
+            meta.appendChild(readingTime);
+        }
+
+        header.appendChild(meta);
+        return header;
     },
 
     /**
-     * Convert markdown to HTML
-     * @param {string} markdown - Markdown content
-     * @returns {string} HTML content
+     * Create the reader's footer: tags and links to the previous and next articles
+     * @param {Object} writing - Loaded writing
+     * @param {Object} adjacent - Neighbouring articles ({ previous, next })
+     * @returns {HTMLElement}
      */
-    markdownToHTML(markdown) {
-        // Use marked.js if available
-        if (window.marked && typeof window.marked.parse === 'function') {
-            return window.marked.parse(markdown);
+    createReaderFooter(writing, adjacent) {
+        const footer = document.createElement('footer');
+        footer.className = 'writing-footer';
+
+        const tags = Array.isArray(writing.tags) ? writing.tags : [];
+        if (tags.length > 0) {
+            const list = document.createElement('ul');
+            list.className = 'writing-tags';
+            tags.forEach(tag => {
+                const item = document.createElement('li');
+                item.className = 'tag';
+                item.textContent = tag;
+                list.appendChild(item);
+            });
+            footer.appendChild(list);
         }
 
-        // Simple fallback
-        return markdown
-            .replace(/\n\n/g, '</p><p>')
-            .replace(/^(.+)$/gm, '<p>$1</p>')
-            .replace(/<p><\/p>/g, '');
+        const nav = document.createElement('nav');
+        nav.className = 'reader-nav';
+        nav.setAttribute('aria-label', 'More writings');
+
+        [['previous', 'Previous'], ['next', 'Next']].forEach(([direction, label]) => {
+            const article = adjacent[direction];
+            if (!article) return;
+
+            const route = Router.getRoomPath('writings', { slug: this.getSlug(article) });
+            const link = document.createElement('a');
+            link.className = `reader-nav-link ${direction}`;
+            link.href = Router.buildURL(route);
+            link.rel = direction === 'previous' ? 'prev' : 'next';
+
+            const hint = document.createElement('span');
+            hint.className = 'reader-nav-label';
+            hint.textContent = label;
+
+            const title = document.createElement('span');
+            title.className = 'reader-nav-title';
+            title.textContent = article.title;
+
+            link.append(hint, title);
+            link.addEventListener('click', (event) => {
+                event.preventDefault();
+                Router.navigateTo(route);
+            });
+            nav.appendChild(link);
+        });
+
+        if (nav.children.length > 0) {
+            footer.appendChild(nav);
+        }
+        return footer;
     },
 
     /**
@@ -448,7 +631,7 @@ const WritingsController = {
 
         const backContent = document.getElementById('back-content');
         if (backContent) {
-            backContent.innerHTML = `
+            backContent.innerHTML = html`
                 <div class="empty-state">
                     <h2>No Writings Available</h2>
                     <p>Check back later for articles.</p>
@@ -460,3 +643,41 @@ const WritingsController = {
 
 // Export to window for global access
 window.WritingsController = WritingsController;
+
+// Pick up changed content, re-rendering the room if it is on display
+if (window.ContentRepository) {
+    window.ContentRepository.subscribe('writing', (content) => {
+        WritingsController.applyContent(content);
+        Router.refreshRoom('writings');
+    });
+}
+
+// Register room with the router
+if (window.Router) {
+    window.Router.registerRoute({
+        room: 'writings',
+        params: '/:slug?',
+        title: (params) => {
+            const roomTitle = SiteManifest.getRoom('writings').title;
+            const articleTitle = params.slug ? WritingsController.getItemTitle(params.slug) : null;
+            return articleTitle ? `${articleTitle} - ${roomTitle}` : roomTitle;
+        },
+        name: (params) => {
+            if (params.slug) return WritingsController.getItemTitle(params.slug);
+            return SiteManifest.getRoom('writings').label;
+        },
+        contentType: 'writing',
+        itemParams: (article) => ({ slug: WritingsController.getSlug(article) }),
+        enter: (params, route, signal) => WritingsController.enter(params, route, signal)
+    });
+}
+
+// Handle clicks in the room's markup
+if (window.Actions) {
+    window.Actions.register({
+        'writings.select-year': ({ year }) => WritingsController.selectYear(Number(year)),
+        'writings.open-article': ({ id }) => WritingsController.openArticle(id),
+        'writings.open-grid': () => WritingsController.openArticlesGrid(),
+        'writings.open-random': () => WritingsController.openRandomArticle()
+    });
+}
@@ -0,0 +1,529 @@
+/**
+ * Frontmatter - YAML headers of markdown content
+ * Parses the YAML subset our writers use: nested keys, block and flow lists, block
+ * scalars (| and >), quoted strings, and typed values (booleans, numbers, null, dates).
+ * Malformed headers throw an Error naming the file and line, with error.line set
+ */
+
+const Frontmatter = {
+    // Plain scalars read as other types
+    nulls: ['', '~', 'null', 'Null', 'NULL'],
+    booleans: { true: true, True: true, TRUE: true, false: false, False: false, FALSE: false },
+
+    // A mapping key and its value: a quoted key, or a plain key up to ": " or a final ":"
+    keyPattern: /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s"'#\-?:,[\]{}&*!|>%@`][^#]*?|-[^\s#][^#]*?)\s*:(?:\s+(.*))?$/,
+
+    /**
+     * Split markdown into its frontmatter and content
+     * @param {string} markdown - Markdown, optionally starting with a --- delimited header
+     * @param {string} source - File name used in error messages
+     * @returns {Object} { frontmatter, content }
+     * @throws {Error} If the header is malformed
+     */
+    parse(markdown, source = 'markdown') {
+        const lines = (markdown || '').replace(/^\uFEFF/, '').split(/\r?\n/);
+
+        if (!/^---\s*$/.test(lines[0])) {
+            return { frontmatter: {}, content: markdown || '' };
+        }
+
+        const end = lines.findIndex((line, index) => index > 0 && /^(---|\.\.\.)\s*$/.test(line));
+        if (end === -1) {
+            throw this.error(source, 1, 'Frontmatter opened with --- is never closed');
+        }
+
+        return {
+            frontmatter: this.parseYAML(lines.slice(1, end), source, 2),
+            content: lines.slice(end + 1).join('\n')
+        };
+    },
+
+    /**
+     * Parse the lines of a YAML header
+     * @param {Array<string>} lines - Header lines, without the --- delimiters
+     * @param {string} source - File name used in error messages
+     * @param {number} firstLine - Line number of the first header line in the file
+     * @returns {Object} Parsed mapping
+     * @throws {Error} If the header is malformed
+     */
+    parseYAML(lines, source = 'frontmatter', firstLine = 1) {
+        const state = {
+            source,
+            index: 0,
+            lines: lines.map((text, index) => ({ number: firstLine + index, text }))
+        };
+
+        state.lines.forEach((line) => {
+            const indent = /^[ \t]*/.exec(line.text)[0];
+            if (indent.includes('\t') && line.text.trim() && !line.text.trim().startsWith('#')) {
+                throw this.error(source, line.number, "Tabs can't be used for indentation");
+            }
+        });
+
+        const next = this.peek(state);
+        if (!next) {
+            return {};
+        }
+        if (next.indent !== 0) {
+            throw this.error(source, next.number, 'The first key must not be indented');
+        }
+        if (this.isListItem(next.content)) {
+            throw this.error(source, next.number, 'Frontmatter must be "key: value" pairs, not a list');
+        }
+
+        const data = this.parseMap(state, 0);
+
+        const rest = this.peek(state);
+        if (rest) {
+            throw this.error(source, rest.number, 'Unexpected indentation');
+        }
+        return data;
+    },
+
+    /**
+     * Get the next line with content, skipping blank and comment lines
+     * @param {Object} state - Parser state
+     * @returns {Object|null} { number, indent, content }, or null at the end
+     */
+    peek(state) {
+        while (state.index < state.lines.length) {
+            const line = state.lines[state.index];
+            const content = line.text.trim();
+
+            if (content && !content.startsWith('#')) {
+                return { number: line.number, indent: line.text.length - line.text.trimStart().length, content };
+            }
+            state.index++;
+        }
+        return null;
+    },
+
+    /**
+     * Parse "key: value" lines at an indentation
+     * @param {Object} state - Parser state
+     * @param {number} indent - Indentation of the mapping's keys
+     * @returns {Object}
+     */
+    parseMap(state, indent) {
+        const map = {};
+
+        for (let line = this.peek(state); line && line.indent === indent; line = this.peek(state)) {
+            if (this.isListItem(line.content)) {
+                throw this.error(state.source, line.number, 'Expected "key: value", found a list item');
+            }
+
+            const match = this.keyPattern.exec(line.content);
+            if (!match) {
+                throw this.error(state.source, line.number, `Expected "key: value", found "${line.content}"`);
+            }
+
+            const key = this.parseKey(match[1].trim(), state, line.number);
+            if (Object.prototype.hasOwnProperty.call(map, key)) {
+                throw this.error(state.source, line.number, `Duplicate key "${key}"`);
+            }
+
+            state.index++;
+            this.setKey(map, key, this.parseValue(state, match[2] || '', indent, line.number));
+        }
+
+        return map;
+    },
+
+    /**
+     * Parse "- item" lines at an indentation
+     * @param {Object} state - Parser state
+     * @param {number} indent - Indentation of the dashes
+     * @returns {Array}
+     */
+    parseList(state, indent) {
+        const list = [];
+
+        for (let line = this.peek(state); line && line.indent === indent && this.isListItem(line.content); line = this.peek(state)) {
+            const rest = line.content.substring(1).trimStart();
+
+            if (rest && this.keyPattern.test(rest)) {
+                // "- key: value" starts a mapping indented to where its first key sits
+                const raw = state.lines[state.index];
+                const itemIndent = line.indent + (line.content.length - rest.length);
+                raw.text = ' '.repeat(itemIndent) + rest;
+                list.push(this.parseMap(state, itemIndent));
+            } else {
+                state.index++;
+                list.push(this.parseValue(state, rest, indent, line.number, true));
+            }
+        }
+
+        return list;
+    },
+
+    /**
+     * Parse the value after a key or dash, reading nested lines when it continues below
+     * @param {Object} state - Parser state, positioned after the key's line
+     * @param {string} text - Text after the colon or dash
+     * @param {number} indent - Indentation of the key or dash
+     * @param {number} number - Line number of the key or dash
+     * @param {boolean} inList - Whether the value is a list item's, so dashes beside it are its siblings
+     * @returns {*}
+     */
+    parseValue(state, text, indent, number, inList = false) {
+        const value = this.stripComment(text);
+
+        if (/^[|>]/.test(value)) {
+            return this.parseBlockScalar(state, value, indent, number);
+        }
+        if (value !== '') {
+            const continued = this.readContinuation(state, indent);
+            if (continued.length === 0) {
+                return this.parseScalar(value, state.source, number);
+            }
+            if (/^["'[{]/.test(value)) {
+                throw this.error(state.source, number, 'Quoted and bracketed values must fit on one line; use | or > for longer text');
+            }
+            return this.parseScalar([value, ...continued].join(' '), state.source, number);
+        }
+
+        const next = this.peek(state);
+        if (next && next.indent > indent) {
+            return this.isListItem(next.content) ? this.parseList(state, next.indent) : this.parseMap(state, next.indent);
+        }
+        // A key's list may sit at the key's own indentation
+        if (next && next.indent === indent && this.isListItem(next.content) && !inList) {
+            return this.parseList(state, indent);
+        }
+        return null;
+    },
+
+    /**
+     * Read the lines a plain value continues onto, indented deeper than its key
+     * @param {Object} state - Parser state, positioned after the value's line
+     * @param {number} indent - Indentation of the key
+     * @returns {Array<string>} Continuation lines, trimmed
+     */
+    readContinuation(state, indent) {
+        const lines = [];
+        for (let next = this.peek(state); next && next.indent > indent; next = this.peek(state)) {
+            if (this.keyPattern.test(next.content) || this.isListItem(next.content)) {
+                throw this.error(state.source, next.number, `Unexpected indentation of "${next.content}"`);
+            }
+            lines.push(this.stripComment(next.content));
+            state.index++;
+        }
+        return lines;
+    },
+
+    /**
+     * Parse a literal (|) or folded (>) block scalar
+     * @param {Object} state - Parser state, positioned after the header line
+     * @param {string} header - Block header, e.g. "|", ">-" or "|+"
+     * @param {number} indent - Indentation of the key
+     * @param {number} number - Line number of the header
+     * @returns {string}
+     */
+    parseBlockScalar(state, header, indent, number) {
+        const match = /^([|>])([-+]?)$/.exec(header);
+        if (!match) {
+            throw this.error(state.source, number, `Unsupported block scalar header "${header}"`);
+        }
+        const [, style, chomping] = match;
+
+        // The block runs until a line with content is indented no deeper than the key
+        const lines = [];
+        let blockIndent = null;
+        while (state.index < state.lines.length) {
+            const { text } = state.lines[state.index];
+            const lineIndent = text.length - text.trimStart().length;
+
+            if (text.trim()) {
+                if (lineIndent <= indent) break;
+                if (blockIndent === null) blockIndent = lineIndent;
+                if (lineIndent < blockIndent) {
+                    throw this.error(state.source, state.lines[state.index].number, 'Block text is indented less than its first line');
+                }
+            }
+
+            lines.push(text);
+            state.index++;
+        }
+
+        const body = lines.map(text => text.substring(blockIndent || 0));
+        const trailing = [];
+        while (body.length > 0 && body[body.length - 1].trim() === '') {
+            trailing.push(body.pop());
+        }
+
+        let value = style === '|' ? body.join('\n') : this.fold(body);
+
+        if (chomping === '+') {
+            value += '\n' + trailing.map(() => '\n').join('');
+        } else if (chomping === '' && body.length > 0) {
+            value += '\n';
+        }
+        return value;
+    },
+
+    /**
+     * Fold block lines: single line breaks become spaces, each blank line becomes a
+     * line break, and lines indented more than the block keep their breaks
+     * @param {Array<string>} lines - Block lines with the block indentation removed
+     * @returns {string}
+     */
+    fold(lines) {
+        let value = '';
+        let previous = null;
+        let blanks = 0;
+
+        lines.forEach((line) => {
+            if (line.trim() === '') {
+                blanks++;
+                return;
+            }
+
+            if (previous === null) {
+                value = '\n'.repeat(blanks) + line;
+            } else {
+                const keepsBreak = /^\s/.test(line) || /^\s/.test(previous);
+                value += blanks > 0
+                    ? '\n'.repeat(keepsBreak ? blanks + 1 : blanks) + line
+                    : (keepsBreak ? '\n' : ' ') + line;
+            }
+
+            previous = line;
+            blanks = 0;
+        });
+
+        return value;
+    },
+
+    /**
+     * Parse an inline value: quoted string, flow list or mapping, or typed plain scalar
+     * @param {string} text - Value text, without a trailing comment
+     * @param {string} source - File name used in error messages
+     * @param {number} number - Line number of the value
+     * @returns {*}
+     */
+    parseScalar(text, source, number) {
+        const value = text.trim();
+
+        if (value.startsWith('"')) {
+            if (!/^"(?:[^"\\]|\\.)*"$/.test(value)) {
+                throw this.error(source, number, 'Unterminated double-quoted string');
+            }
+            try {
+                return JSON.parse(value);
+            } catch (error) {
+                throw this.error(source, number, `Invalid escape in ${value}`);
+            }
+        }
+
+        if (value.startsWith("'")) {
+            if (!/^'(?:[^']|'')*'$/.test(value)) {
+                throw this.error(source, number, 'Unterminated single-quoted string');
+            }
+            return value.slice(1, -1).replace(/''/g, "'");
+        }
+
+        if (value.startsWith('[') || value.startsWith('{')) {
+            return this.parseFlow(value, source, number);
+        }
+
+        if (/^[&*!%@`]/.test(value)) {
+            throw this.error(source, number, `Anchors, aliases, tags and directives aren't supported ("${value}")`);
+        }
+        if (/:\s/.test(value) || value.endsWith(':')) {
+            throw this.error(source, number, `Unexpected ":" in "${value}"; quote the value`);
+        }
+
+        return this.typePlain(value, source, number);
+    },
+
+    /**
+     * Read a plain scalar as null, a boolean, a number, a date or a string
+     * @param {string} value - Plain scalar
+     * @param {string} source - File name used in error messages
+     * @param {number} number - Line number of the value
+     * @returns {*}
+     */
+    typePlain(value, source, number) {
+        if (this.nulls.includes(value)) {
+            return null;
+        }
+        if (value in this.booleans) {
+            return this.booleans[value];
+        }
+        if (/^[-+]?\d+$/.test(value)) {
+            return parseInt(value, 10);
+        }
+        if (/^[-+]?(\d+\.\d*|\.\d+|\d+)([eE][-+]?\d+)?$/.test(value)) {
+            return parseFloat(value);
+        }
+
+        const date = /^(\d{4})-(\d{2})-(\d{2})(?:[Tt ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:\s*(?:Z|[+-]\d{2}(?::?\d{2})?))?)?$/.exec(value);
+        if (date) {
+            const [, year, month, day] = date;
+            // Times without a zone are UTC, as in YAML
+            let iso = value.length === 10 ? `${value}T00:00:00Z` : value.replace(/[t ]/, 'T').replace(/\s+/g, '');
+            if (!/(Z|[+-]\d{2}(:?\d{2})?)$/.test(iso.substring(10))) {
+                iso += 'Z';
+            }
+            const parsed = new Date(iso);
+
+            // Reject dates the calendar doesn't have, which Date would roll over
+            const check = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+            if (isNaN(parsed.getTime()) || check.getUTCMonth() !== Number(month) - 1 || check.getUTCDate() !== Number(day)) {
+                throw this.error(source, number, `Invalid date "${value}"`);
+            }
+            return parsed;
+        }
+
+        return value;
+    },
+
+    /**
+     * Parse a one-line flow list ([a, b]) or mapping ({ a: 1 })
+     * @param {string} value - Flow collection text
+     * @param {string} source - File name used in error messages
+     * @param {number} number - Line number of the value
+     * @returns {Array|Object}
+     */
+    parseFlow(value, source, number) {
+        const isList = value.startsWith('[');
+        if (!value.endsWith(isList ? ']' : '}')) {
+            throw this.error(source, number, `Unclosed ${isList ? '[' : '{'} in "${value}"`);
+        }
+
+        const entries = this.splitFlow(value.slice(1, -1), source, number);
+
+        if (isList) {
+            return entries.map(entry => this.parseScalar(entry, source, number));
+        }
+
+        const map = {};
+        entries.forEach((entry) => {
+            const match = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^"':,[\]{}][^:]*?)\s*:(?:\s+(.*))?$/.exec(entry);
+            if (!match) {
+                throw this.error(source, number, `Expected "key: value" in flow mapping, found "${entry}"`);
+            }
+            this.setKey(map, this.parseKey(match[1], { source }, number), this.parseScalar(match[2] || '', source, number));
+        });
+        return map;
+    },
+
+    /**
+     * Split the inside of a flow collection at its top-level commas
+     * @param {string} text - Text between the brackets
+     * @param {string} source - File name used in error messages
+     * @param {number} number - Line number of the value
+     * @returns {Array<string>} Trimmed entries; a trailing comma adds no entry
+     */
+    splitFlow(text, source, number) {
+        const entries = [];
+        let depth = 0;
+        let quote = null;
+        let start = 0;
+
+        for (let index = 0; index < text.length; index++) {
+            const char = text[index];
+
+            if (quote) {
+                if (char === '\\' && quote === '"') index++;
+                else if (char === quote) quote = null;
+            } else if (char === '"' || char === "'") {
+                quote = char;
+            } else if (char === '[' || char === '{') {
+                depth++;
+            } else if (char === ']' || char === '}') {
+                depth--;
+            } else if (char === ',' && depth === 0) {
+                entries.push(text.substring(start, index));
+                start = index + 1;
+            }
+        }
+
+        if (quote || depth !== 0) {
+            throw this.error(source, number, 'Unbalanced quotes or brackets in flow collection');
+        }
+
+        entries.push(text.substring(start));
+        return entries.map(entry => entry.trim()).filter((entry, index, all) => entry !== '' || index < all.length - 1)
+            .map((entry) => {
+                if (entry === '') {
+                    throw this.error(source, number, 'Empty entry in flow collection');
+                }
+                return entry;
+            });
+    },
+
+    /**
+     * Unquote a mapping key
+     * @param {string} key - Key text
+     * @param {Object} state - Parser state (for the file name)
+     * @param {number} number - Line number of the key
+     * @returns {string}
+     */
+    parseKey(key, state, number) {
+        if (key.startsWith('"') || key.startsWith("'")) {
+            return String(this.parseScalar(key, state.source, number));
+        }
+        return key;
+    },
+
+    /**
+     * Store a mapping entry as data, so keys like "__proto__" don't reach the prototype
+     * @param {Object} map - Mapping being built
+     * @param {string} key - Unquoted key
+     * @param {*} value - Parsed value
+     */
+    setKey(map, key, value) {
+        Object.defineProperty(map, key, { value, enumerable: true, writable: true, configurable: true });
+    },
+
+    /**
+     * Check whether a line is a list item ("- item" or a lone "-")
+     * @param {string} content - Trimmed line
+     * @returns {boolean}
+     */
+    isListItem(content) {
+        return content === '-' || content.startsWith('- ');
+    },
+
+    /**
+     * Remove a trailing " # comment"; quotes only count in quoted and flow values
+     * @param {string} text - Value text
+     * @returns {string}
+     */
+    stripComment(text) {
+        const trimmed = text.trim();
+        const quoted = /^["'[{]/.test(trimmed);
+        let quote = null;
+
+        for (let index = 0; index < trimmed.length; index++) {
+            const char = trimmed[index];
+            if (quote) {
+                if (char === '\\' && quote === '"') index++;
+                else if (char === quote) quote = null;
+            } else if (quoted && (char === '"' || char === "'")) {
+                quote = char;
+            } else if (char === '#' && (index === 0 || /\s/.test(trimmed[index - 1]))) {
+                return trimmed.substring(0, index).trim();
+            }
+        }
+        return trimmed;
+    },
+
+    /**
+     * Create a line-numbered parse error
+     * @param {string} source - File name
+     * @param {number} line - Line number in the file
+     * @param {string} message - Problem
+     * @returns {Error} Error with line and source properties
+     */
+    error(source, line, message) {
+        const error = new Error(`Frontmatter: ${source} line ${line}: ${message}`);
+        error.line = line;
+        error.source = source;
+        return error;
+    }
+};
+
+// Export to window for global access
+window.Frontmatter = Frontmatter;
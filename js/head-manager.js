@@ -0,0 +1,173 @@
+/**
+ * Head Manager - Keeps the document head in step with the current route
+ * Sets the meta description, OpenGraph/Twitter tags, canonical link and
+ * theme-color so shared links to rooms and items get a proper preview
+ */
+
+const HeadManager = {
+    // Site-wide fallbacks, read from index.html and the site manifest
+    siteName: '',
+    defaultDescription: '',
+
+    // Metadata of the lightbox item shown at a route ({ route, meta })
+    item: null,
+
+    // theme-color override of the current route, if any
+    themeColor: null,
+
+    /**
+     * Read the site-wide defaults and follow theme changes
+     */
+    init() {
+        const description = document.querySelector('meta[name="description"]');
+        this.defaultDescription = description ? description.getAttribute('content') : '';
+        this.siteName = (window.SiteManifest && window.SiteManifest.title) || document.title;
+
+        // ThemeManager resets theme-color on every theme change
+        document.addEventListener('themechange', () => this.updateThemeColor());
+
+        console.log('HeadManager: Initialized');
+    },
+
+    /**
+     * Update the head for a route
+     * Item routes use the metadata of the item the lightbox reported for them
+     * @param {string} route - Route path
+     */
+    applyRoute(route) {
+        const meta = this.item && this.item.route === route
+            ? this.item.meta
+            : this.getRouteMeta(route);
+
+        this.apply(route, meta);
+    },
+
+    /**
+     * Describe the item shown at a route and update the head for it
+     * @param {string} route - Item route
+     * @param {Object} meta - Item metadata ({ title, description, image, type })
+     */
+    setItem(route, meta) {
+        this.item = { route, meta };
+        this.applyRoute(route);
+    },
+
+    /**
+     * Get head metadata from a route's configuration
+     * description may be a function of the route params, like title
+     * @param {string} route - Route path
+     * @returns {Object} Metadata ({ title, description, image, themeColor })
+     */
+    getRouteMeta(route) {
+        const config = Router.getRouteConfig(route) || {};
+        const params = Router.matchRoute(route)?.params || {};
+        const description = typeof config.description === 'function'
+            ? config.description(params)
+            : config.description;
+
+        return {
+            title: Router.getRouteTitle(route),
+            description,
+            image: config.image,
+            themeColor: config.themeColor
+        };
+    },
+
+    /**
+     * Write metadata into the document head
+     * @param {string} route - Route path
+     * @param {Object} meta - Metadata ({ title, description, image, type, themeColor })
+     */
+    apply(route, meta) {
+        const title = meta.title || document.title;
+        const description = meta.description || this.defaultDescription;
+        const image = meta.image ? this.getAbsoluteURL(meta.image) : null;
+
+        // Filters and sort orders are views of the same page
+        const canonical = this.getAbsoluteURL(Router.buildURL(Router.getRoutePath(route)));
+
+        this.setMeta('name', 'description', description);
+        this.setMeta('property', 'og:site_name', this.siteName);
+        this.setMeta('property', 'og:type', meta.type || 'website');
+        this.setMeta('property', 'og:title', title);
+        this.setMeta('property', 'og:description', description);
+        this.setMeta('property', 'og:url', this.getAbsoluteURL(Router.buildURL(route)));
+        this.setMeta('property', 'og:image', image);
+        this.setMeta('name', 'twitter:card', image ? 'summary_large_image' : 'summary');
+        this.setMeta('name', 'twitter:title', title);
+        this.setMeta('name', 'twitter:description', description);
+        this.setMeta('name', 'twitter:image', image);
+        this.setCanonical(canonical);
+
+        this.themeColor = meta.themeColor || null;
+        this.updateThemeColor();
+    },
+
+    /**
+     * Apply the route's theme-color override, or the theme's default color
+     * Overrides are a color string or { light, dark }
+     */
+    updateThemeColor() {
+        const theme = window.ThemeManager && typeof window.ThemeManager.getCurrentTheme === 'function'
+            ? window.ThemeManager.getCurrentTheme()
+            : 'light';
+
+        const color = this.themeColor && typeof this.themeColor === 'object'
+            ? this.themeColor[theme]
+            : this.themeColor;
+
+        if (color) {
+            this.setMeta('name', 'theme-color', color);
+        } else if (window.ThemeManager) {
+            window.ThemeManager.updateMetaThemeColor(theme);
+        }
+    },
+
+    /**
+     * Create, update or remove a meta tag
+     * @param {string} attribute - 'name' or 'property'
+     * @param {string} key - Tag name, e.g. 'og:title'
+     * @param {string|null} value - Content, or null to remove the tag
+     */
+    setMeta(attribute, key, value) {
+        let tag = document.head.querySelector(`meta[${attribute}="${key}"]`);
+
+        if (!value) {
+            if (tag) tag.remove();
+            return;
+        }
+
+        if (!tag) {
+            tag = document.createElement('meta');
+            tag.setAttribute(attribute, key);
+            document.head.appendChild(tag);
+        }
+        tag.setAttribute('content', value);
+    },
+
+    /**
+     * Point the canonical link at a URL
+     * @param {string} url - Absolute URL
+     */
+    setCanonical(url) {
+        let link = document.head.querySelector('link[rel="canonical"]');
+        if (!link) {
+            link = document.createElement('link');
+            link.setAttribute('rel', 'canonical');
+            document.head.appendChild(link);
+        }
+        link.setAttribute('href', url);
+    },
+
+    /**
+     * Resolve a URL against the document, as link previews need absolute URLs
+     * @param {string} url - Relative or absolute URL
+     * @returns {string} Absolute URL
+     */
+    getAbsoluteURL(url) {
+        return new URL(url, document.baseURI).href;
+    }
+};
+
+// Export to window for global access
+window.HeadManager = HeadManager;
@@ -0,0 +1,190 @@
+/**
+ * HTML Templates - Markup built in JS without markup injection
+ * html`...` escapes each interpolated value for where it lands: element text,
+ * a quoted attribute value, or a URL attribute, whose scheme must also be safe.
+ * style attributes only take values built by HTMLTemplate.cssURL().
+ * Nested html`...` results, arrays of them and HTMLTemplate.raw() markup are
+ * inserted as they are. Results stringify to markup, so they can be assigned
+ * to innerHTML directly.
+ */
+
+const HTMLTemplate = {
+    // Attributes whose values are URLs
+    urlAttributes: new Set(['href', 'src', 'action', 'formaction', 'poster', 'cite', 'xlink:href']),
+
+    // Schemes a URL attribute may use; relative URLs are always allowed
+    safeSchemes: new Set(['http', 'https', 'mailto', 'tel']),
+
+    // Inline raster images are the only data: URLs let through, and only as src
+    dataImagePattern: /^data:image\/(?:png|gif|jpeg|webp|avif);base64,/i,
+
+    // Stands in for URLs with an unsafe scheme
+    blockedURL: 'about:invalid',
+
+    entities: {
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;',
+        '`': '&#96;'
+    },
+
+    // Prototype of markup that is inserted without escaping
+    safeMarkup: {
+        toString() {
+            return this.markup;
+        }
+    },
+
+    /**
+     * Tagged template that escapes interpolated values by context
+     * @param {Array<string>} strings - Static parts of the template
+     * @param {...*} values - Interpolated values
+     * @returns {Object} Safe markup
+     * @throws {Error} If a value lands in an unquoted attribute or between attributes
+     */
+    html(strings, ...values) {
+        let markup = strings[0];
+
+        values.forEach((value, index) => {
+            markup += HTMLTemplate.interpolate(value, HTMLTemplate.getContext(markup));
+            markup += strings[index + 1];
+        });
+
+        return HTMLTemplate.raw(markup);
+    },
+
+    /**
+     * Mark markup as safe to insert as it is
+     * Only for markup that is already escaped or sanitised, e.g. MarkdownParser output
+     * @param {string} markup - Trusted markup
+     * @returns {Object} Safe markup
+     */
+    raw(markup) {
+        const safe = Object.create(HTMLTemplate.safeMarkup);
+        safe.markup = markup === null || markup === undefined ? '' : String(markup);
+        return safe;
+    },
+
+    /**
+     * Check whether a value is safe markup
+     * @param {*} value
+     * @returns {boolean}
+     */
+    isSafe(value) {
+        return HTMLTemplate.safeMarkup.isPrototypeOf(value);
+    },
+
+    /**
+     * Escape text for element content or a quoted attribute value
+     * @param {*} value - Value to escape
+     * @returns {string} Escaped text
+     */
+    escape(value) {
+        return String(value).replace(/[&<>"'`]/g, character => HTMLTemplate.entities[character]);
+    },
+
+    /**
+     * Work out where the markup so far leaves the next value
+     * Interpolated values are escaped, so any <, > or quote in the markup is static
+     * @param {string} markup - Markup before the value
+     * @returns {Object} { type: 'text' } | { type: 'attribute', name, value } | { type: 'tag' }
+     * @throws {Error} If the value would start an unquoted attribute value
+     */
+    getContext(markup) {
+        const tagStart = markup.lastIndexOf('<');
+        if (tagStart <= markup.lastIndexOf('>')) {
+            return { type: 'text' };
+        }
+
+        const tag = markup.slice(tagStart);
+        const attribute = /([^\s"'<>/=]+)\s*=\s*(["'])((?:(?!\2)[^])*)$/.exec(tag);
+        if (attribute) {
+            return { type: 'attribute', name: attribute[1].toLowerCase(), value: attribute[3] };
+        }
+
+        if (/=\s*$/.test(tag)) {
+            throw new Error(`HTMLTemplate: Quote the attribute value in "${tag}"`);
+        }
+        return { type: 'tag' };
+    },
+
+    /**
+     * Turn a value into markup for its context
+     * null, undefined and false render nothing; arrays render each item
+     * @param {*} value - Interpolated value
+     * @param {Object} context - Context from getContext()
+     * @returns {string} Markup
+     * @throws {Error} If the value can't be placed between attributes
+     */
+    interpolate(value, context) {
+        if (value === null || value === undefined || value === false) {
+            return '';
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => HTMLTemplate.interpolate(item, context)).join('');
+        }
+
+        switch (context.type) {
+            case 'text':
+                return HTMLTemplate.isSafe(value) ? value.markup : HTMLTemplate.escape(value);
+
+            case 'attribute': {
+                if (context.name === 'style' && !HTMLTemplate.isSafe(value)) {
+                    throw new Error('HTMLTemplate: Build style values with HTMLTemplate.cssURL()');
+                }
+
+                const text = String(value);
+                const startsURL = HTMLTemplate.urlAttributes.has(context.name) && context.value.trim() === '';
+                return HTMLTemplate.escape(startsURL ? HTMLTemplate.sanitizeURL(text, context.name) : text);
+            }
+
+            default:
+                // Between attributes only bare attribute names fit, e.g. ${disabled ? 'disabled' : ''}
+                if (value === '' || (/^[a-z][a-z0-9-]*$/i.test(value) && !/^on/i.test(value))) {
+                    return String(value);
+                }
+                throw new Error(`HTMLTemplate: "${value}" can't be placed between attributes`);
+        }
+    },
+
+    /**
+     * Build a CSS url() for a style attribute, e.g. a background image
+     * @param {string} url - Image URL from content
+     * @returns {Object} Safe url("...") value
+     */
+    cssURL(url) {
+        // Percent-encoding keeps quotes, parentheses and backslashes from ending the url()
+        const encoded = HTMLTemplate.sanitizeURL(String(url), 'src')
+            .replace(/["'()\\\s]/g, character => '%' + character.charCodeAt(0).toString(16).padStart(2, '0'));
+
+        return HTMLTemplate.raw(`url("${encoded}")`);
+    },
+
+    /**
+     * Replace URLs with an unsafe scheme
+     * @param {string} url - URL from content
+     * @param {string} attribute - Attribute the URL is for
+     * @returns {string} The URL, or blockedURL
+     */
+    sanitizeURL(url, attribute) {
+        // Browsers ignore whitespace and control characters inside a scheme
+        const normalized = url.replace(/[\u0000- ]/g, '');
+        const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(normalized);
+
+        if (!scheme || HTMLTemplate.safeSchemes.has(scheme[1].toLowerCase())) {
+            return url;
+        }
+        if (attribute === 'src' && HTMLTemplate.dataImagePattern.test(normalized)) {
+            return url;
+        }
+
+        console.warn('HTMLTemplate: Blocked URL', url);
+        return HTMLTemplate.blockedURL;
+    }
+};
+
+// Export to window for global access
+window.HTMLTemplate = HTMLTemplate;
+window.html = HTMLTemplate.html;
@@ -12,6 +12,20 @@ const UniversalContentLightbox = {
     currentIndex: 0,
     contentArray: null,
 
+    // Grid mode state, kept after closing so Forward can reopen it
+    isGridMode: false,
+    hasGrid: false,
+    gridItems: null,
+    gridType: null,
+    gridTitle: '',
+
+    // Last item sequence shown, kept after closing so Forward can reopen an item
+    lastContentArray: null,
+    lastType: null,
+
+    closeTimer: null,
+    scrollSaveTimer: null,
+
     // Content type constants
     ContentTypes: {
         PHOTO: 'photo',
@@ -47,6 +61,22 @@ const UniversalContentLightbox = {
         // Setup event listeners
         this.setupEventListeners();
 
+        // Let browser back/forward step through grid and item views
+        if (window.Router) {
+            window.Router.registerOverlay('lightbox-grid', {
+                close: () => this.close(),
+                restore: () => this.restoreGrid(),
+                saveState: () => this.getViewState(),
+                restoreState: (view) => this.applyViewState(view)
+            });
+            window.Router.registerOverlay('lightbox-item', {
+                close: () => this.closeItem(),
+                restore: (route) => this.restoreItem(route),
+                saveState: () => this.getViewState(),
+                restoreState: (view) => this.applyViewState(view)
+            });
+        }
+
         console.log('Lightbox: Initialization complete');
     },
 
@@ -101,6 +131,14 @@ const UniversalContentLightbox = {
 
         // Keyboard navigation
         document.addEventListener('keydown', (event) => this.handleKeyboard(event));
+
+        // Keep the scroll position in the history entry once scrolling settles
+        if (this.elements.content) {
+            this.elements.content.addEventListener('scroll', () => {
+                clearTimeout(this.scrollSaveTimer);
+                this.scrollSaveTimer = setTimeout(() => this.saveViewState(), 200);
+            });
+        }
     },
 
     /**
@@ -143,11 +181,22 @@ const UniversalContentLightbox = {
 
         console.log(`Lightbox: Opening with type "${type}"`, content);
 
+        // Replacing a displayed item reuses its history entry
+        const replacingItem = this.isOpen && !this.isGridMode;
+
+        // Remember how far the grid was scrolled before the item replaces it
+        if (this.isOpen && this.isGridMode) {
+            this.saveViewState();
+        }
+        this.isGridMode = false;
+
         // Store state
         this.currentContent = content;
         this.currentType = type;
         this.contentArray = contentArray;
         this.currentIndex = index;
+        this.lastContentArray = contentArray || [content];
+        this.lastType = type;
 
         // Set backdrop intensity based on content type
         this.setBackdropIntensity(type);
@@ -157,6 +206,14 @@ const UniversalContentLightbox = {
 
         // Show lightbox
         this.show();
+
+        // Expose the item's deep link
+        if (replacingItem) {
+            this.syncItemRoute();
+        } else {
+            this.pushItemRoute();
+        }
+        this.updateHead();
     },
 
     /**
@@ -210,7 +267,7 @@ const UniversalContentLightbox = {
     /**
      * Render photo content
      * @param {Object} photo - Photo object
-     * @returns {string} HTML string
+     * @returns {Object} Markup
      */
     renderPhotoContent(photo) {
         const navigation = this.contentArray ? this.renderNavigationControls() : '';
@@ -220,11 +277,11 @@ const UniversalContentLightbox = {
         const imageSrc = isFullUrl ? photo.filename : `content/photography/${photo.filename}.png`;
         const imageWebP = isFullUrl ? null : `content/photography/${photo.filename}.webp`;
 
-        return `
+        return html`
             <div class="lightbox-photo-display">
                 <div class="photo-main">
                     <picture class="lightbox-image">
-                        ${imageWebP ? `<source srcset="${imageWebP}" type="image/webp">` : ''}
+                        ${imageWebP ? html`<source srcset="${imageWebP}" type="image/webp">` : ''}
                         <img src="${imageSrc}"
                              alt="${photo.title || 'Photo'}"
                              loading="eager">
@@ -232,28 +289,28 @@ const UniversalContentLightbox = {
                 </div>
                 <div class="photo-info">
                     <h2 class="photo-title">${photo.title || 'Untitled'}</h2>
-                    ${photo.description ? `<p class="photo-description">${photo.description}</p>` : ''}
+                    ${photo.description ? html`<p class="photo-description">${photo.description}</p>` : ''}
 
                     <div class="photo-metadata">
-                        ${photo.location ? `
+                        ${photo.location ? html`
                             <div class="meta-row">
                                 <span class="meta-label">Location:</span>
                                 <span class="meta-value">${photo.location}</span>
                             </div>
                         ` : ''}
-                        ${photo.date ? `
+                        ${photo.date ? html`
                             <div class="meta-row">
                                 <span class="meta-label">Date:</span>
                                 <span class="meta-value">${photo.date}</span>
                             </div>
                         ` : ''}
-                        ${photo.camera ? `
+                        ${photo.camera ? html`
                             <div class="meta-row">
                                 <span class="meta-label">Camera:</span>
                                 <span class="meta-value">${photo.camera}</span>
                             </div>
                         ` : ''}
-                        ${photo.settings ? `
+                        ${photo.settings ? html`
                             <div class="meta-row">
                                 <span class="meta-label">Settings:</span>
                                 <span class="meta-value">
@@ -266,9 +323,9 @@ const UniversalContentLightbox = {
                         ` : ''}
                     </div>
 
-                    ${photo.tags && photo.tags.length > 0 ? `
+                    ${photo.tags && photo.tags.length > 0 ? html`
                         <div class="photo-tags">
-                            ${photo.tags.map(tag => `<span class="tag">${tag}</span>`).join('')}
+                            ${photo.tags.map(tag => html`<span class="tag">${tag}</span>`)}
                         </div>
                     ` : ''}
                 </div>
@@ -280,30 +337,32 @@ const UniversalContentLightbox = {
     /**
      * Render writing content
      * @param {Object} writing - Writing object
-     * @returns {string} HTML string
+     * @returns {Object} Markup
      */
     renderWritingContent(writing) {
-        return `
+        return html`
             <div class="lightbox-writing-display">
                 <header class="writing-header">
                     <h1 class="writing-title">${writing.title || 'Untitled'}</h1>
-                    ${writing.subtitle ? `<h2 class="writing-subtitle">${writing.subtitle}</h2>` : ''}
+                    ${writing.subtitle ? html`<h2 class="writing-subtitle">${writing.subtitle}</h2>` : ''}
 
                     <div class="writing-meta">
-                        ${writing.datePublished ? `<span class="date">${this.formatDate(writing.datePublished)}</span>` : ''}
-                        ${writing.readingTime ? `<span class="reading-time">${writing.readingTime} min read</span>` : ''}
-                        ${writing.wordCount ? `<span class="word-count">${writing.wordCount} words</span>` : ''}
+                        ${writing.datePublished ? html`<span class="date">${this.formatDate(writing.datePublished)}</span>` : ''}
+                        ${writing.readingTime ? html`<span class="reading-time">${writing.readingTime} min read</span>` : ''}
+                        ${writing.wordCount ? html`<span class="word-count">${writing.wordCount} words</span>` : ''}
                     </div>
                 </header>
 
                 <article class="writing-content">
-                    ${writing.content || writing.description || '<p>Content not available</p>'}
+                    ${writing.content
+                        ? HTMLTemplate.raw(MarkdownParser.parse(writing.content))
+                        : html`<p>${writing.description || 'Content not available'}</p>`}
                 </article>
 
-                ${writing.tags && writing.tags.length > 0 ? `
+                ${writing.tags && writing.tags.length > 0 ? html`
                     <footer class="writing-footer">
                         <div class="writing-tags">
-                            ${writing.tags.map(tag => `<span class="tag">${tag}</span>`).join('')}
+                            ${writing.tags.map(tag => html`<span class="tag">${tag}</span>`)}
                         </div>
                     </footer>
                 ` : ''}
@@ -314,7 +373,7 @@ const UniversalContentLightbox = {
     /**
      * Render music content with player controls
      * @param {Object} track - Music track object
-     * @returns {string} HTML string
+     * @returns {Object} Markup
      */
     renderMusicContent(track) {
         // Check if cover is already a full URL or data URI
@@ -327,40 +386,40 @@ const UniversalContentLightbox = {
 
         const navigation = this.contentArray ? this.renderNavigationControls() : '';
 
-        return `
+        return html`
             <div class="lightbox-music-display">
                 <div class="music-visual">
-                    ${coverSrc ? `
+                    ${coverSrc ? html`
                         <img src="${coverSrc}"
                              alt="${track.title} cover"
                              class="album-cover">
-                    ` : `<div class="album-cover-placeholder">♪</div>`}
+                    ` : html`<div class="album-cover-placeholder">♪</div>`}
                 </div>
 
                 <div class="music-info">
                     <h2 class="track-title">${track.title || 'Untitled Track'}</h2>
-                    ${track.description ? `<p class="track-description">${track.description}</p>` : ''}
+                    ${track.description ? html`<p class="track-description">${track.description}</p>` : ''}
 
                     <div class="track-metadata">
-                        ${track.duration ? `
+                        ${track.duration ? html`
                             <div class="meta-item">
                                 <span class="meta-label">Duration:</span>
                                 <span class="meta-value">${this.formatDuration(track.duration)}</span>
                             </div>
                         ` : ''}
-                        ${track.key ? `
+                        ${track.key ? html`
                             <div class="meta-item">
                                 <span class="meta-label">Key:</span>
                                 <span class="meta-value">${track.key}</span>
                             </div>
                         ` : ''}
-                        ${track.bpm ? `
+                        ${track.bpm ? html`
                             <div class="meta-item">
                                 <span class="meta-label">BPM:</span>
                                 <span class="meta-value">${track.bpm}</span>
                             </div>
                         ` : ''}
-                        ${track.instruments && track.instruments.length > 0 ? `
+                        ${track.instruments && track.instruments.length > 0 ? html`
                             <div class="meta-item">
                                 <span class="meta-label">Instruments:</span>
                                 <span class="meta-value">${track.instruments.join(', ')}</span>
@@ -368,14 +427,14 @@ const UniversalContentLightbox = {
                         ` : ''}
                     </div>
 
-                    ${track.genre && track.genre.length > 0 ? `
+                    ${track.genres && track.genres.length > 0 ? html`
                         <div class="music-genres">
-                            ${track.genre.map(g => `<span class="genre-tag">${g}</span>`).join('')}
+                            ${track.genres.map(g => html`<span class="genre-tag">${g}</span>`)}
                         </div>
                     ` : ''}
                 </div>
 
-                ${audioSrc ? `
+                ${audioSrc ? html`
                     <div class="music-player">
                         <audio controls class="audio-player" src="${audioSrc}">
                             Your browser does not support audio playback.
@@ -391,7 +450,7 @@ const UniversalContentLightbox = {
     /**
      * Render project content
      * @param {Object} project - Project object
-     * @returns {string} HTML string
+     * @returns {Object} Markup
      */
     renderProjectContent(project) {
         // Check if hero image is already a full URL or data URI
@@ -399,9 +458,9 @@ const UniversalContentLightbox = {
         const isFullUrl = heroImage && (heroImage.startsWith('http') || heroImage.startsWith('data:'));
         const heroSrc = heroImage ? (isFullUrl ? heroImage : `content/projects/${heroImage}`) : null;
 
-        return `
+        return html`
             <div class="lightbox-project-display">
-                ${heroSrc ? `
+                ${heroSrc ? html`
                     <div class="project-hero">
                         <img src="${heroSrc}"
                              alt="${project.title}"
@@ -411,12 +470,12 @@ const UniversalContentLightbox = {
 
                 <div class="project-info">
                     <h2 class="project-title">${project.title || 'Untitled Project'}</h2>
-                    ${project.description ? `<p class="project-description">${project.description}</p>` : ''}
+                    ${project.description ? html`<p class="project-description">${project.description}</p>` : ''}
 
-                    ${project.status ? `
+                    ${project.status ? html`
                         <div class="project-status">
                             <span class="status-badge status-${project.status}">${project.status}</span>
-                            ${project.dateStarted ? `
+                            ${project.dateStarted ? html`
                                 <span class="project-timeline">
                                     ${this.formatDate(project.dateStarted)} -
                                     ${project.dateCompleted ? this.formatDate(project.dateCompleted) : 'Ongoing'}
@@ -425,39 +484,39 @@ const UniversalContentLightbox = {
                         </div>
                     ` : ''}
 
-                    ${project.longDescription ? `
+                    ${project.longDescription ? html`
                         <div class="project-details">
                             <h3>Overview</h3>
                             <p>${project.longDescription}</p>
                         </div>
                     ` : ''}
 
-                    ${project.features && project.features.length > 0 ? `
+                    ${project.features && project.features.length > 0 ? html`
                         <div class="project-features">
                             <h3>Key Features</h3>
                             <ul>
-                                ${project.features.map(f => `<li>${f}</li>`).join('')}
+                                ${project.features.map(f => html`<li>${f}</li>`)}
                             </ul>
                         </div>
                     ` : ''}
 
-                    ${project.technologies && project.technologies.length > 0 ? `
+                    ${project.technologies && project.technologies.length > 0 ? html`
                         <div class="project-tech">
                             <h3>Technologies</h3>
                             <div class="tech-stack">
-                                ${project.technologies.map(tech => `<span class="tech-tag">${tech}</span>`).join('')}
+                                ${project.technologies.map(tech => html`<span class="tech-tag">${tech}</span>`)}
                             </div>
                         </div>
                     ` : ''}
 
-                    ${project.links ? `
+                    ${project.links ? html`
                         <div class="project-links">
-                            ${project.links.live ? `
+                            ${project.links.live ? html`
                                 <a href="${project.links.live}" target="_blank" rel="noopener" class="project-link live">
                                     View Live Project →
                                 </a>
                             ` : ''}
-                            ${project.links.github ? `
+                            ${project.links.github ? html`
                                 <a href="${project.links.github}" target="_blank" rel="noopener" class="project-link github">
                                     View on GitHub →
                                 </a>
@@ -473,7 +532,7 @@ const UniversalContentLightbox = {
      * Render curated content (books, movies, music, misc)
      * @param {Object} item - Curated content object
      * @param {string} type - Specific curated type
-     * @returns {string} HTML string
+     * @returns {Object} Markup
      */
     renderCuratedContent(item, type) {
         const typeLabels = {
@@ -487,9 +546,9 @@ const UniversalContentLightbox = {
         const isFullUrl = item.cover && (item.cover.startsWith('http') || item.cover.startsWith('data:'));
         const coverSrc = item.cover ? (isFullUrl ? item.cover : `content/curated/${item.cover}`) : null;
 
-        return `
+        return html`
             <div class="lightbox-curated-display">
-                ${coverSrc ? `
+                ${coverSrc ? html`
                     <div class="curated-visual">
                         <img src="${coverSrc}"
                              alt="${item.title}"
@@ -501,24 +560,24 @@ const UniversalContentLightbox = {
                     <div class="curated-header">
                         <span class="content-type-badge">${typeLabels[type] || 'Curated'}</span>
                         <h2 class="curated-title">${item.title || 'Untitled'}</h2>
-                        ${item.creator ? `<h3 class="curated-creator">by ${item.creator}</h3>` : ''}
+                        ${item.creator ? html`<h3 class="curated-creator">by ${item.creator}</h3>` : ''}
                     </div>
 
-                    ${item.rating ? `
+                    ${item.rating ? html`
                         <div class="curated-rating">
                             <span class="rating-label">Rating:</span>
                             <span class="rating-stars">${'★'.repeat(item.rating)}${'☆'.repeat(5 - item.rating)}</span>
                         </div>
                     ` : ''}
 
-                    ${item.summary ? `
+                    ${item.summary ? html`
                         <div class="curated-summary">
                             <h4>Summary</h4>
                             <p>${item.summary}</p>
                         </div>
                     ` : ''}
 
-                    ${item.review ? `
+                    ${item.review ? html`
                         <div class="curated-review">
                             <h4>My Review</h4>
                             <p>${item.review}</p>
@@ -527,13 +586,13 @@ const UniversalContentLightbox = {
 
                     ${this.renderCuratedMetadata(item, type)}
 
-                    ${item.genre && item.genre.length > 0 ? `
+                    ${item.genres && item.genres.length > 0 ? html`
                         <div class="curated-genres">
-                            ${item.genre.map(g => `<span class="genre-tag">${g}</span>`).join('')}
+                            ${item.genres.map(g => html`<span class="genre-tag">${g}</span>`)}
                         </div>
                     ` : ''}
 
-                    ${item.externalLinks && item.externalLinks.primary ? `
+                    ${item.externalLinks && item.externalLinks.primary ? html`
                         <div class="curated-links">
                             <a href="${item.externalLinks.primary}" target="_blank" rel="noopener" class="external-link">
                                 View External Source →
@@ -549,43 +608,42 @@ const UniversalContentLightbox = {
      * Render type-specific metadata for curated content
      * @param {Object} item - Curated item
      * @param {string} type - Content type
-     * @returns {string} HTML string
+     * @returns {Object} Markup
      */
     renderCuratedMetadata(item, type) {
         if (!item.metadata) return '';
 
         const meta = item.metadata;
-        let metadataHTML = '<div class="curated-metadata">';
+        const rows = [];
 
         // Type-specific metadata
         if (type === this.ContentTypes.CURATED_WRITING) {
-            if (meta.pages) metadataHTML += `<div class="meta-item">Pages: ${meta.pages}</div>`;
-            if (meta.publisher) metadataHTML += `<div class="meta-item">Publisher: ${meta.publisher}</div>`;
-            if (item.year) metadataHTML += `<div class="meta-item">Published: ${item.year}</div>`;
+            if (meta.pages) rows.push(html`<div class="meta-item">Pages: ${meta.pages}</div>`);
+            if (meta.publisher) rows.push(html`<div class="meta-item">Publisher: ${meta.publisher}</div>`);
+            if (item.year) rows.push(html`<div class="meta-item">Published: ${item.year}</div>`);
         } else if (type === this.ContentTypes.CURATED_CINEMA) {
-            if (meta.director) metadataHTML += `<div class="meta-item">Director: ${Array.isArray(meta.director) ? meta.director.join(', ') : meta.director}</div>`;
-            if (meta.duration) metadataHTML += `<div class="meta-item">Runtime: ${this.formatDuration(meta.duration)}</div>`;
-            if (item.year) metadataHTML += `<div class="meta-item">Year: ${item.year}</div>`;
+            if (meta.director) rows.push(html`<div class="meta-item">Director: ${Array.isArray(meta.director) ? meta.director.join(', ') : meta.director}</div>`);
+            if (meta.duration) rows.push(html`<div class="meta-item">Runtime: ${this.formatDuration(meta.duration)}</div>`);
+            if (item.year) rows.push(html`<div class="meta-item">Year: ${item.year}</div>`);
         } else if (type === this.ContentTypes.CURATED_MUSIC) {
-            if (meta.label) metadataHTML += `<div class="meta-item">Label: ${meta.label}</div>`;
-            if (meta.tracks) metadataHTML += `<div class="meta-item">Tracks: ${meta.tracks}</div>`;
-            if (item.year) metadataHTML += `<div class="meta-item">Released: ${item.year}</div>`;
+            if (meta.label) rows.push(html`<div class="meta-item">Label: ${meta.label}</div>`);
+            if (meta.tracks) rows.push(html`<div class="meta-item">Tracks: ${meta.tracks}</div>`);
+            if (item.year) rows.push(html`<div class="meta-item">Released: ${item.year}</div>`);
         }
 
-        metadataHTML += '</div>';
-        return metadataHTML;
+        return html`<div class="curated-metadata">${rows}</div>`;
     },
 
     /**
      * Render generic fallback content
      * @param {Object} content - Content object
-     * @returns {string} HTML string
+     * @returns {Object} Markup
      */
     renderGenericContent(content) {
-        return `
+        return html`
             <div class="lightbox-generic-display">
                 <h2>${content.title || 'Content'}</h2>
-                ${content.description ? `<p>${content.description}</p>` : ''}
+                ${content.description ? html`<p>${content.description}</p>` : ''}
                 <pre>${JSON.stringify(content, null, 2)}</pre>
             </div>
         `;
@@ -593,7 +651,7 @@ const UniversalContentLightbox = {
 
     /**
      * Render navigation controls for galleries
-     * @returns {string} HTML string
+     * @returns {Object} Markup
      */
     renderNavigationControls() {
         if (!this.contentArray || this.contentArray.length <= 1) return '';
@@ -601,9 +659,10 @@ const UniversalContentLightbox = {
         const hasPrevious = this.currentIndex > 0;
         const hasNext = this.currentIndex < this.contentArray.length - 1;
 
-        return `
+        return html`
             <div class="lightbox-navigation">
                 <button class="nav-btn nav-previous"
+                        data-action="lightbox.previous"
                         ${!hasPrevious ? 'disabled' : ''}
                         aria-label="Previous item">
                     ← Previous
@@ -612,6 +671,7 @@ const UniversalContentLightbox = {
                     ${this.currentIndex + 1} / ${this.contentArray.length}
                 </span>
                 <button class="nav-btn nav-next"
+                        data-action="lightbox.next"
                         ${!hasNext ? 'disabled' : ''}
                         aria-label="Next item">
                     Next →
@@ -625,16 +685,7 @@ const UniversalContentLightbox = {
      * @param {string} type - Content type
      */
     setupContentInteractions(type) {
-        // Setup navigation button listeners
-        const prevBtn = this.elements.content?.querySelector('.nav-previous');
-        const nextBtn = this.elements.content?.querySelector('.nav-next');
-
-        if (prevBtn) {
-            prevBtn.addEventListener('click', () => this.navigatePrevious());
-        }
-        if (nextBtn) {
-            nextBtn.addEventListener('click', () => this.navigateNext());
-        }
+        // Navigation buttons are handled through their data-action
 
         // Type-specific interactions
         if (type === this.ContentTypes.MUSIC) {
@@ -650,7 +701,9 @@ const UniversalContentLightbox = {
 
         this.currentIndex--;
         const newContent = this.contentArray[this.currentIndex];
+        this.currentContent = newContent;
         this.renderLightbox(newContent, this.currentType);
+        this.syncItemRoute();
     },
 
     /**
@@ -661,7 +714,9 @@ const UniversalContentLightbox = {
 
         this.currentIndex++;
         const newContent = this.contentArray[this.currentIndex];
+        this.currentContent = newContent;
         this.renderLightbox(newContent, this.currentType);
+        this.syncItemRoute();
     },
 
     /**
@@ -692,7 +747,9 @@ const UniversalContentLightbox = {
     show() {
         if (!this.elements.lightbox) return;
 
-        this.elements.lightbox.classList.remove('hidden');
+        // Reopening mid-close cancels the pending hide
+        clearTimeout(this.closeTimer);
+        this.elements.lightbox.classList.remove('hidden', 'exiting');
         this.elements.lightbox.classList.add('entering');
         this.isOpen = true;
 
@@ -714,8 +771,19 @@ const UniversalContentLightbox = {
         if (!this.elements.lightbox || !this.isOpen) return;
 
         this.elements.lightbox.classList.add('exiting');
+        this.isGridMode = false;
+        this.hasGrid = false;
 
-        setTimeout(() => {
+        // Don't let audio play on through the closing animation
+        this.stopMedia();
+        clearTimeout(this.scrollSaveTimer);
+
+        // Step history back past the lightbox entries
+        if (window.Router) {
+            window.Router.dismissOverlay('lightbox-grid', 'lightbox-item');
+        }
+
+        this.closeTimer = setTimeout(() => {
             this.elements.lightbox.classList.remove('exiting');
             this.elements.lightbox.classList.add('hidden');
             this.isOpen = false;
@@ -736,6 +804,167 @@ const UniversalContentLightbox = {
         }, 200);
     },
 
+    /**
+     * Get the lightbox's scroll position for history entries
+     * @returns {Object} View state ({ scrollTop })
+     */
+    getViewState() {
+        return { scrollTop: this.elements.content ? this.elements.content.scrollTop : 0 };
+    },
+
+    /**
+     * Restore a saved scroll position
+     * @param {Object} view - View state from getViewState()
+     */
+    applyViewState(view) {
+        if (!this.elements.content || !view) return;
+
+        this.elements.content.scrollTop = view.scrollTop || 0;
+    },
+
+    /**
+     * Store the current view in the history entry while the lightbox is open
+     */
+    saveViewState() {
+        clearTimeout(this.scrollSaveTimer);
+
+        if (this.isOpen && window.Router) {
+            window.Router.saveViewState();
+        }
+    },
+
+    /**
+     * Pause any audio or video playing in the lightbox
+     */
+    stopMedia() {
+        if (!this.elements.content) return;
+
+        this.elements.content.querySelectorAll('audio, video').forEach(media => media.pause());
+    },
+
+    /**
+     * Close the item view, returning to the grid it was opened from if any
+     */
+    closeItem() {
+        if (this.hasGrid && this.gridItems) {
+            this.showGrid();
+        } else {
+            this.close();
+        }
+    },
+
+    /**
+     * Record the displayed item as a new history entry
+     */
+    pushItemRoute() {
+        if (!window.Router) return;
+
+        const itemRoute = window.Router.getItemRoute(this.currentType, this.currentContent);
+        window.Router.pushOverlay('lightbox-item', itemRoute || window.Router.currentRoute);
+    },
+
+    /**
+     * Reflect the displayed item in the URL so it can be shared
+     */
+    syncItemRoute() {
+        if (!window.Router || typeof window.Router.getItemRoute !== 'function') return;
+
+        const itemRoute = window.Router.getItemRoute(this.currentType, this.currentContent);
+        if (itemRoute) {
+            window.Router.syncRoute(itemRoute);
+        }
+    },
+
+    /**
+     * Describe the displayed item in the document head for link previews
+     */
+    updateHead() {
+        if (!window.Router || !window.HeadManager) return;
+
+        const itemRoute = window.Router.getItemRoute(this.currentType, this.currentContent);
+        if (itemRoute) {
+            window.HeadManager.setItem(itemRoute, this.getItemMeta(this.currentContent, this.currentType));
+        }
+    },
+
+    /**
+     * Get head metadata for an item
+     * @param {Object} item - Content item
+     * @param {string} type - Content type
+     * @returns {Object} Metadata ({ title, description, image, type })
+     */
+    getItemMeta(item, type) {
+        // Relative paths live in the content type's folder
+        const resolve = (path, folder) => {
+            if (!path) return null;
+            return path.startsWith('http') || path.startsWith('data:') ? path : `content/${folder}/${path}`;
+        };
+
+        switch (type) {
+            case this.ContentTypes.PHOTO:
+                return {
+                    title: item.title,
+                    description: item.description || item.location,
+                    image: item.filename && !item.filename.startsWith('http') && !item.filename.startsWith('data:')
+                        ? `content/photography/${item.filename}.webp`
+                        : item.filename
+                };
+            case this.ContentTypes.WRITING:
+                return {
+                    title: item.title,
+                    description: item.excerpt || item.description,
+                    type: 'article'
+                };
+            case this.ContentTypes.MUSIC:
+                return {
+                    title: item.title,
+                    description: item.description,
+                    image: resolve(item.cover, 'music'),
+                    type: 'music.song'
+                };
+            case this.ContentTypes.PROJECT:
+                return {
+                    title: item.title,
+                    description: item.description,
+                    image: resolve(item.images && item.images.hero, 'projects')
+                };
+            default:
+                // Curated items
+                return {
+                    title: item.title,
+                    description: item.summary || item.excerpt,
+                    image: resolve(item.cover, 'curated')
+                };
+        }
+    },
+
+    /**
+     * Reopen the last grid for a history entry
+     * @returns {boolean} Whether the grid could be reopened
+     */
+    restoreGrid() {
+        if (!this.gridItems) return false;
+
+        this.openGrid(this.gridItems, this.gridType, this.gridTitle);
+        return true;
+    },
+
+    /**
+     * Reopen the item a history entry points at from the last item sequence shown
+     * @param {string} route - Item route of the history entry
+     * @returns {boolean} Whether the item could be reopened
+     */
+    restoreItem(route) {
+        if (!window.Router || !this.lastContentArray) return false;
+
+        const items = this.lastContentArray;
+        const index = items.findIndex(item => window.Router.getItemRoute(this.lastType, item) === route);
+        if (index === -1) return false;
+
+        this.open(items[index], this.lastType, items, index);
+        return true;
+    },
+
     /**
      * Utility: Format date string
      * @param {string} dateString - ISO date string
@@ -787,16 +1016,32 @@ const UniversalContentLightbox = {
         console.log(`Lightbox: Opening grid view with ${items.length} items`);
 
         // Store state for grid mode
-        this.isGridMode = true;
         this.gridItems = items;
         this.gridType = type;
-        this.currentType = type;
+        this.gridTitle = title;
+        this.hasGrid = true;
+
+        this.showGrid();
+
+        // Record the grid as a history entry
+        if (window.Router) {
+            window.Router.pushOverlay('lightbox-grid');
+        }
+    },
+
+    /**
+     * Show the stored grid, e.g. when stepping back from an item opened from it
+     */
+    showGrid() {
+        this.isGridMode = true;
+        this.currentContent = null;
+        this.currentType = this.gridType;
 
         // Set backdrop intensity
-        this.setBackdropIntensity(type);
+        this.setBackdropIntensity(this.gridType);
 
         // Render grid content
-        this.renderGridLightbox(items, type, title);
+        this.renderGridLightbox(this.gridItems, this.gridType, this.gridTitle);
 
         // Show lightbox
         this.show();
@@ -834,10 +1079,10 @@ const UniversalContentLightbox = {
                 break;
 
             default:
-                gridHTML = '<p>Unsupported grid type</p>';
+                gridHTML = html`<p>Unsupported grid type</p>`;
         }
 
-        this.elements.content.innerHTML = `
+        this.elements.content.innerHTML = html`
             <div class="lightbox-grid-container">
                 <h2 class="lightbox-grid-title">${title}</h2>
                 <div class="lightbox-grid-items">
@@ -849,26 +1094,31 @@ const UniversalContentLightbox = {
         console.log('Lightbox: HTML inserted into DOM');
         console.log('Lightbox: Content element:', this.elements.content);
         console.log('Lightbox: innerHTML length:', this.elements.content.innerHTML.length);
+    },
 
-        // Add click handlers to grid items
-        const gridItems = this.elements.content.querySelectorAll('.grid-item, .photo-grid-card, .track-grid-card, .project-grid-card, .writing-grid-card');
-        console.log('Lightbox: Found', gridItems.length, 'grid items in DOM');
-        gridItems.forEach(item => {
-            item.addEventListener('click', () => {
-                const index = parseInt(item.dataset.index);
-                const selectedItem = items[index];
-
-                // Close grid and open individual item
-                this.isGridMode = false;
-                this.open(selectedItem, type, items, index);
-            });
-        });
+    /**
+     * Open an item of the grid, on top of the grid
+     * @param {number} index - Index of the item in the grid
+     */
+    openGridItem(index) {
+        const items = this.gridItems;
+        const type = this.gridType;
+        const selectedItem = items && items[index];
+        if (!selectedItem) return;
+
+        // Writings are read in the writings room's article reader
+        if (type === this.ContentTypes.WRITING && window.Router) {
+            window.Router.navigateTo(window.Router.getItemRoute(type, selectedItem));
+            return;
+        }
+
+        this.open(selectedItem, type, items, index);
     },
 
     /**
      * Render photo grid
      * @param {Array} photos - Photos to display
-     * @returns {string} HTML string
+     * @returns {Object} Markup
      */
     renderPhotoGrid(photos) {
         console.log('Lightbox: renderPhotoGrid called with', photos.length, 'photos');
@@ -881,74 +1131,86 @@ const UniversalContentLightbox = {
 
             console.log(`Photo ${index}: ${photo.title} -> ${thumbnailUrl}`);
 
-            return `
-                <div class="photo-grid-card" data-index="${index}">
+            return html`
+                <div class="photo-grid-card" data-action="lightbox.open-grid-item" data-index="${index}">
                     <img src="${thumbnailUrl}" alt="${photo.title || 'Photo'}" class="photo-grid-img">
                     <p class="photo-grid-title">${photo.title || 'Untitled'}</p>
                 </div>
             `;
-        }).join('');
+        });
     },
 
     /**
      * Render music grid
      * @param {Array} tracks - Tracks to display
-     * @returns {string} HTML string
+     * @returns {Object} Markup
      */
     renderMusicGrid(tracks) {
         return tracks.map((track, index) => {
-            const coverUrl = track.coverArt || 'content/music/default-cover.webp';
-
-            return `
-                <div class="grid-item grid-item-music" data-index="${index}">
-                    <div class="grid-item-thumbnail" style="background-image: url('${coverUrl}')"></div>
+            const isFullUrl = track.cover && (track.cover.startsWith('http') || track.cover.startsWith('data:'));
+            const coverUrl = track.cover
+                ? (isFullUrl ? track.cover : `content/music/${track.cover}`)
+                : 'content/music/default-cover.webp';
+
+            return html`
+                <div class="grid-item grid-item-music" data-action="lightbox.open-grid-item" data-index="${index}">
+                    <div class="grid-item-thumbnail" style="background-image: ${HTMLTemplate.cssURL(coverUrl)}"></div>
                     <div class="grid-item-info">
                         <h3>${track.title || 'Untitled'}</h3>
                     </div>
                 </div>
             `;
-        }).join('');
+        });
     },
 
     /**
      * Render writing grid (list view)
      * @param {Array} writings - Writings to display
-     * @returns {string} HTML string
+     * @returns {Object} Markup
      */
     renderWritingGrid(writings) {
         return writings.map((writing, index) => {
-            return `
-                <div class="grid-item grid-item-writing" data-index="${index}">
+            return html`
+                <div class="grid-item grid-item-writing" data-action="lightbox.open-grid-item" data-index="${index}">
                     <div class="grid-item-info">
                         <h3>${writing.title || 'Untitled'}</h3>
                         <p class="grid-item-description">${writing.description || writing.excerpt || ''}</p>
                     </div>
                 </div>
             `;
-        }).join('');
+        });
     },
 
     /**
      * Render project grid
      * @param {Array} projects - Projects to display
-     * @returns {string} HTML string
+     * @returns {Object} Markup
      */
     renderProjectGrid(projects) {
         return projects.map((project, index) => {
             const thumbnailUrl = `content/projects/${project.id}_thumbnail.webp`;
 
-            return `
-                <div class="grid-item grid-item-project" data-index="${index}">
-                    <div class="grid-item-thumbnail" style="background-image: url('${thumbnailUrl}')"></div>
+            return html`
+                <div class="grid-item grid-item-project" data-action="lightbox.open-grid-item" data-index="${index}">
+                    <div class="grid-item-thumbnail" style="background-image: ${HTMLTemplate.cssURL(thumbnailUrl)}"></div>
                     <div class="grid-item-info">
                         <h3>${project.title || 'Untitled'}</h3>
                         <p class="grid-item-description">${project.description || ''}</p>
                     </div>
                 </div>
             `;
-        }).join('');
+        });
     }
 };
 
 // Export for use in other modules
 window.UniversalContentLightbox = UniversalContentLightbox;
+
+// Handle clicks in the lightbox's markup
+if (window.Actions) {
+    window.Actions.register({
+        'lightbox.previous': () => UniversalContentLightbox.navigatePrevious(),
+        'lightbox.next': () => UniversalContentLightbox.navigateNext(),
+        'lightbox.open-grid-item': ({ index }) => UniversalContentLightbox.openGridItem(Number(index))
+    });
+}
@@ -1,46 +1,215 @@
 /**
  * Markdown Parser
  * Thin wrapper around marked that applies consistent configuration and sanitisation.
+ * Every markdown render goes through MarkdownParser.parse, so nothing reaches the page
+ * that the allowlist below doesn't name.
  */
 
 (function () {
-    if (!window.marked) {
-        console.error('MarkdownParser: marked library is not available.');
-        return;
+    if (window.marked) {
+        // Configure marked defaults for consistent output
+        window.marked.setOptions({
+            gfm: true,
+            breaks: false,
+            mangle: false,
+            headerIds: true
+        });
+    } else {
+        console.error('MarkdownParser: marked library is not available, rendering plain text.');
+    }
+
+    const HTML_NAMESPACE = 'http://www.w3.org/1999/xhtml';
+
+    // Elements markdown (and the HTML authors write in it) may produce
+    const ALLOWED_TAGS = new Set([
+        'a', 'abbr', 'b', 'blockquote', 'br', 'caption', 'cite', 'code', 'dd', 'del', 'details',
+        'dfn', 'div', 'dl', 'dt', 'em', 'figcaption', 'figure', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+        'hr', 'i', 'img', 'input', 'ins', 'kbd', 'li', 'mark', 'ol', 'p', 'pre', 'q', 's', 'samp',
+        'small', 'span', 'strong', 'sub', 'summary', 'sup', 'table', 'tbody', 'td', 'tfoot', 'th',
+        'thead', 'time', 'tr', 'u', 'ul', 'var'
+    ]);
+
+    // Disallowed elements are unwrapped, keeping their text; these go with everything inside them
+    const DROPPED_WITH_CONTENT = new Set([
+        'script', 'style', 'template', 'noscript', 'iframe', 'frame', 'frameset', 'object', 'embed',
+        'applet', 'form', 'button', 'select', 'textarea', 'option', 'title', 'head', 'meta', 'base',
+        'link', 'svg', 'math', 'audio', 'video', 'canvas', 'xmp', 'noembed', 'noframes', 'plaintext'
+    ]);
+
+    // Attributes allowed on every allowed element; ids and names are left out so
+    // content can't clobber the museum's own elements
+    const GLOBAL_ATTRIBUTES = new Set(['title', 'lang', 'dir']);
+
+    const TAG_ATTRIBUTES = {
+        a: new Set(['href']),
+        blockquote: new Set(['cite']),
+        code: new Set(['class']),
+        del: new Set(['cite', 'datetime']),
+        details: new Set(['open']),
+        img: new Set(['src', 'alt', 'width', 'height']),
+        input: new Set(['type', 'checked', 'disabled']),
+        ins: new Set(['cite', 'datetime']),
+        li: new Set(['value']),
+        ol: new Set(['start', 'reversed']),
+        q: new Set(['cite']),
+        td: new Set(['align', 'colspan', 'rowspan']),
+        th: new Set(['align', 'colspan', 'rowspan', 'scope']),
+        time: new Set(['datetime'])
+    };
+
+    // Attributes holding URLs, and the schemes each may use; relative URLs resolve to the page's
+    const URL_SCHEMES = {
+        href: new Set(['http:', 'https:', 'mailto:', 'tel:']),
+        src: new Set(['http:', 'https:']),
+        cite: new Set(['http:', 'https:'])
+    };
+
+    // Inline raster images are the only data: URLs let through
+    const DATA_IMAGE_REGEX = /^data:image\/(?:png|gif|jpeg|webp|avif);base64,[a-z0-9+/=\s]+$/i;
+
+    // marked marks fenced code blocks with their language
+    const CODE_CLASS_REGEX = /^language-[\w-]+$/;
+
+    /**
+     * Resolve a URL against the page.
+     * The URL parser drops the whitespace and control characters browsers
+     * ignore, so "java\tscript:" resolves to a javascript: URL.
+     * @param {string} value - URL as written.
+     * @returns {URL|null} - The resolved URL, or null if it doesn't parse.
+     */
+    function resolveURL(value) {
+        try {
+            return new URL(value, document.baseURI);
+        } catch (error) {
+            return null;
+        }
     }
 
-    // Configure marked defaults for consistent output
-    window.marked.setOptions({
-        gfm: true,
-        breaks: false,
-        mangle: false,
-        headerIds: true
-    });
+    /**
+     * Check a URL attribute against the scheme policy.
+     * @param {string} name - Attribute name (href, src or cite).
+     * @param {string} value - Attribute value.
+     * @param {string} tag - Element the attribute is on.
+     * @returns {boolean}
+     */
+    function isAllowedURL(name, value, tag) {
+        if (tag === 'img' && name === 'src' && DATA_IMAGE_REGEX.test(value.trim())) {
+            return true;
+        }
+
+        const url = resolveURL(value);
+        return Boolean(url) && URL_SCHEMES[name].has(url.protocol);
+    }
 
-    const DISALLOWED_TAGS = new Set(['script', 'iframe', 'object', 'embed', 'style']);
-    const EVENT_ATTRIBUTE_REGEX = /^on/i;
+    /**
+     * Check whether a link leads off the site over the web.
+     * @param {string} href - Link target, already checked by isAllowedURL.
+     * @returns {boolean}
+     */
+    function isExternalLink(href) {
+        const url = resolveURL(href);
+        return Boolean(url) && /^https?:$/.test(url.protocol) && url.origin !== window.location.origin;
+    }
 
     /**
-     * Remove dangerous markup from generated HTML.
+     * Strip an allowed element down to its allowed attributes.
+     * @param {Element} element - Element to clean.
+     * @param {string} tag - Its lower-case tag name.
+     */
+    function cleanAttributes(element, tag) {
+        const allowed = TAG_ATTRIBUTES[tag];
+
+        [...element.attributes].forEach((attr) => {
+            const name = attr.name.toLowerCase();
+            const permitted = GLOBAL_ATTRIBUTES.has(name) || (allowed && allowed.has(name));
+
+            if (!permitted) {
+                element.removeAttribute(attr.name);
+            } else if (URL_SCHEMES[name] && !isAllowedURL(name, attr.value, tag)) {
+                element.removeAttribute(attr.name);
+            } else if (tag === 'code' && name === 'class' && !CODE_CLASS_REGEX.test(attr.value)) {
+                element.removeAttribute(attr.name);
+            }
+        });
+
+        // GFM task list items are the only inputs, and they can't be ticked
+        if (tag === 'input') {
+            if (element.getAttribute('type') !== 'checkbox') {
+                element.remove();
+                return;
+            }
+            element.setAttribute('disabled', '');
+        }
+
+        // Links off the site open in a new tab that can't reach back into this one
+        if (tag === 'a' && element.hasAttribute('href') && isExternalLink(element.getAttribute('href'))) {
+            element.setAttribute('target', '_blank');
+            element.setAttribute('rel', 'noopener noreferrer');
+        }
+    }
+
+    /**
+     * Clean a node's children in place.
+     * @param {Node} parent - Node whose children to clean.
+     */
+    function cleanChildren(parent) {
+        [...parent.childNodes].forEach((node) => {
+            if (node.nodeType === Node.TEXT_NODE) {
+                return;
+            }
+
+            // Comments, processing instructions and SVG/MathML content
+            if (node.nodeType !== Node.ELEMENT_NODE || node.namespaceURI !== HTML_NAMESPACE) {
+                node.remove();
+                return;
+            }
+
+            const tag = node.localName;
+
+            if (!ALLOWED_TAGS.has(tag)) {
+                if (DROPPED_WITH_CONTENT.has(tag)) {
+                    node.remove();
+                } else {
+                    cleanChildren(node);
+                    node.replaceWith(...node.childNodes);
+                }
+                return;
+            }
+
+            cleanAttributes(node, tag);
+            cleanChildren(node);
+        });
+    }
+
+    /**
+     * Reduce HTML to the allowlisted elements, attributes and URL schemes.
      * @param {string} html - Raw HTML string from the markdown renderer.
      * @returns {string} - Sanitised HTML string.
      */
     function sanitise(html) {
+        // DOMParser documents are inert: nothing in them runs or loads
         const parser = new DOMParser();
         const doc = parser.parseFromString(html, 'text/html');
 
-        DISALLOWED_TAGS.forEach((tag) => {
-            doc.querySelectorAll(tag).forEach((node) => node.remove());
-        });
+        cleanChildren(doc.body);
 
-        doc.querySelectorAll('*').forEach((node) => {
-            [...node.attributes].forEach((attr) => {
-                const name = attr.name;
-                const value = attr.value || '';
-                if (EVENT_ATTRIBUTE_REGEX.test(name) || value.toLowerCase().includes('javascript:')) {
-                    node.removeAttribute(name);
-                }
-            });
+        return doc.body.innerHTML;
+    }
+
+    /**
+     * Render markdown as plain paragraphs when marked isn't available.
+     * @param {string} markdown - Markdown source string.
+     * @returns {string} - HTML string with the source as text.
+     */
+    function renderPlainText(markdown) {
+        const doc = document.implementation.createHTMLDocument('');
+
+        markdown.split(/\n\s*\n/).forEach((block) => {
+            if (!block.trim()) return;
+
+            const paragraph = doc.createElement('p');
+            paragraph.textContent = block.trim();
+            doc.body.appendChild(paragraph);
         });
 
         return doc.body.innerHTML;
@@ -53,6 +222,10 @@
          * @returns {string}
          */
         parse(markdown) {
+            if (!window.marked) {
+                return renderPlainText(markdown || '');
+            }
+
             const html = window.marked.parse(markdown || '');
             return sanitise(html);
         }
@@ -8,7 +8,7 @@ const MuseumLabelGenerator = {
     /**
      * Generate a museum label for photography/visual art
      * @param {Object} artwork - Artwork metadata object
-     * @returns {string} HTML string for the museum label
+     * @returns {Object} Museum label markup
      */
     generatePhotoLabel(artwork) {
         const {
@@ -23,36 +23,32 @@ const MuseumLabelGenerator = {
             location
         } = artwork;
 
-        let label = `
+        // Technical details section for photography
+        const technical = camera || lens || settings ? html`
+            <div class="label-technical">
+                ${camera ? html`<div class="label-camera">${camera}</div>` : ''}
+                ${lens ? html`<div class="label-lens">${lens}</div>` : ''}
+                ${settings ? html`<div class="label-settings">${settings}</div>` : ''}
+            </div>
+        ` : '';
+
+        return html`
             <div class="museum-label photo-label">
                 <div class="label-title">${title}</div>
-                ${year ? `<div class="label-year">${year}</div>` : ''}
-                ${medium ? `<div class="label-medium">${medium}</div>` : ''}
-                ${dimensions ? `<div class="label-dimensions">${dimensions}</div>` : ''}
-                ${description ? `<div class="label-description">${description}</div>` : ''}
+                ${year ? html`<div class="label-year">${year}</div>` : ''}
+                ${medium ? html`<div class="label-medium">${medium}</div>` : ''}
+                ${dimensions ? html`<div class="label-dimensions">${dimensions}</div>` : ''}
+                ${description ? html`<div class="label-description">${description}</div>` : ''}
+                ${technical}
+                ${location ? html`<div class="label-location">${location}</div>` : ''}
+            </div>
         `;
-
-        // Technical details section for photography
-        if (camera || lens || settings) {
-            label += `<div class="label-technical">`;
-            if (camera) label += `<div class="label-camera">${camera}</div>`;
-            if (lens) label += `<div class="label-lens">${lens}</div>`;
-            if (settings) label += `<div class="label-settings">${settings}</div>`;
-            label += `</div>`;
-        }
-
-        if (location) {
-            label += `<div class="label-location">${location}</div>`;
-        }
-
-        label += `</div>`;
-        return label;
     },
 
     /**
      * Generate a museum label for written works
      * @param {Object} writing - Writing metadata object
-     * @returns {string} HTML string for the museum label
+     * @returns {Object} Museum label markup
      */
     generateWritingLabel(writing) {
         const {
@@ -64,23 +60,22 @@ const MuseumLabelGenerator = {
             tags
         } = writing;
 
-        let label = `
+        return html`
             <div class="museum-label writing-label">
                 <div class="label-title">${title}</div>
-                ${author ? `<div class="label-author">by ${author}</div>` : ''}
-                ${date ? `<div class="label-date">${new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })}</div>` : ''}
-                ${readTime ? `<div class="label-duration">${readTime}</div>` : ''}
-                ${excerpt ? `<div class="label-description">${excerpt}</div>` : ''}
-                ${tags && tags.length ? `<div class="label-tags">${tags.join(' • ')}</div>` : ''}
+                ${author ? html`<div class="label-author">by ${author}</div>` : ''}
+                ${date ? html`<div class="label-date">${new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })}</div>` : ''}
+                ${readTime ? html`<div class="label-duration">${readTime}</div>` : ''}
+                ${excerpt ? html`<div class="label-description">${excerpt}</div>` : ''}
+                ${tags && tags.length ? html`<div class="label-tags">${tags.join(' • ')}</div>` : ''}
             </div>
         `;
-        return label;
     },
 
     /**
      * Generate a museum label for music
      * @param {Object} music - Music metadata object
-     * @returns {string} HTML string for the museum label
+     * @returns {Object} Museum label markup
      */
     generateMusicLabel(music) {
         const {
@@ -94,27 +89,26 @@ const MuseumLabelGenerator = {
             license
         } = music;
 
-        let label = `
+        return html`
             <div class="museum-label music-label">
                 <div class="label-title">${title}</div>
-                ${artist ? `<div class="label-artist">by ${artist}</div>` : ''}
-                ${album ? `<div class="label-album">from "${album}"</div>` : ''}
+                ${artist ? html`<div class="label-artist">by ${artist}</div>` : ''}
+                ${album ? html`<div class="label-album">from "${album}"</div>` : ''}
                 <div class="label-meta">
-                    ${year ? `<span class="label-year">${year}</span>` : ''}
-                    ${genre ? `<span class="label-genre">${genre}</span>` : ''}
-                    ${duration ? `<span class="label-duration">${duration}</span>` : ''}
+                    ${year ? html`<span class="label-year">${year}</span>` : ''}
+                    ${genre ? html`<span class="label-genre">${genre}</span>` : ''}
+                    ${duration ? html`<span class="label-duration">${duration}</span>` : ''}
                 </div>
-                ${description ? `<div class="label-description">${description}</div>` : ''}
-                ${license ? `<div class="label-license">${license}</div>` : ''}
+                ${description ? html`<div class="label-description">${description}</div>` : ''}
+                ${license ? html`<div class="label-license">${license}</div>` : ''}
             </div>
         `;
-        return label;
     },
 
     /**
      * Generate a museum label for curated content
      * @param {Object} item - Curated item metadata object
-     * @returns {string} HTML string for the museum label
+     * @returns {Object} Museum label markup
      */
     generateCuratedLabel(item) {
         const {
@@ -130,39 +124,33 @@ const MuseumLabelGenerator = {
             url
         } = item;
 
-        let label = `
+        return html`
             <div class="museum-label curated-label">
                 <div class="label-title">${title}</div>
-        `;
-
-        // Handle different types of creators
-        if (author) label += `<div class="label-creator">by ${author}</div>`;
-        if (director) label += `<div class="label-creator">directed by ${director}</div>`;
-        if (artist) label += `<div class="label-creator">by ${artist}</div>`;
-
-        label += `
-                ${year ? `<div class="label-year">${year}</div>` : ''}
-                ${genre ? `<div class="label-genre">${genre}</div>` : ''}
-                ${description ? `<div class="label-description">${description}</div>` : ''}
-                ${myRating ? `<div class="label-rating">Personal Rating: ${myRating}</div>` : ''}
-                ${commentary ? `<div class="label-commentary">"${commentary}"</div>` : ''}
-                ${url ? `<div class="label-link"><a href="${url}" target="_blank" rel="noopener">View External Link</a></div>` : ''}
+                ${author ? html`<div class="label-creator">by ${author}</div>` : ''}
+                ${director ? html`<div class="label-creator">directed by ${director}</div>` : ''}
+                ${artist ? html`<div class="label-creator">by ${artist}</div>` : ''}
+                ${year ? html`<div class="label-year">${year}</div>` : ''}
+                ${genre ? html`<div class="label-genre">${genre}</div>` : ''}
+                ${description ? html`<div class="label-description">${description}</div>` : ''}
+                ${myRating ? html`<div class="label-rating">Personal Rating: ${myRating}</div>` : ''}
+                ${commentary ? html`<div class="label-commentary">"${commentary}"</div>` : ''}
+                ${url ? html`<div class="label-link"><a href="${url}" target="_blank" rel="noopener">View External Link</a></div>` : ''}
             </div>
         `;
-        return label;
     },
 
     /**
      * Generate a simple title label for section headers
      * @param {string} title - Section title
      * @param {string} subtitle - Optional subtitle
-     * @returns {string} HTML string for the section label
+     * @returns {Object} Section label markup
      */
     generateSectionLabel(title, subtitle = '') {
-        return `
+        return html`
             <div class="museum-label section-label">
                 <div class="label-title">${title}</div>
-                ${subtitle ? `<div class="label-subtitle">${subtitle}</div>` : ''}
+                ${subtitle ? html`<div class="label-subtitle">${subtitle}</div>` : ''}
             </div>
         `;
     },
@@ -171,7 +159,7 @@ const MuseumLabelGenerator = {
      * Generate label based on content type
      * @param {Object} content - Content metadata object
      * @param {string} type - Content type ('photo', 'writing', 'music', 'curated')
-     * @returns {string} HTML string for the museum label
+     * @returns {Object} Museum label markup
      */
     generateLabel(content, type) {
         switch (type) {
@@ -4,195 +4,204 @@
  */
 
 const Router = {
+    // URL style: 'hash' (#/works) or 'history' (/works), set by <meta name="router-mode">
+    mode: 'hash',
+    basePath: '/',
+
     // Current route state
     currentRoute: '',
     previousRoute: '',
     navigationHistory: [],
 
-    // Route definitions - Maps hash routes to content configuration
-    routes: {
-        '': {
-            title: 'Personal Museum',
-            backWall: { type: 'photo-space', content: '' },
-            leftWall: { type: 'navigation', content: 'WORKS', route: '/works', label: 'navigate' },
-            rightWall: { type: 'navigation', content: 'ABOUT', route: '/about', label: 'navigate' }
-        },
-        '/about': {
-            title: 'About - Personal Museum',
-            backWall: { type: 'placeholder', content: 'ABOUT' },
-            leftWall: { type: 'empty' },
-            rightWall: { type: 'empty' }
-        },
-        '/works': {
-            title: 'Works - Personal Museum',
-            backWall: { type: 'section-title', content: 'WORKS' },
-            leftWall: { type: 'navigation', content: 'PERSONAL', route: '/works/personal', label: 'navigate' },
-            rightWall: { type: 'navigation', content: 'CURATED', route: '/works/curated', label: 'navigate' }
-        },
-        '/works/personal': {
-            title: 'Personal Works - Museum',
-            layout: 'four-walls',
-            heading: 'Personal Works',
-            leftmostWall: { type: 'navigation', content: 'PHOTOGRAPHY', route: '/works/personal/photography', label: 'view' },
-            leftmiddleWall: { type: 'navigation', content: 'WRITINGS', route: '/works/personal/writings', label: 'read' },
-            rightmiddleWall: { type: 'navigation', content: 'MUSIC', route: '/works/personal/music', label: 'listen' },
-            rightmostWall: { type: 'navigation', content: 'PROJECTS', route: '/works/personal/projects', label: 'explore' }
-        },
-        '/works/personal/writings': {
-            title: 'Personal Writings - Museum',
-            backWall: { type: 'placeholder', content: 'WRITINGS' },
-            leftWall: { type: 'empty' },
-            rightWall: { type: 'empty' }
-        },
-        '/works/personal/photography': {
-            title: 'Photography - Museum',
-            backWall: { type: 'placeholder', content: 'PHOTOGRAPHY' },
-            leftWall: { type: 'empty' },
-            rightWall: { type: 'empty' }
-        },
-        '/works/curated': {
-            title: 'Curated Works - Museum',
-            layout: 'four-walls',
-            heading: 'Curated Works',
-            leftmostWall: { type: 'navigation', content: 'WRITINGS', route: '/works/curated/writings', label: 'read' },
-            leftmiddleWall: { type: 'navigation', content: 'CINEMA & TV', route: '/works/curated/cinema', label: 'watch' },
-            rightmiddleWall: { type: 'navigation', content: 'MUSIC', route: '/works/curated/music', label: 'listen' },
-            rightmostWall: { type: 'navigation', content: 'MISCELLANEOUS', route: '/works/curated/misc', label: 'explore' }
-        },
-        '/works/curated/writings': {
-            title: 'Curated Writings - Museum',
-            backWall: { type: 'placeholder', content: 'CURATED WRITINGS' },
-            leftWall: { type: 'empty' },
-            rightWall: { type: 'empty' }
-        },
-        '/works/curated/cinema': {
-            title: 'Cinema & TV - Museum',
-            backWall: { type: 'placeholder', content: 'CINEMA & TV' },
-            leftWall: { type: 'empty' },
-            rightWall: { type: 'empty' }
-        },
-        '/works/curated/music': {
-            title: 'Curated Music - Museum',
-            backWall: { type: 'placeholder', content: 'CURATED MUSIC' },
-            leftWall: { type: 'empty' },
-            rightWall: { type: 'empty' }
-        },
-        '/works/curated/misc': {
-            title: 'Miscellaneous - Museum',
-            backWall: { type: 'placeholder', content: 'MISCELLANEOUS' },
-            leftWall: { type: 'empty' },
-            rightWall: { type: 'empty' }
-        },
-        '/works/personal/music': {
-            title: 'Personal Music - Museum',
-            backWall: { type: 'placeholder', content: 'MUSIC' },
-            leftWall: { type: 'empty' },
-            rightWall: { type: 'empty' }
-        },
-        '/works/personal/projects': {
-            title: 'Projects - Museum',
-            backWall: { type: 'placeholder', content: 'PROJECTS' },
-            leftWall: { type: 'empty' },
-            rightWall: { type: 'empty' }
-        }
-    },
-
-    // Central navigation tree powering sitemap and other navigation UIs
-    navigationTree: [
-        {
-            label: 'ENTRANCE',
-            route: '',
-            description: 'Return to the main hall'
-        },
-        {
-            label: 'ABOUT & CONTACT',
-            route: '/about'
-        },
-        {
-            label: 'WORKS',
-            route: '/works',
-            children: [
-                {
-                    label: 'Personal Works',
-                    route: '/works/personal',
-                    children: [
-                        {
-                            label: 'Photography',
-                            route: '/works/personal/photography',
-                            description: 'Photo collection'
-                        },
-                        {
-                            label: 'Writings',
-                            route: '/works/personal/writings',
-                            description: 'Articles and essays'
-                        },
-                        {
-                            label: 'Music',
-                            route: '/works/personal/music',
-                            description: 'Music collection'
-                        },
-                        {
-                            label: 'Projects',
-                            route: '/works/personal/projects',
-                            description: 'Project portfolio'
-                        }
-                    ]
-                },
-                {
-                    label: 'Curated Works',
-                    route: '/works/curated',
-                    children: [
-                        {
-                            label: 'Curated Writings',
-                            route: '/works/curated/writings',
-                            description: 'Curated reading list • Recommendations'
-                        },
-                        {
-                            label: 'Cinema & TV',
-                            route: '/works/curated/cinema',
-                            description: 'Curated watch list • Reviews'
-                        },
-                        {
-                            label: 'Curated Music',
-                            route: '/works/curated/music',
-                            description: 'Curated discographies • Reviews'
-                        },
-                        {
-                            label: 'Miscellaneous',
-                            route: '/works/curated/misc',
-                            description: 'Various acategorous works'
-                        }
-                    ]
-                }
-            ]
-        }
-    ],
+    // Route definitions - Maps routes of wall-only rooms to content configuration
+    // Built from content/site.json by applyManifest()
+    routes: {},
+
+    // Controller rooms registered via registerRoute(), matched in registration order
+    routeRegistry: [],
+
+    // Controller behaviour waiting for its manifest room, keyed by room id
+    roomDefinitions: {},
+
+    // Redirect table from the site manifest, compiled like route patterns
+    redirects: [],
+
+    // Overlays (lightbox, search, sitemap) that own browser history entries
+    overlays: {},
+    overlayStack: [],
+    roomRoute: null,
+    isRestoring: false,
+
+    // themechange listener active while the entrance is shown
+    featuredThemeListener: null,
+
+    // Aborts the navigation in flight when a newer one starts
+    navigationController: null,
+    renderSignal: null,
+
+    // Central navigation tree powering sitemap, breadcrumbs and other navigation UIs
+    // Built from content/site.json by applyManifest(); rooms can add sub-views through
+    // navigation.children(). 'breadcrumb' is an optional shorter label for the breadcrumb trail
+    navigationTree: [],
 
     /**
      * Initialize router - Set up event listeners and handle initial route
+     * @returns {Promise<boolean|undefined>} Settles when the initial navigation has
+     * rendered, been cancelled or failed
      */
     init() {
         console.log('Router: Initializing');
 
-        // Listen for hash changes (back/forward browser buttons)
+        this.configureMode();
+
+        // Listen for hash changes (manually edited URLs)
         window.addEventListener('hashchange', () => {
-            this.handleRoute();
+            if (!this.isRestoring) {
+                this.handleRoute();
+            }
         });
 
-        // Listen for popstate (browser navigation)
+        // Listen for popstate (back/forward browser buttons)
         window.addEventListener('popstate', (event) => {
-            if (event.state && event.state.route) {
-                this.navigateTo(event.state.route, false); // Don't push to history
-            }
+            this.handlePopState(event.state);
         });
 
-        // Initialize theme integration
-        this.initThemeIntegration();
+        // Overlays don't survive a reload, so drop any left in the restored entry
+        const state = window.history.state;
+        if (state && state.overlays && state.overlays.length > 0) {
+            window.history.replaceState({ route: state.route, overlays: [] }, '');
+        }
 
         // Handle initial route on page load with small delay to ensure all systems ready
-        setTimeout(() => {
-            this.handleRoute();
-        }, 50);
+        return new Promise((resolve) => {
+            setTimeout(() => {
+                resolve(this.handleRoute());
+            }, 50);
+        });
+    },
+
+    /**
+     * Build routes and the navigation tree from the site manifest
+     * Wall-only rooms become static routes; controller rooms are compiled from the
+     * behaviour their controller registered under the room's id
+     * @param {Object} manifest - Loaded SiteManifest
+     */
+    applyManifest(manifest) {
+        console.log('Router: Applying site manifest');
+
+        this.routes = {};
+
+        manifest.rooms.forEach((room) => {
+            const parentRoom = room.parent ? manifest.getRoom(room.parent) : null;
+            const parent = parentRoom ? parentRoom.route : undefined;
+
+            if (!room.controller) {
+                this.routes[room.route] = this.buildStaticRoute(room, parent, manifest);
+                return;
+            }
+
+            const definition = this.roomDefinitions[room.id];
+            if (!definition) {
+                console.warn(`Router: No controller registered for room "${room.id}"`);
+                return;
+            }
+
+            this.addRouteDefinition({
+                title: room.title,
+                name: room.breadcrumb || room.label,
+                description: room.description,
+                image: room.image,
+                themeColor: room.themeColor,
+                layout: room.layout,
+                ...definition,
+                pattern: room.route + (definition.params || ''),
+                route: room.route,
+                parent: parent !== undefined ? parent : '',
+                navigation: {
+                    label: room.label,
+                    breadcrumb: room.breadcrumb,
+                    description: room.description,
+                    ...definition.navigation
+                }
+            });
+        });
+
+        this.navigationTree = this.buildNavigationTree(manifest);
+
+        this.redirects = manifest.redirects.map(redirect => ({
+            ...redirect,
+            ...this.compilePattern(redirect.from)
+        }));
+    },
+
+    /**
+     * Build the route configuration of a room that only has walls
+     * @param {Object} room - Manifest room
+     * @param {string} parent - Parent route, undefined for the entrance
+     * @param {Object} manifest - Loaded SiteManifest
+     * @returns {Object} Route configuration
+     */
+    buildStaticRoute(room, parent, manifest) {
+        const config = { room: room.id, title: room.title, parent };
+        if (room.description) config.description = room.description;
+        if (room.image) config.image = room.image;
+        if (room.themeColor) config.themeColor = room.themeColor;
+        if (room.layout) config.layout = room.layout;
+        if (room.heading) config.heading = room.heading;
+
+        Object.entries(room.walls || {}).forEach(([wall, spec]) => {
+            if (spec.room) {
+                const target = manifest.getRoom(spec.room);
+                config[`${wall}Wall`] = {
+                    type: 'navigation',
+                    content: target.wallLabel || target.label,
+                    route: target.route,
+                    label: spec.verb || 'navigate'
+                };
+                return;
+            }
+
+            const { data, ...wallConfig } = spec;
+            config[`${wall}Wall`] = { content: '', ...wallConfig };
+            if (data) {
+                config[`${wall}Wall`].source = manifest.getDataSource(room.id, data);
+            }
+        });
+
+        // The featured image follows the theme only while its room is on screen
+        if (Object.values(room.walls || {}).some(spec => spec.type === 'photo-space')) {
+            config.afterEnter = () => Router.watchFeaturedImageTheme();
+            config.beforeLeave = () => Router.unwatchFeaturedImageTheme();
+        }
+
+        return config;
+    },
+
+    /**
+     * Build the navigation tree from the manifest
+     * Rooms without a parent lead the top level, followed by the rooms beneath them
+     * @param {Object} manifest - Loaded SiteManifest
+     * @returns {Array<Object>} Navigation nodes ({ label, breadcrumb, route, description, children })
+     */
+    buildNavigationTree(manifest) {
+        const buildNode = (room) => {
+            const node = { label: room.label, route: room.route };
+            if (room.breadcrumb) node.breadcrumb = room.breadcrumb;
+            if (room.description) node.description = room.description;
+
+            const children = manifest.getChildren(room.id).map(buildNode);
+            if (children.length > 0 || room.walls) {
+                node.children = children;
+            }
+            return node;
+        };
+
+        const tree = [];
+        manifest.rooms.filter(room => !room.parent).forEach((root) => {
+            const { children = [], ...node } = buildNode(root);
+            tree.push(node, ...children);
+        });
+        return tree;
     },
 
     /**
@@ -200,16 +209,445 @@ const Router = {
      * @returns {Array<Object>} Navigation tree data
      */
     getNavigationTree() {
-        return JSON.parse(JSON.stringify(this.navigationTree));
+        const tree = JSON.parse(JSON.stringify(this.navigationTree));
+
+        // Rooms outside the manifest sit directly after the entrance, in registration order
+        let topLevelIndex = tree.findIndex(entry => entry.route === '') + 1;
+
+        this.routeRegistry.forEach((definition) => {
+            if (!definition.navigation) {
+                return;
+            }
+
+            const existing = this.findNavigationNode(tree, definition.route);
+            if (existing) {
+                if (typeof definition.navigation.children === 'function') {
+                    existing.children = definition.navigation.children();
+                }
+                return;
+            }
+
+            const node = {
+                label: definition.navigation.label || definition.name,
+                route: definition.route
+            };
+            if (definition.navigation.breadcrumb) {
+                node.breadcrumb = definition.navigation.breadcrumb;
+            }
+            if (definition.navigation.description) {
+                node.description = definition.navigation.description;
+            }
+            if (typeof definition.navigation.children === 'function') {
+                node.children = definition.navigation.children();
+            }
+
+            if (!definition.parent) {
+                tree.splice(topLevelIndex, 0, node);
+                topLevelIndex++;
+                return;
+            }
+
+            const parentNode = this.findNavigationNode(tree, definition.parent);
+            if (parentNode) {
+                parentNode.children = parentNode.children || [];
+                parentNode.children.push(node);
+            } else {
+                console.warn(`Router: No navigation parent "${definition.parent}" for ${definition.route}`);
+            }
+        });
+
+        return tree;
+    },
+
+    /**
+     * Find a node in a navigation tree by route
+     * @param {Array<Object>} nodes - Navigation nodes to search
+     * @param {string} route - Route to find
+     * @returns {Object|null} Matching node
+     */
+    findNavigationNode(nodes, route) {
+        for (const node of nodes) {
+            if (node.route === route) {
+                return node;
+            }
+            if (Array.isArray(node.children)) {
+                const found = this.findNavigationNode(node.children, route);
+                if (found) {
+                    return found;
+                }
+            }
+        }
+        return null;
+    },
+
+    /**
+     * Register a controller-backed room
+     * Rooms declared in content/site.json register by id and take their route, title,
+     * parent, layout and navigation labels from the manifest; a full pattern may be
+     * given instead for rooms that live outside it
+     * @param {Object} definition - Room definition
+     * @param {string} definition.room - Manifest room id this controller serves
+     * @param {string} definition.params - Param segments appended to the room's route,
+     *     e.g. '/:collection?/:item?'
+     * @param {string} definition.pattern - Full route pattern for rooms outside the manifest,
+     *     e.g. '/works/curated/cinema/:collection?'
+     * @param {string|Function} definition.title - Document title, or a function of the route params
+     * @param {string|Function} definition.name - Human readable name, or a function of the route params
+     * @param {string|Function} definition.description - Meta description, or a function of the route params
+     * @param {string} definition.image - Optional preview image for shared links
+     * @param {string|Object} definition.themeColor - Optional theme-color, a color or { light, dark }
+     * @param {string} definition.parent - Parent route for back navigation
+     * @param {string} definition.layout - Room layout class applied before rendering
+     * @param {Object} definition.navigation - Optional sitemap entry ({ label, breadcrumb, description, children })
+     *     where children() returns sitemap nodes for the room's sub-views
+     * @param {Function} definition.enter - Renders the room, receives parsed params with the
+     *     query string's parameters in params.query; returns false if it showed the
+     *     not-found room instead, e.g. for an unknown item
+     * @param {Function} definition.beforeLeave - Optional (from, to) hook before leaving the room;
+     *     return false to cancel or a route to redirect
+     * @param {Function} definition.beforeEnter - Optional (to, params, from) hook before rendering;
+     *     return false to cancel or a route to redirect
+     * @param {Function} definition.afterEnter - Optional (to, params, from) hook after rendering
+     * @param {Function} definition.saveState - Optional, returns the room's view state for history entries
+     * @param {Function} definition.restoreState - Optional, re-applies saved view state on back/forward
+     * @param {string} definition.contentType - Optional lightbox content type served by this room
+     * @param {Function} definition.itemParams - Maps a content item to route params for deep links
+     */
+    registerRoute(definition) {
+        if (!definition || !(definition.room || definition.pattern) || typeof definition.enter !== 'function') {
+            console.error('Router: Invalid route definition', definition);
+            return;
+        }
+
+        // Manifest rooms are compiled once the manifest is applied
+        if (definition.room) {
+            this.roomDefinitions[definition.room] = definition;
+            console.log(`Router: Registered room ${definition.room}`);
+            return;
+        }
+
+        this.addRouteDefinition({ parent: '', ...definition });
+    },
+
+    /**
+     * Compile a route definition and add it to the registry
+     * @param {Object} definition - Room definition with a full pattern
+     */
+    addRouteDefinition(definition) {
+        const { regex, keys, staticPrefix } = this.compilePattern(definition.pattern);
+
+        this.routeRegistry.push({
+            ...definition,
+            route: definition.route !== undefined ? definition.route : staticPrefix,
+            regex,
+            keys
+        });
+
+        console.log(`Router: Registered route ${definition.pattern}`);
+    },
+
+    /**
+     * Build the route of a manifest room, optionally with params
+     * @param {string} roomId - Manifest room id
+     * @param {Object} params - Param values keyed by name
+     * @returns {string|null} Route path, or null if the room is unknown
+     */
+    getRoomPath(roomId, params = {}) {
+        const definition = this.routeRegistry.find(entry => entry.room === roomId);
+        if (definition) {
+            return this.buildRoute(definition.pattern, params);
+        }
+
+        const room = window.SiteManifest ? window.SiteManifest.getRoom(roomId) : null;
+        return room ? room.route : null;
+    },
+
+    /**
+     * Compile a route pattern into a matcher
+     * Segments starting with ':' are params, a trailing '?' makes them optional
+     * @param {string} pattern - Route pattern
+     * @returns {Object} { regex, keys, staticPrefix }
+     */
+    compilePattern(pattern) {
+        const keys = [];
+        const staticSegments = [];
+        let source = '';
+
+        pattern.split('/').filter(Boolean).forEach((segment) => {
+            if (segment.startsWith(':')) {
+                const optional = segment.endsWith('?');
+                const name = segment.slice(1, optional ? -1 : undefined);
+                keys.push({ name, optional });
+                source += optional ? '(?:/([^/]+))?' : '/([^/]+)';
+            } else {
+                if (keys.length === 0) {
+                    staticSegments.push(segment);
+                }
+                source += '/' + segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            }
+        });
+
+        return {
+            regex: new RegExp(`^${source}/?$`),
+            keys,
+            staticPrefix: staticSegments.length ? '/' + staticSegments.join('/') : ''
+        };
+    },
+
+    /**
+     * Build a concrete route from a pattern and params
+     * Stops at the first missing param, so optional trailing params may be omitted
+     * @param {string} pattern - Route pattern
+     * @param {Object} params - Param values keyed by name
+     * @returns {string} Route path
+     */
+    buildRoute(pattern, params = {}) {
+        let route = '';
+
+        for (const segment of pattern.split('/').filter(Boolean)) {
+            if (!segment.startsWith(':')) {
+                route += '/' + segment;
+                continue;
+            }
+
+            const name = segment.slice(1).replace(/\?$/, '');
+            const value = params[name];
+            if (value === undefined || value === null || value === '') {
+                break;
+            }
+            route += '/' + encodeURIComponent(value);
+        }
+
+        return route;
+    },
+
+    /**
+     * Get the canonical deep link for a content item
+     * @param {string} type - Content type (lightbox content type)
+     * @param {Object} item - Content item
+     * @returns {string|null} Item route, or null if no room serves this type
+     */
+    getItemRoute(type, item) {
+        if (!item) {
+            return null;
+        }
+
+        const definition = this.routeRegistry.find(entry =>
+            entry.contentType === type && typeof entry.itemParams === 'function'
+        );
+        if (!definition) {
+            return null;
+        }
+
+        return this.buildRoute(definition.pattern, definition.itemParams(item));
+    },
+
+    /**
+     * Get the room route for a route, dropping any item param
+     * @param {string} route - Route path (defaults to current route)
+     * @returns {string} Room route
+     */
+    getRoomRoute(route = this.currentRoute) {
+        const match = this.matchRoute(route);
+        if (!match || !match.params.item) {
+            return route;
+        }
+
+        const roomRoute = this.buildRoute(match.definition.pattern, { ...match.params, item: null });
+        return this.withQuery(roomRoute, match.params.query);
+    },
+
+    /**
+     * Match a route against the registry
+     * @param {string} route - Route to match, optionally with a query string
+     * @returns {Object|null} { definition, params } where params.query holds the query parameters
+     */
+    matchRoute(route) {
+        const path = this.getRoutePath(route);
+
+        for (const definition of this.routeRegistry) {
+            const match = definition.regex.exec(path);
+            if (!match) {
+                continue;
+            }
+
+            const params = this.readParams(definition.keys, match);
+            params.query = this.getRouteQuery(route);
+
+            return { definition, params };
+        }
+        return null;
+    },
+
+    /**
+     * Read param values from a pattern match
+     * @param {Array<Object>} keys - Param keys from compilePattern()
+     * @param {Array<string>} match - Result of the pattern's regex
+     * @returns {Object} Decoded values keyed by name, null for missing optional params
+     */
+    readParams(keys, match) {
+        const params = {};
+        keys.forEach((key, index) => {
+            const value = match[index + 1];
+            params[key.name] = value !== undefined ? decodeURIComponent(value) : null;
+        });
+        return params;
+    },
+
+    /**
+     * Follow the redirect table for a route
+     * @param {string} route - Requested route
+     * @returns {string} Route to render, the same route when no redirect applies
+     */
+    resolveRedirect(route) {
+        let target = route;
+
+        for (let redirects = 0; redirects < 10; redirects++) {
+            const next = this.applyRedirect(target);
+            if (next === null || next === target) {
+                return target;
+            }
+
+            console.log(`Router: Redirecting ${target} to ${next}`);
+            target = next;
+        }
+
+        console.error(`Router: Too many redirects from ${route}`);
+        return route;
+    },
+
+    /**
+     * Rewrite a route with the first matching redirect
+     * Params captured by "from" fill the same params of "to", or of the room's pattern
+     * @param {string} route - Route to rewrite
+     * @returns {string|null} Rewritten route, keeping the query string, or null if none matches
+     */
+    applyRedirect(route) {
+        const path = this.getRoutePath(route);
+
+        for (const redirect of this.redirects) {
+            const match = redirect.regex.exec(path);
+            if (!match) {
+                continue;
+            }
+
+            const params = this.readParams(redirect.keys, match);
+            const target = redirect.room
+                ? this.getRoomPath(redirect.room, params)
+                : this.buildRoute(redirect.to, params);
+
+            return this.withQuery(target, this.getRouteQuery(route));
+        }
+        return null;
+    },
+
+    /**
+     * Get a route without its query string
+     * @param {string} route - Route, e.g. '/works/personal/writings?year=2024'
+     * @returns {string} Route path, e.g. '/works/personal/writings'
+     */
+    getRoutePath(route) {
+        const queryStart = route.indexOf('?');
+        return queryStart === -1 ? route : route.substring(0, queryStart);
+    },
+
+    /**
+     * Get the query parameters of a route
+     * @param {string} route - Route, e.g. '/works/personal/writings?year=2024'
+     * @returns {Object} Parameter values keyed by name, e.g. { year: '2024' }
+     */
+    getRouteQuery(route) {
+        const queryStart = route.indexOf('?');
+        if (queryStart === -1) {
+            return {};
+        }
+        return Object.fromEntries(new URLSearchParams(route.substring(queryStart + 1)));
+    },
+
+    /**
+     * Add query parameters to a route
+     * Empty values are left out
+     * @param {string} path - Route path
+     * @param {Object} query - Parameter values keyed by name
+     * @returns {string} Route with query string
+     */
+    withQuery(path, query = {}) {
+        const search = new URLSearchParams();
+        Object.entries(query).forEach(([name, value]) => {
+            if (value !== null && value !== undefined && value !== '') {
+                search.set(name, value);
+            }
+        });
+
+        const queryString = search.toString();
+        return queryString ? `${path}?${queryString}` : path;
+    },
+
+    /**
+     * Change query parameters of the current route and sync the URL
+     * Used by rooms whose filters or sort order change without re-rendering the room
+     * @param {Object} changes - Parameter values keyed by name; empty values remove the parameter
+     */
+    updateQuery(changes) {
+        const query = { ...this.getRouteQuery(this.currentRoute), ...changes };
+        const route = this.withQuery(this.getRoutePath(this.currentRoute), query);
+
+        this.syncRoute(route);
+        this.roomRoute = this.getRoomRoute(route);
     },
 
     /**
      * Navigate to a specific route
-     * @param {string} route - The route to navigate to (e.g., '/works/personal')
+     * Runs the lifecycle hooks around rendering and announces the change with a
+     * 'routechange' event on document ({ from, to, params })
+     * @param {string} route - The route to navigate to (e.g., '/works/personal' or
+     *     '/works/personal/writings?year=2024')
      * @param {boolean} addToHistory - Whether to add to browser history
      * @param {string} clickedWall - Which wall was clicked ('left', 'right', 'back')
+     * @returns {Promise<boolean>} False if a hook cancelled the navigation
      */
-    navigateTo(route, addToHistory = true, clickedWall = null) {
+    async navigateTo(route, addToHistory = true, clickedWall = null) {
+        // A newer navigation supersedes any render still loading
+        if (this.navigationController) {
+            this.navigationController.abort();
+        }
+        const navigation = new AbortController();
+        this.navigationController = navigation;
+        const { signal } = navigation;
+
+        const from = this.roomRoute === null ? null : this.currentRoute;
+
+        // Old and aliased routes are rewritten before anything else sees them
+        const requested = route;
+        route = this.resolveRedirect(route);
+
+        // Keep the view of the entry being left, before leave hooks reset it
+        if (addToHistory) {
+            this.saveViewState();
+        }
+
+        // Hooks may cancel or redirect before anything changes
+        const target = await this.resolveNavigation(from, route);
+        if (signal.aborted) {
+            return false;
+        }
+        if (target === null) {
+            console.log(`Router: Navigation to ${route} cancelled`);
+
+            // The browser already moved the URL for back/forward and edited URLs
+            if (!addToHistory) {
+                window.history.replaceState(window.history.state, '', this.buildURL(this.currentRoute));
+            }
+            return false;
+        }
+        route = target;
+
+        // The browser already shows the requested URL for back/forward and edited URLs;
+        // replace it so Back doesn't bounce through the redirect again
+        if (!addToHistory && route !== requested) {
+            window.history.replaceState({ overlays: [], ...window.history.state, route }, '', this.buildURL(route));
+        }
+
         console.log(`Router: Navigating to ${route} via ${clickedWall} wall`);
 
         // Store previous route for transitions
@@ -219,217 +657,603 @@ const Router = {
 
         // Add to navigation history
         this.navigationHistory.push(route);
+        this.roomRoute = this.getRoomRoute(route);
 
         // Update browser history and URL
         if (addToHistory) {
-            const fullURL = window.location.pathname + '#' + route;
-            window.history.pushState({ route }, '', fullURL);
+            if (this.overlayStack.length > 0) {
+                // Leaving a room from inside an overlay replaces the overlay's entry
+                this.closeAllOverlays();
+                window.history.replaceState({ route, overlays: [] }, '', this.buildURL(route));
+            } else {
+                window.history.pushState({ route, overlays: [] }, '', this.buildURL(route));
+            }
         }
 
         // Update page title
-        const routeConfig = this.routes[route];
-        if (routeConfig) {
-            document.title = routeConfig.title;
-        }
+        this.updateTitle(route);
 
         // Trigger route rendering
-        this.renderRoute(route);
+        await this.renderRoute(route, signal);
+        if (signal.aborted) {
+            console.log(`Router: Render of ${route} superseded`);
+            return false;
+        }
+
+        const routeConfig = this.getRouteConfig(route);
+        const params = this.matchRoute(route)?.params || {};
+        if (routeConfig && typeof routeConfig.afterEnter === 'function') {
+            routeConfig.afterEnter(route, params, from);
+        }
+
+        document.dispatchEvent(new CustomEvent('routechange', {
+            detail: { from, to: route, params }
+        }));
+
+        return true;
     },
 
     /**
-     * Handle current hash route
+     * Run the beforeLeave/beforeEnter hooks for a navigation, following redirects
+     * @param {string|null} from - Route being left, null on first load
+     * @param {string} to - Requested route
+     * @returns {Promise<string|null>} Route to render, or null if cancelled
      */
-    handleRoute() {
-        const hash = window.location.hash.substring(1); // Remove #
-        const route = hash || ''; // Default to home if no hash
+    async resolveNavigation(from, to) {
+        let target = to;
 
-        console.log(`Router: Handling route "${route}", current: "${this.currentRoute}"`);
+        for (let redirects = 0; redirects < 10; redirects++) {
+            const result = await this.runNavigationHooks(from, target);
+            if (result === false) {
+                return null;
+            }
+            if (typeof result !== 'string' || result === target) {
+                return target;
+            }
 
-        // Always navigate on first load (when currentRoute is empty and route is empty)
-        // or when route actually changed
-        if (route !== this.currentRoute || this.currentRoute === '') {
-            this.navigateTo(route, false); // Don't add to history (already in URL)
+            console.log(`Router: Redirecting ${target} to ${result}`);
+            target = result;
         }
+
+        console.error(`Router: Too many redirects navigating to ${to}`);
+        return null;
     },
 
     /**
-     * Handle routes that use controllers
-     * @param {string} route - Route to check
-     * @returns {boolean} True if controller handled the route
+     * Run the hooks guarding a single navigation step
+     * beforeLeave only runs when moving to a different room, not between its sub-views
+     * @param {string|null} from - Route being left, null on first load
+     * @param {string} to - Route being entered
+     * @returns {Promise<boolean|string>} False to cancel, a route to redirect, true to continue
      */
-    async handleControllerRoute(route) {
-        // About route
-        if (route === '/about') {
-            if (window.AboutController) {
-                await window.AboutController.init();
-                this.updateBackButton();
-                this.updateHierarchyIndicator(route);
-                return true;
+    async runNavigationHooks(from, to) {
+        const leaving = from === null ? null : this.getRouteConfig(from);
+        const entering = this.getRouteConfig(to);
+
+        if (leaving && leaving !== entering && typeof leaving.beforeLeave === 'function') {
+            const result = await leaving.beforeLeave(from, to);
+            if (result === false || typeof result === 'string') {
+                return result;
             }
         }
 
-        // Photography routes
-        if (route === '/works/personal/photography') {
-            if (window.PhotographyController) {
-                await window.PhotographyController.init();
-                window.PhotographyController.render();
-                this.updateBackButton();
-                this.updateHierarchyIndicator(route);
-                return true;
+        if (entering && typeof entering.beforeEnter === 'function') {
+            const params = this.matchRoute(to)?.params || {};
+            const result = await entering.beforeEnter(to, params, from);
+            if (result === false || typeof result === 'string') {
+                return result;
             }
         }
 
-        // Photography collection routes (e.g., /photography/street)
-        if (route.startsWith('/photography/')) {
-            const collectionId = route.split('/')[2];
-            if (window.PhotographyController) {
-                window.PhotographyController.render(collectionId);
-                this.updateBackButton();
-                this.updateHierarchyIndicator(route);
-                return true;
-            }
+        return true;
+    },
+
+    /**
+     * Update the URL to reflect a sub-view of the current room without re-rendering
+     * Used by overlays such as the lightbox to expose item deep links
+     * @param {string} route - Route to display in the address bar
+     */
+    syncRoute(route) {
+        if (route === this.currentRoute) {
+            return;
         }
 
-        // Writings routes
-        if (route === '/works/personal/writings') {
-            if (window.WritingsController) {
-                window.WritingsController.render();
-                this.updateBackButton();
-                this.updateHierarchyIndicator(route);
-                return true;
-            }
+        console.log(`Router: Syncing URL to ${route}`);
+
+        this.currentRoute = route;
+
+        // Saved view state belonged to the previous sub-view
+        const { view, ...state } = window.history.state || {};
+        window.history.replaceState({ overlays: [], ...state, route }, '', this.buildURL(route));
+
+        this.updateBackButton();
+        this.updateHierarchyIndicator(route);
+    },
+
+    /**
+     * Register an overlay whose open/closed state is kept in browser history
+     * @param {string} name - Overlay name stored in history entries
+     * @param {Object} overlay - Overlay callbacks
+     * @param {Function} overlay.close - Close the overlay without touching history
+     * @param {Function} overlay.restore - Reopen the overlay for a route; may return false if it cannot
+     * @param {Function} overlay.saveState - Optional, returns the overlay's view state
+     * @param {Function} overlay.restoreState - Optional, re-applies saved view state
+     */
+    registerOverlay(name, overlay) {
+        this.overlays[name] = overlay;
+    },
+
+    /**
+     * Record an overlay opening as a new history entry
+     * @param {string} name - Registered overlay name
+     * @param {string} route - Route the entry should display (defaults to the current route)
+     */
+    pushOverlay(name, route = this.currentRoute) {
+        // Entries being replayed by back/forward already exist
+        if (this.isRestoring) {
+            return;
         }
 
-        // Music routes
-        if (route === '/works/personal/music') {
-            if (window.MusicController) {
-                window.MusicController.render();
-                this.updateBackButton();
-                this.updateHierarchyIndicator(route);
-                return true;
-            }
+        // The first overlay's base entry always points at the room itself, so
+        // that Back from a deep-linked item lands on the room it belongs to
+        if (this.overlayStack.length === 0) {
+            const roomRoute = this.getRoomRoute(this.currentRoute);
+            window.history.replaceState({ ...window.history.state, route: roomRoute, overlays: [] }, '', this.buildURL(roomRoute));
         }
 
-        // Projects routes
-        if (route === '/works/personal/projects') {
-            if (window.ProjectsController) {
-                window.ProjectsController.render();
-                this.updateBackButton();
-                this.updateHierarchyIndicator(route);
-                return true;
-            }
+        this.overlayStack.push(name);
+        this.currentRoute = route;
+        window.history.pushState({ route, overlays: this.overlayStack.slice() }, '', this.buildURL(route));
+
+        this.updateBackButton();
+        this.updateHierarchyIndicator(route);
+    },
+
+    /**
+     * Pop the history entries of overlays the user closed
+     * Removes the lowest of the given overlays and everything stacked above it
+     * @param {...string} names - Overlay names being closed
+     */
+    dismissOverlay(...names) {
+        if (this.isRestoring) {
+            return;
         }
 
-        // Curated Writings routes
-        if (route === '/works/curated/writings') {
-            if (window.CuratedWritingsController) {
-                window.CuratedWritingsController.render();
-                this.updateBackButton();
-                this.updateHierarchyIndicator(route);
-                return true;
-            }
+        const indices = names
+            .map(name => this.overlayStack.indexOf(name))
+            .filter(index => index !== -1);
+        if (indices.length === 0) {
+            return;
         }
 
-        // Curated Writings collection routes (e.g., /works/curated/writings/books)
-        if (route.startsWith('/works/curated/writings/')) {
-            const collectionId = route.split('/')[4];
-            if (window.CuratedWritingsController) {
-                window.CuratedWritingsController.render(collectionId);
-                this.updateBackButton();
-                this.updateHierarchyIndicator(route);
-                return true;
-            }
+        // Keep the overlay's view so Forward can restore it
+        this.saveViewState();
+
+        const index = Math.min(...indices);
+        const steps = this.overlayStack.length - index;
+        this.overlayStack = this.overlayStack.slice(0, index);
+        window.history.go(-steps);
+    },
+
+    /**
+     * Store the current room's and top overlay's view state in the current history entry
+     * Rooms and overlays call this whenever their view changes, so the state is in
+     * place before the browser's Back button leaves the entry
+     */
+    saveViewState() {
+        if (this.isRestoring || this.roomRoute === null) {
+            return;
         }
 
-        // Curated Cinema routes
-        if (route === '/works/curated/cinema') {
-            if (window.CuratedCinemaController) {
-                window.CuratedCinemaController.render();
-                this.updateBackButton();
-                this.updateHierarchyIndicator(route);
-                return true;
-            }
+        const view = {};
+
+        const room = this.matchRoute(this.roomRoute);
+        if (room && typeof room.definition.saveState === 'function') {
+            view.room = room.definition.saveState();
         }
 
-        // Curated Cinema collection routes (e.g., /works/curated/cinema/films)
-        if (route.startsWith('/works/curated/cinema/')) {
-            const collectionId = route.split('/')[4];
-            if (window.CuratedCinemaController) {
-                window.CuratedCinemaController.render(collectionId);
-                this.updateBackButton();
-                this.updateHierarchyIndicator(route);
-                return true;
-            }
+        const overlay = this.overlays[this.overlayStack[this.overlayStack.length - 1]];
+        if (overlay && typeof overlay.saveState === 'function') {
+            view.overlay = overlay.saveState();
         }
 
-        // Curated Music routes
-        if (route === '/works/curated/music') {
-            if (window.CuratedMusicController) {
-                window.CuratedMusicController.render();
-                this.updateBackButton();
-                this.updateHierarchyIndicator(route);
-                return true;
+        const state = {
+            route: this.currentRoute,
+            overlays: this.overlayStack.slice(),
+            ...window.history.state,
+            view
+        };
+        window.history.replaceState(state, '');
+    },
+
+    /**
+     * Restore view state saved in a history entry
+     * @param {Object} view - Saved view ({ room, overlay })
+     * @param {boolean} roomRendered - Whether the room was re-rendered for this entry
+     */
+    restoreViewState(view, roomRendered) {
+        if (!view) {
+            return;
+        }
+
+        const room = this.matchRoute(this.roomRoute);
+        if (roomRendered && view.room !== undefined && room && typeof room.definition.restoreState === 'function') {
+            room.definition.restoreState(view.room);
+        }
+
+        const overlay = this.overlays[this.overlayStack[this.overlayStack.length - 1]];
+        if (view.overlay !== undefined && overlay && typeof overlay.restoreState === 'function') {
+            overlay.restoreState(view.overlay);
+        }
+    },
+
+    /**
+     * Close every open overlay without touching history
+     */
+    closeAllOverlays() {
+        const wasRestoring = this.isRestoring;
+        this.isRestoring = true;
+
+        try {
+            for (let i = this.overlayStack.length - 1; i >= 0; i--) {
+                this.overlays[this.overlayStack[i]]?.close();
             }
+            this.overlayStack = [];
+        } finally {
+            this.isRestoring = wasRestoring;
+        }
+    },
+
+    /**
+     * Bring rooms and overlays in line with a history entry reached via back/forward
+     * @param {Object|null} state - History state ({ route, overlays })
+     */
+    async handlePopState(state) {
+        // Entries without state come from manually edited URLs
+        if (!state || typeof state.route !== 'string') {
+            this.closeAllOverlays();
+            this.redirectLegacyURL();
+            this.navigateTo(this.readRoute(), false);
+            return;
         }
 
-        // Curated Music collection routes (e.g., /works/curated/music/albums)
-        if (route.startsWith('/works/curated/music/')) {
-            const collectionId = route.split('/')[4];
-            if (window.CuratedMusicController) {
-                window.CuratedMusicController.render(collectionId);
-                this.updateBackButton();
-                this.updateHierarchyIndicator(route);
-                return true;
+        const { route } = state;
+        const overlays = state.overlays || [];
+
+        this.isRestoring = true;
+
+        try {
+            // Keep the overlays both entries share, close the rest topmost first
+            let shared = 0;
+            while (shared < overlays.length && overlays[shared] === this.overlayStack[shared]) {
+                shared++;
+            }
+            for (let i = this.overlayStack.length - 1; i >= shared; i--) {
+                this.overlays[this.overlayStack[i]]?.close();
+            }
+            this.overlayStack = this.overlayStack.slice(0, shared);
+
+            // Re-render when the entry belongs to another room; overlays reopen on top of it
+            const roomRendered = this.getRoomRoute(route) !== this.roomRoute;
+            if (roomRendered) {
+                const entered = await this.navigateTo(overlays.length > 0 ? this.getRoomRoute(route) : route, false);
+                if (!entered) {
+                    return;
+                }
+            }
+
+            // Reopen the overlays this entry has
+            for (const name of overlays.slice(shared)) {
+                await this.restoreOverlay(name, route);
+                this.overlayStack.push(name);
             }
+
+            this.currentRoute = route;
+            this.restoreViewState(state.view, roomRendered);
+            this.updateTitle(route);
+            this.updateBackButton();
+            this.updateHierarchyIndicator(route);
+        } finally {
+            this.isRestoring = false;
         }
+    },
 
-        // Curated Misc routes
-        if (route === '/works/curated/misc') {
-            if (window.CuratedMiscController) {
-                window.CuratedMiscController.render();
-                this.updateBackButton();
-                this.updateHierarchyIndicator(route);
-                return true;
+    /**
+     * Reopen an overlay for a history entry
+     * Falls back to entering the room with the route's params when the overlay can't
+     * @param {string} name - Overlay name
+     * @param {string} route - Route of the history entry
+     */
+    async restoreOverlay(name, route) {
+        const overlay = this.overlays[name];
+        const restored = overlay ? await overlay.restore(route) : false;
+
+        if (restored === false) {
+            const match = this.matchRoute(route);
+            if (match && match.params.item) {
+                await match.definition.enter(match.params, route);
             }
         }
+    },
+
+    /**
+     * Pick the URL style from the page's meta tags
+     * History mode needs a <base> so relative asset and content URLs keep
+     * resolving from the site root once the path changes
+     */
+    configureMode() {
+        const modeMeta = document.querySelector('meta[name="router-mode"]');
+        this.mode = modeMeta && modeMeta.content === 'history' ? 'history' : 'hash';
+
+        if (this.mode !== 'history') {
+            return;
+        }
+
+        const baseMeta = document.querySelector('meta[name="router-base"]');
+        const basePath = (baseMeta && baseMeta.content) || '/';
+        this.basePath = basePath.endsWith('/') ? basePath : basePath + '/';
+
+        if (!document.querySelector('base')) {
+            const base = document.createElement('base');
+            base.href = this.basePath;
+            document.head.prepend(base);
+        }
+
+        this.interceptLinks();
+
+        console.log(`Router: Using clean URLs under ${this.basePath}`);
+    },
+
+    /**
+     * Rewrite URLs that carry the route elsewhere into this mode's URL style
+     * Handles the ?route= handoff from 404.html and, in history mode, old #/ links
+     */
+    redirectLegacyURL() {
+        const params = new URLSearchParams(window.location.search);
+        let route = null;
+
+        if (params.has('route')) {
+            route = params.get('route');
+        } else if (this.mode === 'history' && window.location.hash.startsWith('#/')) {
+            route = window.location.hash.substring(1);
+        }
 
-        // Curated Misc collection routes (e.g., /works/curated/misc/podcasts)
-        if (route.startsWith('/works/curated/misc/')) {
-            const collectionId = route.split('/')[4];
-            if (window.CuratedMiscController) {
-                window.CuratedMiscController.render(collectionId);
-                this.updateBackButton();
-                this.updateHierarchyIndicator(route);
-                return true;
+        if (route !== null) {
+            console.log(`Router: Redirecting legacy URL to ${route}`);
+            window.history.replaceState(window.history.state, '', this.buildURL(route));
+        }
+    },
+
+    /**
+     * Route in-page links through the router instead of reloading the page
+     */
+    interceptLinks() {
+        document.addEventListener('click', (event) => {
+            if (event.defaultPrevented || event.button !== 0 ||
+                event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) {
+                return;
+            }
+
+            const link = event.target.closest && event.target.closest('a[href]');
+            if (!link || link.target || link.hasAttribute('download')) {
+                return;
+            }
+
+            const route = this.getLinkRoute(link);
+            if (route !== null) {
+                event.preventDefault();
+                this.navigateTo(route);
             }
+        });
+    },
+
+    /**
+     * Get the route a link points at
+     * @param {HTMLAnchorElement} link - Link element
+     * @returns {string|null} Route, or null for links the router doesn't own
+     */
+    getLinkRoute(link) {
+        const href = link.getAttribute('href');
+
+        // Old hash links
+        if (href.startsWith('#/')) {
+            return href.substring(1);
+        }
+        if (href.startsWith('#')) {
+            return null;
+        }
+
+        const url = new URL(link.href, window.location.href);
+        if (url.origin !== window.location.origin || !url.pathname.startsWith(this.basePath.replace(/\/$/, ''))) {
+            return null;
+        }
+
+        // Files such as images and PDFs are not rooms
+        if (/\.[a-z0-9]+$/i.test(url.pathname)) {
+            return null;
+        }
+
+        return this.routeFromPath(url.pathname) + url.search;
+    },
+
+    /**
+     * Read the route from the current URL
+     * @returns {string} Route path, with the query string if there is one
+     */
+    readRoute() {
+        if (this.mode === 'history') {
+            return this.routeFromPath(window.location.pathname) + window.location.search;
+        }
+        return window.location.hash.substring(1);
+    },
+
+    /**
+     * Convert a history-mode pathname into a route
+     * @param {string} pathname - URL pathname
+     * @returns {string} Route path
+     */
+    routeFromPath(pathname) {
+        const base = this.basePath.replace(/\/$/, '');
+        let path = pathname.startsWith(base) ? pathname.substring(base.length) : pathname;
+
+        path = path.replace(/\/index\.html$/, '').replace(/\/$/, '');
+        return path;
+    },
+
+    /**
+     * Set the document title and head metadata for a route
+     * @param {string} route - Route path
+     */
+    updateTitle(route) {
+        const title = this.getRouteTitle(route);
+        if (title) {
+            document.title = title;
+        }
+
+        if (window.HeadManager) {
+            window.HeadManager.applyRoute(route);
+        }
+    },
+
+    /**
+     * Get the document title for a route
+     * @param {string} route - Route path
+     * @returns {string|null} Title, or null for unknown routes
+     */
+    getRouteTitle(route) {
+        const path = this.getRoutePath(route);
+        if (this.routes[path]) {
+            return this.routes[path].title;
+        }
+
+        const match = this.matchRoute(route);
+        if (!match) {
+            return null;
+        }
+
+        const { title } = match.definition;
+        return typeof title === 'function' ? title(match.params) : title;
+    },
+
+    /**
+     * Build the full URL for a route
+     * @param {string} route - Route path
+     * @returns {string} URL suitable for the History API
+     */
+    buildURL(route) {
+        if (this.mode === 'history') {
+            const path = this.getRoutePath(route);
+            return this.basePath.replace(/\/$/, '') + (path || '/') + route.substring(path.length);
+        }
+        return window.location.pathname + '#' + route;
+    },
+
+    /**
+     * Handle the route in the current URL
+     * @returns {Promise<boolean>|undefined} The navigation, if the route changed
+     */
+    handleRoute() {
+        this.redirectLegacyURL();
+
+        const route = this.readRoute(); // Default to home if no hash
+
+        console.log(`Router: Handling route "${route}", current: "${this.currentRoute}"`);
+
+        // Always navigate on first load (when currentRoute is empty and route is empty)
+        // or when route actually changed
+        if (route !== this.currentRoute || this.currentRoute === '') {
+            return this.navigateTo(route, false); // Don't add to history (already in URL)
+        }
+        return undefined;
+    },
+
+    /**
+     * Render a registered controller room
+     * @param {Object} match - Result of matchRoute()
+     * @param {string} route - Route being rendered
+     * @param {AbortSignal} signal - Aborted when a newer navigation supersedes this render
+     */
+    async renderControllerRoute(match, route, signal) {
+        const { definition, params } = match;
+
+        console.log(`Router: Rendering ${definition.pattern}`, params);
+
+        const room = document.getElementById('room');
+        if (room) {
+            room.className = definition.layout ? `room ${definition.layout}` : 'room';
+        }
+
+        const entered = await definition.enter(params, route, signal);
+        if (signal && signal.aborted) {
+            return;
         }
 
-        return false; // Route not handled by controller
+        // The not-found room has set its own title and breadcrumb
+        if (entered === false) {
+            return;
+        }
+
+        // Titles of sub-views may depend on data the room just loaded
+        this.updateTitle(route);
+        this.updateBackButton();
+        this.updateHierarchyIndicator(route);
+    },
+
+    /**
+     * Re-render the room on display after its content changed
+     * Skipped while an overlay is open, so the visitor isn't pulled out of it
+     * @param {string} roomId - Manifest room id
+     */
+    refreshRoom(roomId) {
+        const match = this.roomRoute === null ? null : this.matchRoute(this.roomRoute);
+        if (!match || match.definition.room !== roomId || this.overlayStack.length > 0) {
+            return;
+        }
+
+        console.log(`Router: Refreshing ${roomId} with new content`);
+        this.renderRoute(this.currentRoute, this.navigationController ? this.navigationController.signal : null);
     },
 
     /**
      * Render the current route configuration
      * @param {string} route - Route to render
+     * @param {AbortSignal} signal - Optional signal that drops the render once aborted
      */
-    async renderRoute(route) {
-        const routeConfig = this.routes[route];
+    async renderRoute(route, signal = null) {
+        this.renderSignal = signal;
 
-        if (!routeConfig) {
+        const match = this.matchRoute(route);
+        const routeConfig = this.routes[this.getRoutePath(route)];
+
+        if (!match && !routeConfig) {
             console.error(`Router: Route not found: ${route}`);
-            this.show404();
+            this.show404(route);
             return;
         }
 
-        console.log(`Router: Rendering route ${route}`, routeConfig);
+        // Offline, rooms whose content isn't saved on this device give way to the offline room
+        if (match && window.OfflineController) {
+            const canEnter = await window.OfflineController.canEnter(match.definition.room);
+            if (signal && signal.aborted) {
+                return;
+            }
+            if (!canEnter) {
+                await this.showOffline(route, match.definition.room, signal);
+                return;
+            }
+        }
 
         // ALWAYS clear walls first, before any rendering
         this.clearAllWalls();
 
-        // Check if this route should be handled by a controller
-        if (await this.handleControllerRoute(route)) {
-            return; // Controller handled the routing
+        // Registered controller rooms render themselves
+        if (match) {
+            await this.renderControllerRoute(match, route, signal);
+            return;
         }
 
+        console.log(`Router: Rendering route ${route}`, routeConfig);
+
         // Add transition class to room
         const room = document.getElementById('room');
 
@@ -452,6 +1276,8 @@ const Router = {
         if (viewClass === 'move-forward') {
             // Stage 1: Move forward into the wall
             setTimeout(() => {
+                if (signal && signal.aborted) return;
+
                 // Stage 2: Transform into new room
                 room.classList.remove('move-forward');
                 room.classList.add('new-room-enter');
@@ -470,6 +1296,8 @@ const Router = {
         } else {
             // Standard navigation
             setTimeout(() => {
+                if (signal && signal.aborted) return;
+
                 // Render walls using shared method
                 this.renderWallsForRoute(routeConfig);
 
@@ -533,7 +1361,7 @@ const Router = {
         // Create new heading element
         const headingElement = document.createElement('div');
         headingElement.className = 'section-heading';
-        headingElement.innerHTML = `<h1>${headingText}</h1>`;
+        headingElement.innerHTML = html`<h1>${headingText}</h1>`;
 
         room.appendChild(headingElement);
     },
@@ -605,7 +1433,7 @@ const Router = {
 
         // For direct clicks on side walls (final destinations)
         // Exclude About section from perspective views - it should have normal layout
-        if (this.currentRoute !== '/about') {
+        if (this.getRoutePath(this.currentRoute) !== '/about') {
             if (this.lastClickedWall === 'left' && this.isLeafRoute()) {
                 return 'view-left';
             } else if (this.lastClickedWall === 'right' && this.isLeafRoute()) {
@@ -625,8 +1453,8 @@ const Router = {
         if (!this.previousRoute || !this.currentRoute) return false;
 
         // Moving from shorter to longer path = going deeper
-        const prevDepth = this.previousRoute.split('/').length;
-        const currDepth = this.currentRoute.split('/').length;
+        const prevDepth = this.getRoutePath(this.previousRoute).split('/').length;
+        const currDepth = this.getRoutePath(this.currentRoute).split('/').length;
 
         return currDepth > prevDepth;
     },
@@ -636,7 +1464,7 @@ const Router = {
      * @returns {boolean}
      */
     isLeafRoute() {
-        const routeConfig = this.routes[this.currentRoute];
+        const routeConfig = this.routes[this.getRoutePath(this.currentRoute)];
         if (!routeConfig) return false;
 
         // A leaf route has content on back wall, not just navigation
@@ -682,9 +1510,6 @@ const Router = {
             case 'artwork':
                 this.renderArtworkWall(wallElement, config);
                 break;
-            case 'blog-list':
-                this.renderBlogListWall(wallElement, config);
-                break;
             case 'gallery':
                 this.renderGalleryWall(wallElement, config);
                 break;
@@ -753,6 +1578,13 @@ const Router = {
             }
         });
 
+        // Start loading the room as soon as the visitor shows intent
+        if (config.route && window.ContentLoader) {
+            const prefetch = () => window.ContentLoader.prefetchRoom(config.route);
+            button.addEventListener('pointerenter', prefetch, { once: true });
+            button.addEventListener('focus', prefetch, { once: true });
+        }
+
         element.appendChild(button);
 
         element.classList.add('content-enter');
@@ -766,13 +1598,13 @@ const Router = {
      */
     renderContentWall(element, config) {
         // This will be handled by ContentLoader
-        element.innerHTML = `
+        element.innerHTML = html`
             <h3>Loading content...</h3>
         `;
 
         // Load content asynchronously
         if (window.ContentLoader) {
-            window.ContentLoader.loadContent(config.content, element);
+            window.ContentLoader.loadContent(config.content, element, { signal: this.renderSignal });
         }
     },
 
@@ -780,7 +1612,7 @@ const Router = {
      * Render artwork display wall
      */
     renderArtworkWall(element, config) {
-        element.innerHTML = `
+        element.innerHTML = html`
             <h1>${config.content}</h1>
             <div class="museum-label">personal museum</div>
         `;
@@ -791,50 +1623,70 @@ const Router = {
         }, 200);
     },
 
-    /**
-     * Render blog list wall
-     */
-    renderBlogListWall(element, config) {
-        element.innerHTML = `
-            <h3>Loading writings...</h3>
-        `;
-
-        // Load blog list asynchronously
-        if (window.ContentLoader) {
-            window.ContentLoader.loadBlogList(element);
-        }
-    },
-
     /**
      * Render gallery wall
      */
     renderGalleryWall(element, config) {
-        element.innerHTML = `
+        element.innerHTML = html`
             <h3>Loading gallery...</h3>
         `;
 
         // Load gallery asynchronously
         if (window.ContentLoader) {
-            window.ContentLoader.loadGallery(config.content, element);
+            window.ContentLoader.loadGallery(config.content, element, { signal: this.renderSignal });
         }
     },
 
     /**
-     * Show 404 error page
+     * Show the not-found room
+     * @param {string} route - Route that could not be matched
      */
-    show404() {
+    show404(route = this.currentRoute) {
         const room = document.getElementById('room');
-        const backWall = room.querySelector('.back-wall .content-frame');
 
-        backWall.innerHTML = `
+        // Don't leave the previous room's walls on screen
+        this.clearAllWalls();
+        room.className = 'room single-wall-layout';
+        document.title = 'Lost in the Museum - Personal Museum';
+
+        this.updateBackButton();
+        this.updateHierarchyIndicator(route);
+
+        if (window.NotFoundController) {
+            window.NotFoundController.render(route);
+            return;
+        }
+
+        const backWall = room.querySelector('.back-wall .content-frame');
+        backWall.innerHTML = html`
             <h2>Room Not Found</h2>
             <p>This room doesn't exist in the museum.</p>
-            <button onclick="Router.navigateTo('')" class="control-btn">
+            <button data-action="router.entrance" class="control-btn">
                 Return to Entrance
             </button>
         `;
     },
 
+    /**
+     * Show the offline room in place of a room that can't be loaded without a connection
+     * @param {string} route - Route that was requested
+     * @param {string} roomId - Manifest room that couldn't be shown
+     * @param {AbortSignal} signal - Aborted when a newer navigation supersedes this one
+     * @returns {Promise<void>}
+     */
+    showOffline(route, roomId, signal = null) {
+        const room = document.getElementById('room');
+
+        this.clearAllWalls();
+        room.className = 'room single-wall-layout';
+        document.title = 'Offline - Personal Museum';
+
+        this.updateBackButton();
+        this.updateHierarchyIndicator(route);
+
+        return window.OfflineController.render(roomId, signal);
+    },
+
     /**
      * Go back to previous route
      */
@@ -859,24 +1711,20 @@ const Router = {
             return '';
         }
 
-        // Define sitemap hierarchy
-        const hierarchy = {
-            '/about': '',                          // About → Home
-            '/works': '',                          // Works → Home
-            '/works/personal': '/works',           // Personal Works → Works
-            '/works/curated': '/works',            // Curated Works → Works
-            '/works/personal/photography': '/works/personal',
-            '/works/personal/writings': '/works/personal',
-            '/works/personal/music': '/works/personal',
-            '/works/personal/projects': '/works/personal',
-            '/works/curated/writings': '/works/curated',
-            '/works/curated/cinema': '/works/curated',
-            '/works/curated/music': '/works/curated',
-            '/works/curated/misc': '/works/curated'
-        };
+        // Registered rooms: items go back to their collection, sub-views to the room,
+        // and the room to its parent
+        const match = this.matchRoute(currentRoute);
+        if (match) {
+            const { definition, params } = match;
+            if (params.item) {
+                return this.getRoomRoute(currentRoute);
+            }
+            return this.getRoutePath(currentRoute) === definition.route ? definition.parent : definition.route;
+        }
 
-        // Return parent route or home if not found
-        return hierarchy[currentRoute] || '';
+        // Wall-only rooms know their parent from the manifest; unknown routes go home
+        const routeConfig = this.routes[this.getRoutePath(currentRoute)];
+        return routeConfig && routeConfig.parent !== undefined ? routeConfig.parent : '';
     },
 
     /**
@@ -912,27 +1760,69 @@ const Router = {
 
     /**
      * Get display name for a route
+     * Rooms are named by the navigation tree; collections and items by their room
      * @param {string} route - Route path
      * @returns {string} Human readable route name
      */
     getRouteDisplayName(route) {
-        const names = {
-            '': 'Home',
-            '/about': 'About',
-            '/works': 'Works',
-            '/works/personal': 'Personal Works',
-            '/works/curated': 'Curated Works',
-            '/works/personal/photography': 'Photography',
-            '/works/personal/writings': 'Writings',
-            '/works/personal/music': 'Music',
-            '/works/personal/projects': 'Projects',
-            '/works/curated/writings': 'Curated Writings',
-            '/works/curated/cinema': 'Cinema & TV',
-            '/works/curated/music': 'Curated Music',
-            '/works/curated/misc': 'Miscellaneous'
-        };
+        const match = this.matchRoute(route);
+
+        const path = this.getRoutePath(route);
+
+        // Sub-views of registered rooms, falling back to the raw param
+        if (match && path !== match.definition.route) {
+            const { name } = match.definition;
+            const label = typeof name === 'function' ? name(match.params) : null;
+            return label || match.params.item || match.params.collection || name;
+        }
+
+        const node = this.findNavigationNode(this.getNavigationTree(), path);
+        if (node) {
+            return node.breadcrumb || node.label;
+        }
+
+        if (match) {
+            const { name } = match.definition;
+            return typeof name === 'function' ? name(match.params) : name;
+        }
 
-        return names[route] || 'Previous Page';
+        return 'Previous Page';
+    },
+
+    /**
+     * Get the breadcrumb trail for a route, from the top-level room down
+     * @param {string} route - Route path
+     * @returns {Array<Object>} Crumbs ({ label, route })
+     */
+    getBreadcrumbs(route) {
+        if (!this.getRouteConfig(route)) {
+            return [{ label: 'Not Found', route }];
+        }
+
+        const crumbs = [];
+        const visited = new Set();
+        let current = route;
+
+        while (current !== '' && !visited.has(current)) {
+            visited.add(current);
+            crumbs.unshift({ label: this.getRouteDisplayName(current), route: current });
+            current = this.getParentRoute(current);
+        }
+
+        return crumbs;
+    },
+
+    /**
+     * Get the routes of the rooms directly beneath a route's room in the site manifest
+     * @param {string} route - Route path
+     * @returns {Array<string>} Child room routes
+     */
+    getChildRoutes(route) {
+        const config = this.getRouteConfig(route);
+        if (!config || !config.room || !window.SiteManifest) {
+            return [];
+        }
+        return window.SiteManifest.getChildren(config.room).map(room => room.route);
     },
 
     /**
@@ -949,7 +1839,7 @@ const Router = {
      * @returns {Object} Route configuration
      */
     getRouteConfig(route) {
-        return this.routes[route];
+        return this.routes[this.getRoutePath(route)] || this.matchRoute(route)?.definition;
     },
 
     /**
@@ -976,10 +1866,13 @@ const Router = {
      * Render photo space wall - Display featured image with theme support
      */
     async renderPhotoSpaceWall(element, config) {
+        const signal = this.renderSignal;
+
         try {
             // Load photos data to get featured image (disable cache to ensure fresh data)
-            const response = await fetch('content/photos/photos.json', {
-                cache: 'no-cache'
+            const response = await fetch(config.source, {
+                cache: 'no-cache',
+                signal
             });
             if (!response.ok) throw new Error('No photos data found');
 
@@ -998,22 +1891,22 @@ const Router = {
                     // Generate proper museum label using the museum label generator
                     const museumLabel = window.MuseumLabelGenerator ?
                         window.MuseumLabelGenerator.generatePhotoLabel(featured) :
-                        `<div class="museum-label">
+                        html`<div class="museum-label">
                             <div class="label-title">${featured.title}</div>
                             <div class="label-year">${featured.year}</div>
-                            ${featured.medium ? `<div class="label-medium">${featured.medium}</div>` : ''}
-                            ${featured.dimensions ? `<div class="label-dimensions">${featured.dimensions}</div>` : ''}
-                            ${featured.description ? `<div class="label-description">${featured.description}</div>` : ''}
-                            ${featured.location ? `<div class="label-location">${featured.location}</div>` : ''}
+                            ${featured.medium ? html`<div class="label-medium">${featured.medium}</div>` : ''}
+                            ${featured.dimensions ? html`<div class="label-dimensions">${featured.dimensions}</div>` : ''}
+                            ${featured.description ? html`<div class="label-description">${featured.description}</div>` : ''}
+                            ${featured.location ? html`<div class="label-location">${featured.location}</div>` : ''}
                         </div>`;
 
-                    element.innerHTML = `
+                    element.innerHTML = html`
                         <div class="photo-space">
                             <picture class="featured-image" id="featured-picture">
                                 <source srcset="content/photos/web/${baseName}.webp" type="image/webp">
                                 <img src="content/photos/web/${baseName}.png"
                                      alt="${featured.title}"
-                                     onerror="this.parentElement.parentElement.innerHTML='<div class=\\'photo-placeholder\\'><p>[ Featured Image Not Found ]</p></div>'">
+                                     data-error-action="router.featured-missing">
                             </picture>
                             ${museumLabel}
                         </div>
@@ -1026,7 +1919,7 @@ const Router = {
                 }
             } else {
                 // Fallback to placeholder if no featured image
-                element.innerHTML = `
+                element.innerHTML = html`
                     <div class="photo-space">
                         <div class="photo-placeholder">
                             <p>[ Photo Space ]</p>
@@ -1036,8 +1929,11 @@ const Router = {
                 `;
             }
         } catch (error) {
+            if (error.name === 'AbortError') {
+                return;
+            }
             console.error('Error loading featured image:', error);
-            element.innerHTML = `
+            element.innerHTML = html`
                 <div class="photo-space">
                     <div class="photo-placeholder">
                         <p>[ Photo Space ]</p>
@@ -1058,6 +1954,21 @@ const Router = {
         }, 200);
     },
 
+    /**
+     * Replace a featured image that failed to load with a placeholder
+     * @param {HTMLImageElement} image - Featured image that failed
+     */
+    showMissingFeaturedImage(image) {
+        const photoSpace = image.closest('.photo-space');
+        if (!photoSpace) return;
+
+        photoSpace.innerHTML = html`
+            <div class="photo-placeholder">
+                <p>[ Featured Image Not Found ]</p>
+            </div>
+        `;
+    },
+
     /**
      * Update featured image when theme changes
      * @param {string} theme - New theme ('light' or 'dark')
@@ -1087,7 +1998,7 @@ const Router = {
      * Render section title wall - Shows current section name
      */
     renderSectionTitleWall(element, config) {
-        element.innerHTML = `
+        element.innerHTML = html`
             <h1>${config.content}</h1>
         `;
 
@@ -1106,7 +2017,7 @@ const Router = {
      * Render placeholder wall - Coming soon content
      */
     renderPlaceholderWall(element, config) {
-        element.innerHTML = `
+        element.innerHTML = html`
             <h1>${config.content}</h1>
             <p>Coming Soon</p>
             <div class="museum-label">awaiting implementation</div>
@@ -1138,6 +2049,21 @@ const Router = {
             });
         }
 
+        this.routeRegistry.forEach((definition) => {
+            const routes = [definition.route];
+            if (definition.navigation && typeof definition.navigation.children === 'function') {
+                definition.navigation.children().forEach(child => routes.push(child.route));
+            }
+
+            routes.forEach((route) => {
+                sitemap.push({
+                    route,
+                    title: this.getRouteTitle(route),
+                    depth: route.split('/').length - 1
+                });
+            });
+        });
+
         return sitemap.sort((a, b) => {
             // Sort by route path for logical hierarchy
             return a.route.localeCompare(b.route);
@@ -1145,14 +2071,30 @@ const Router = {
     },
 
     /**
-     * Initialize Router system and theme integration
+     * Start updating the featured image when the theme changes
      */
-    initThemeIntegration() {
-        // Set up theme change listener for featured image updates
-        document.addEventListener('themechange', (event) => {
+    watchFeaturedImageTheme() {
+        if (this.featuredThemeListener) {
+            return;
+        }
+
+        this.featuredThemeListener = (event) => {
             const newTheme = event.detail.theme;
             this.updateFeaturedImageTheme(newTheme);
-        });
+        };
+        document.addEventListener('themechange', this.featuredThemeListener);
+    },
+
+    /**
+     * Stop updating the featured image when the theme changes
+     */
+    unwatchFeaturedImageTheme() {
+        if (!this.featuredThemeListener) {
+            return;
+        }
+
+        document.removeEventListener('themechange', this.featuredThemeListener);
+        this.featuredThemeListener = null;
     },
 
     /**
@@ -1176,22 +2118,48 @@ const Router = {
         // Show indicator and remove home-page class
         hierarchyIndicator.classList.remove('home-page');
 
-        // Convert route to display path
-        let displayPath = route;
+        const crumbs = this.getBreadcrumbs(route);
+        hierarchyPath.innerHTML = '';
 
-        // Clean up the path for display
-        if (displayPath.startsWith('/')) {
-            displayPath = displayPath;
-        } else {
-            displayPath = '/' + displayPath;
-        }
+        crumbs.forEach((crumb, index) => {
+            const item = document.createElement('li');
+            item.className = 'breadcrumb-item';
 
-        // Update the path text
-        hierarchyPath.textContent = displayPath;
+            if (index === crumbs.length - 1) {
+                // Current room is plain text
+                const current = document.createElement('span');
+                current.setAttribute('aria-current', 'page');
+                current.textContent = crumb.label;
+                item.appendChild(current);
+            } else {
+                // Ancestors are real links, so they are focusable and open in new tabs
+                const link = document.createElement('a');
+                link.href = this.buildURL(crumb.route);
+                link.textContent = crumb.label;
+                link.addEventListener('click', (event) => {
+                    if (event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey) {
+                        return;
+                    }
+                    event.preventDefault();
+                    this.navigateTo(crumb.route);
+                });
+                item.appendChild(link);
+            }
 
-        console.log(`Router: Updated hierarchy indicator to "${displayPath}"`);
+            hierarchyPath.appendChild(item);
+        });
+
+        console.log(`Router: Updated breadcrumb to "${crumbs.map(crumb => crumb.label).join(' › ')}"`);
     }
 };
 
 // Export for use in other modules
 window.Router = Router;
+
+// Handle clicks and failed images in the router's markup
+if (window.Actions) {
+    window.Actions.register({
+        'router.entrance': () => Router.navigateTo(''),
+        'router.featured-missing': (data, event, image) => Router.showMissingFeaturedImage(image)
+    });
+}
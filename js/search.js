@@ -7,7 +7,11 @@ const SearchSystem = {
     // Search index built from all content
     searchIndex: [],
 
+    // Index entries keyed by content type, combined into searchIndex
+    indexEntries: new Map(),
+
     // Search state
+    indexing: null,
     isIndexed: false,
     isSearchOpen: false,
     currentResults: [],
@@ -23,15 +27,28 @@ const SearchSystem = {
 
     /**
      * Initialize search system
+     * The index is built separately by buildSearchIndex(), or on first open
      */
-    async init() {
+    init() {
         console.log('SearchSystem: Initializing');
 
         this.cacheElements();
         this.setupEventListeners();
-        await this.buildSearchIndex();
 
-        console.log('SearchSystem: Initialized with', this.searchIndex.length, 'items');
+        // Let browser back/forward open and close the overlay
+        if (window.Router) {
+            window.Router.registerOverlay('search', {
+                close: () => this.closeSearch(),
+                restore: () => this.openSearch()
+            });
+        }
+
+        // Re-index a type whenever the repository finds its content changed
+        Object.keys(ContentRepository.types).forEach((type) => {
+            ContentRepository.subscribe(type, () => this.indexType(type));
+        });
+
+        console.log('SearchSystem: Initialized');
     },
 
     /**
@@ -77,97 +94,114 @@ const SearchSystem = {
     },
 
     /**
-     * Build search index from all content controllers
+     * Build search index from the content repository
+     * Each content type joins the index as soon as it loads, so search works early
+     * @returns {Promise} Resolves once every type is indexed
+     */
+    buildSearchIndex() {
+        if (!this.indexing) {
+            const types = Object.keys(ContentRepository.types);
+            this.indexing = Promise.all(types.map(type => this.indexType(type))).then(() => {
+                this.isIndexed = true;
+                console.log('SearchSystem: Index built with', this.searchIndex.length, 'items');
+            });
+        }
+        return this.indexing;
+    },
+
+    /**
+     * Index or re-index one content type
+     * @param {string} type - Content type
      */
-    async buildSearchIndex() {
-        this.searchIndex = [];
+    async indexType(type) {
+        const items = await this.getIndexItems(type);
+        this.indexEntries.set(type, items.map(item => this.createIndexEntry(type, item)).filter(Boolean));
+        this.searchIndex = Array.from(this.indexEntries.values()).flat();
+
+        // Results fill in while the visitor is searching
+        if (this.isSearchOpen && this.elements.input) {
+            this.handleSearch(this.elements.input.value);
+        }
+    },
 
-        // Index personal photography
-        if (window.PhotographyController && window.PhotographyController.photos) {
-            Object.values(window.PhotographyController.photos).forEach(photo => {
-                this.searchIndex.push({
+    /**
+     * Create the index entry of an item
+     * @param {string} type - Content type
+     * @param {Object} item - Item from the repository
+     * @returns {Object} Index entry
+     */
+    createIndexEntry(type, item) {
+        switch (type) {
+            // Personal photography
+            case 'photo':
+                return {
                     type: 'photo',
-                    id: photo.id,
-                    title: photo.title,
-                    description: photo.description || '',
-                    location: photo.location || '',
-                    tags: photo.tags || [],
+                    id: item.id,
+                    title: item.title,
+                    description: item.description || '',
+                    location: item.location || '',
+                    tags: item.tags || [],
                     contentType: 'Personal Photography',
-                    route: `/photography/${photo.collection}`,
-                    data: photo
-                });
-            });
-        }
+                    route: Router.getItemRoute('photo', item),
+                    data: item
+                };
 
-        // Index personal writings
-        if (window.WritingsController && window.WritingsController.writings) {
-            Object.values(window.WritingsController.writings).forEach(writing => {
-                this.searchIndex.push({
+            // Personal writings
+            case 'writing':
+                return {
                     type: 'writing',
-                    id: writing.filename || writing.title,
-                    title: writing.title,
-                    description: writing.excerpt || '',
-                    tags: writing.tags || [],
+                    id: ContentRepository.getItemId('writing', item),
+                    title: item.title,
+                    description: item.excerpt || '',
+                    tags: item.tags || [],
                     contentType: 'Personal Writings',
-                    route: '/works/personal/writings',
-                    data: writing
-                });
-            });
-        }
+                    route: Router.getItemRoute('writing', item),
+                    data: item
+                };
 
-        // Index personal music
-        if (window.MusicController && window.MusicController.tracks) {
-            Object.values(window.MusicController.tracks).forEach(track => {
-                this.searchIndex.push({
+            // Personal music
+            case 'music':
+                return {
                     type: 'music',
-                    id: track.id,
-                    title: track.title,
-                    description: track.description || '',
-                    tags: track.genres || [],
+                    id: item.id,
+                    title: item.title,
+                    description: item.description || '',
+                    tags: item.genres || [],
                     contentType: 'Personal Music',
-                    route: '/works/personal/music',
-                    data: track
-                });
-            });
-        }
+                    route: Router.getItemRoute('music', item),
+                    data: item
+                };
 
-        // Index personal projects
-        if (window.ProjectsController && window.ProjectsController.projects) {
-            Object.values(window.ProjectsController.projects).forEach(project => {
-                this.searchIndex.push({
+            // Personal projects
+            case 'project':
+                return {
                     type: 'project',
-                    id: project.id,
-                    title: project.title,
-                    description: project.description || '',
-                    tags: project.technologies || [],
+                    id: item.id,
+                    title: item.title,
+                    description: item.description || '',
+                    tags: item.technologies || [],
                     contentType: 'Personal Projects',
-                    route: '/works/personal/projects',
-                    data: project
-                });
-            });
-        }
+                    route: Router.getItemRoute('project', item),
+                    data: item
+                };
 
-        // Index curated writings
-        if (window.CuratedWritingsController && window.CuratedWritingsController.writings) {
-            Object.values(window.CuratedWritingsController.writings).forEach(writing => {
-                this.searchIndex.push({
+            // Curated writings
+            case 'curated_writing':
+                return {
                     type: 'curated_writing',
-                    id: writing.id,
-                    title: writing.title,
-                    description: writing.excerpt || '',
-                    author: writing.author || '',
-                    tags: writing.tags || [],
+                    id: item.id,
+                    title: item.title,
+                    description: item.excerpt || '',
+                    author: item.author || '',
+                    tags: item.tags || [],
                     contentType: 'Curated Writings',
-                    route: `/works/curated/writings/${writing.collection}`,
-                    data: writing
-                });
-            });
-        }
+                    route: Router.getItemRoute('curated_writing', item),
+                    data: item
+                };
 
-        // Index curated cinema
-        if (window.CuratedCinemaController && window.CuratedCinemaController.cinema) {
-            Object.values(window.CuratedCinemaController.cinema).forEach(item => {
-                this.searchIndex.push({
+            // Curated cinema
+            case 'curated_cinema':
+                return {
                     type: 'curated_cinema',
                     id: item.id,
                     title: item.title,
@@ -175,16 +209,13 @@ const SearchSystem = {
                     director: item.director || '',
                     tags: item.genres || [],
                     contentType: 'Curated Cinema',
-                    route: `/works/curated/cinema/${item.collection}`,
+                    route: Router.getItemRoute('curated_cinema', item),
                     data: item
-                });
-            });
-        }
+                };
 
-        // Index curated music
-        if (window.CuratedMusicController && window.CuratedMusicController.music) {
-            Object.values(window.CuratedMusicController.music).forEach(item => {
-                this.searchIndex.push({
+            // Curated music
+            case 'curated_music':
+                return {
                     type: 'curated_music',
                     id: item.id,
                     title: item.title,
@@ -192,16 +223,13 @@ const SearchSystem = {
                     artist: item.artist || '',
                     tags: item.genres || [],
                     contentType: 'Curated Music',
-                    route: `/works/curated/music/${item.collection}`,
+                    route: Router.getItemRoute('curated_music', item),
                     data: item
-                });
-            });
-        }
+                };
 
-        // Index curated misc
-        if (window.CuratedMiscController && window.CuratedMiscController.items) {
-            Object.values(window.CuratedMiscController.items).forEach(item => {
-                this.searchIndex.push({
+            // Curated misc
+            case 'curated_misc':
+                return {
                     type: 'curated_misc',
                     id: item.id,
                     title: item.title,
@@ -209,14 +237,25 @@ const SearchSystem = {
                     creator: item.creator || '',
                     tags: item.tags || [],
                     contentType: 'Curated Content',
-                    route: `/works/curated/misc/${item.collection}`,
+                    route: Router.getItemRoute('curated_misc', item),
                     data: item
-                });
-            });
+                };
         }
+        return null;
+    },
 
-        this.isIndexed = true;
-        console.log('SearchSystem: Index built with', this.searchIndex.length, 'items');
+    /**
+     * Get a content type's items for the index
+     * @param {string} type - Content type
+     * @returns {Promise<Array>} Items, or none if the content could not be loaded
+     */
+    async getIndexItems(type) {
+        try {
+            return await ContentRepository.getItems(type);
+        } catch (error) {
+            console.warn(`SearchSystem: Could not index ${type}:`, error);
+            return [];
+        }
     },
 
     /**
@@ -311,35 +350,28 @@ const SearchSystem = {
         if (!this.elements.results) return;
 
         if (results.length === 0) {
-            this.elements.results.innerHTML = '<div class="no-results">No results found</div>';
+            const message = this.isIndexed ? 'No results found' : 'No results yet, still indexing...';
+            this.elements.results.innerHTML = html`<div class="no-results">${message}</div>`;
             return;
         }
 
-        const resultsHTML = results.map((result, index) => {
+        const resultItems = results.map((result, index) => {
             const selectedClass = index === this.selectedResultIndex ? 'selected' : '';
             const metadata = this.getResultMetadata(result);
 
-            return `
-                <div class="search-result ${selectedClass}" data-index="${index}">
+            return html`
+                <div class="search-result ${selectedClass}" data-action="search.select" data-index="${index}">
                     <div class="result-content">
                         <h3 class="result-title">${this.highlightMatch(result.title)}</h3>
-                        ${metadata ? `<p class="result-meta">${metadata}</p>` : ''}
-                        ${result.description ? `<p class="result-description">${this.truncate(result.description, 150)}</p>` : ''}
+                        ${metadata ? html`<p class="result-meta">${metadata}</p>` : ''}
+                        ${result.description ? html`<p class="result-description">${this.truncate(result.description, 150)}</p>` : ''}
                         <span class="result-type">${result.contentType}</span>
                     </div>
                 </div>
             `;
-        }).join('');
-
-        this.elements.results.innerHTML = resultsHTML;
-
-        // Add click handlers
-        this.elements.results.querySelectorAll('.search-result').forEach(el => {
-            el.addEventListener('click', () => {
-                const index = parseInt(el.dataset.index);
-                this.selectResult(index);
-            });
         });
+
+        this.elements.results.innerHTML = html`${resultItems}`;
     },
 
     /**
@@ -435,76 +467,12 @@ const SearchSystem = {
 
         console.log('SearchSystem: Selected result:', result);
 
-        // Navigate to the appropriate route
+        // Navigate to the result's item route, which opens it; navigateTo closes the
+        // search overlay and replaces its history entry, so it isn't dismissed here as well
         if (result.route && window.Router) {
             window.Router.navigateTo(result.route);
-        }
-
-        // Close search
-        this.closeSearch();
-
-        // Open in lightbox if applicable
-        // Small delay to let navigation complete
-        setTimeout(() => {
-            this.openResultInLightbox(result);
-        }, 300);
-    },
-
-    /**
-     * Open search result in appropriate lightbox
-     * @param {Object} result - Search result to open
-     */
-    openResultInLightbox(result) {
-        if (!window.UniversalContentLightbox) return;
-
-        switch (result.type) {
-            case 'photo':
-                if (window.PhotographyController) {
-                    window.PhotographyController.openPhotoInLightbox(result.id);
-                }
-                break;
-
-            case 'writing':
-                if (window.WritingsController) {
-                    window.WritingsController.openWritingInLightbox(result.id);
-                }
-                break;
-
-            case 'music':
-                if (window.MusicController) {
-                    window.MusicController.openTrackInLightbox(result.id);
-                }
-                break;
-
-            case 'project':
-                if (window.ProjectsController) {
-                    window.ProjectsController.openProjectInLightbox(result.id);
-                }
-                break;
-
-            case 'curated_writing':
-                if (window.CuratedWritingsController) {
-                    window.CuratedWritingsController.openWritingInLightbox(result.id);
-                }
-                break;
-
-            case 'curated_cinema':
-                if (window.CuratedCinemaController) {
-                    window.CuratedCinemaController.openCinemaInLightbox(result.id);
-                }
-                break;
-
-            case 'curated_music':
-                if (window.CuratedMusicController) {
-                    window.CuratedMusicController.openMusicInLightbox(result.id);
-                }
-                break;
-
-            case 'curated_misc':
-                if (window.CuratedMiscController) {
-                    window.CuratedMiscController.openItemInLightbox(result.id);
-                }
-                break;
+        } else {
+            this.closeSearch();
         }
     },
 
@@ -518,6 +486,9 @@ const SearchSystem = {
         this.elements.overlay.classList.remove('hidden');
         this.elements.overlay.classList.add('entering');
 
+        // Index now if the background build hasn't started yet
+        this.buildSearchIndex();
+
         // Focus search input
         if (this.elements.input) {
             this.elements.input.value = '';
@@ -532,17 +503,27 @@ const SearchSystem = {
         setTimeout(() => {
             this.elements.overlay.classList.remove('entering');
         }, 300);
+
+        // Record the overlay as a history entry
+        if (window.Router) {
+            window.Router.pushOverlay('search');
+        }
     },
 
     /**
      * Close search overlay
      */
     closeSearch() {
-        if (!this.elements.overlay) return;
+        if (!this.elements.overlay || !this.isSearchOpen) return;
 
         this.isSearchOpen = false;
         this.elements.overlay.classList.add('exiting');
 
+        // Step history back past the overlay entry
+        if (window.Router) {
+            window.Router.dismissOverlay('search');
+        }
+
         setTimeout(() => {
             this.elements.overlay.classList.remove('exiting');
             this.elements.overlay.classList.add('hidden');
@@ -563,3 +544,10 @@ const SearchSystem = {
 
 // Export to window for global access
 window.SearchSystem = SearchSystem;
+
+// Handle clicks in the search results' markup
+if (window.Actions) {
+    window.Actions.register({
+        'search.select': ({ index }) => SearchSystem.selectResult(Number(index))
+    });
+}
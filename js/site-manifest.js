@@ -0,0 +1,147 @@
+/**
+ * Site Manifest - Museum structure loaded from content/site.json
+ * Declares every room, its walls, controller and data sources; the router,
+ * sitemap, breadcrumbs and controller startup are all built from it
+ */
+
+const SiteManifest = {
+    url: 'content/site.json',
+
+    // Site name used for link previews
+    title: '',
+
+    // Rooms in manifest order ({ id, route, parent, title, label, walls, controller, data, ... })
+    rooms: [],
+
+    // Old routes and aliases, rewritten before rendering ({ from, to } or { from, room })
+    redirects: [],
+
+    // Guided tours ({ id, title, description, url }), stops live in each tour's JSON
+    tours: [],
+    isLoaded: false,
+
+    /**
+     * Load and check the manifest
+     * @throws {Error} If the manifest cannot be fetched or is malformed
+     */
+    async load() {
+        console.log('SiteManifest: Loading', this.url);
+
+        const response = await fetch(this.url);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        const manifest = await response.json();
+
+        this.check(manifest);
+        this.title = manifest.title || '';
+        this.rooms = manifest.rooms;
+        this.redirects = manifest.redirects || [];
+        this.tours = manifest.tours || [];
+        this.isLoaded = true;
+
+        console.log('SiteManifest: Loaded', this.rooms.length, 'rooms');
+    },
+
+    /**
+     * Check that every room reference in the manifest and its redirects resolves
+     * @param {Object} manifest - Parsed site.json
+     * @throws {Error} Describing the first problem found
+     */
+    check(manifest) {
+        if (!manifest || !Array.isArray(manifest.rooms)) {
+            throw new Error('SiteManifest: "rooms" must be an array');
+        }
+
+        const ids = new Set();
+        manifest.rooms.forEach((room) => {
+            if (!room.id || typeof room.route !== 'string') {
+                throw new Error(`SiteManifest: Room needs an id and a route (${JSON.stringify(room)})`);
+            }
+            if (ids.has(room.id)) {
+                throw new Error(`SiteManifest: Duplicate room id "${room.id}"`);
+            }
+            ids.add(room.id);
+        });
+
+        manifest.rooms.forEach((room) => {
+            if (room.parent && !ids.has(room.parent)) {
+                throw new Error(`SiteManifest: Room "${room.id}" has unknown parent "${room.parent}"`);
+            }
+            Object.entries(room.walls || {}).forEach(([wall, spec]) => {
+                if (spec.room && !ids.has(spec.room)) {
+                    throw new Error(`SiteManifest: ${wall} wall of "${room.id}" leads to unknown room "${spec.room}"`);
+                }
+            });
+        });
+
+        (manifest.redirects || []).forEach((redirect) => {
+            if (typeof redirect.from !== 'string' || (typeof redirect.to !== 'string' && !redirect.room)) {
+                throw new Error(`SiteManifest: Redirect needs "from" and either "to" or "room" (${JSON.stringify(redirect)})`);
+            }
+            if (redirect.room && !ids.has(redirect.room)) {
+                throw new Error(`SiteManifest: Redirect from "${redirect.from}" leads to unknown room "${redirect.room}"`);
+            }
+        });
+
+        (manifest.tours || []).forEach((tour) => {
+            if (!tour.id || !tour.url) {
+                throw new Error(`SiteManifest: Tour needs an id and a url (${JSON.stringify(tour)})`);
+            }
+        });
+    },
+
+    /**
+     * Get a room by id
+     * @param {string} id - Room id
+     * @returns {Object|null} Room entry
+     */
+    getRoom(id) {
+        return this.rooms.find(room => room.id === id) || null;
+    },
+
+    /**
+     * Get a guided tour's manifest entry by id
+     * @param {string} id - Tour id
+     * @returns {Object|null} Tour entry ({ id, title, description, url })
+     */
+    getTour(id) {
+        return this.tours.find(tour => tour.id === id) || null;
+    },
+
+    /**
+     * Get the rooms directly beneath a room, in manifest order
+     * @param {string} id - Parent room id
+     * @returns {Array<Object>} Child rooms
+     */
+    getChildren(id) {
+        return this.rooms.filter(room => room.parent === id);
+    },
+
+    /**
+     * Get the rooms served by a controller
+     * @returns {Array<Object>} Rooms with a controller, in manifest order
+     */
+    getControllerRooms() {
+        return this.rooms.filter(room => room.controller);
+    },
+
+    /**
+     * Get the URL of one of a room's data sources
+     * @param {string} id - Room id
+     * @param {string} key - Data source name (defaults to 'items')
+     * @returns {string} URL relative to the site root
+     * @throws {Error} If the room declares no such data source
+     */
+    getDataSource(id, key = 'items') {
+        const room = this.getRoom(id);
+        const url = room && room.data ? room.data[key] : null;
+        if (!url) {
+            throw new Error(`SiteManifest: No "${key}" data source for room "${id}"`);
+        }
+        return url;
+    }
+};
+
+// Export to window for global access
+window.SiteManifest = SiteManifest;
@@ -0,0 +1,190 @@
+/**
+ * Spatial Navigation - Arrow-key movement around the walls of a room
+ * Left/Right move focus to the neighbouring wall, Up/Down between the controls
+ * on a wall, Enter activates the focused exhibit and Backspace steps up a room
+ */
+
+const SpatialNavigation = {
+    // Walls from the visitor's left to right; hidden walls and walls without controls are skipped
+    wallOrder: ['left', 'leftmost', 'leftmiddle', 'back', 'rightmiddle', 'rightmost', 'right'],
+
+    // Elements on a wall that can take focus
+    focusableSelector: 'button:not([disabled]), a[href], input, select, textarea, [tabindex]:not([tabindex="-1"])',
+
+    // Elements that already activate on Enter by themselves
+    nativeSelector: 'button, a[href], input, select, textarea',
+
+    // Control last focused on each wall, so coming back to a wall returns to it
+    lastFocused: new WeakMap(),
+
+    /**
+     * Handle a room navigation key
+     * @param {KeyboardEvent} event - Keydown event
+     * @returns {boolean} Whether the key was handled
+     */
+    handleKey(event) {
+        if (event.defaultPrevented || event.altKey || event.ctrlKey || event.metaKey || !this.isActive()) {
+            return false;
+        }
+
+        switch (event.key) {
+            case 'ArrowLeft':
+                return this.moveWall(-1);
+            case 'ArrowRight':
+                return this.moveWall(1);
+            case 'ArrowUp':
+                return this.moveWithinWall(-1);
+            case 'ArrowDown':
+                return this.moveWithinWall(1);
+            case 'Enter':
+                return this.activate();
+            case 'Backspace':
+                return this.goToParent();
+            default:
+                return false;
+        }
+    },
+
+    /**
+     * Check whether room keys apply: no overlay is open and focus is in the room or nowhere
+     * @returns {boolean}
+     */
+    isActive() {
+        if (window.Router && Router.overlayStack.length > 0) {
+            return false;
+        }
+
+        const active = document.activeElement;
+        const room = document.getElementById('room');
+        return !active || active === document.body || (room !== null && room.contains(active));
+    },
+
+    /**
+     * Get the room's walls that are on display and have controls, from left to right
+     * @returns {Array<Object>} Walls ({ name, element, controls })
+     */
+    getWalls() {
+        return this.wallOrder
+            .map(name => ({ name, element: document.querySelector(`.${name}-wall`) }))
+            .filter(wall => wall.element && this.isVisible(wall.element))
+            .map(wall => ({ ...wall, controls: this.getControls(wall.element) }))
+            .filter(wall => wall.controls.length > 0);
+    },
+
+    /**
+     * Get the visible focusable controls on a wall, in document order
+     * @param {HTMLElement} element - Wall element
+     * @returns {Array<HTMLElement>}
+     */
+    getControls(element) {
+        return Array.from(element.querySelectorAll(this.focusableSelector))
+            .filter(control => this.isVisible(control));
+    },
+
+    /**
+     * Check whether an element is rendered
+     * @param {HTMLElement} element
+     * @returns {boolean}
+     */
+    isVisible(element) {
+        return element.getClientRects().length > 0;
+    },
+
+    /**
+     * Move focus to the neighbouring wall
+     * With nothing focused yet, focus starts on the back wall
+     * @param {number} step - -1 for the wall to the left, 1 for the wall to the right
+     * @returns {boolean} Whether the key was handled
+     */
+    moveWall(step) {
+        const walls = this.getWalls();
+        if (walls.length === 0) {
+            return false;
+        }
+
+        const current = walls.findIndex(wall => wall.element.contains(document.activeElement));
+        let next;
+
+        if (current === -1) {
+            next = walls.findIndex(wall => wall.name === 'back');
+            if (next === -1) {
+                next = step > 0 ? 0 : walls.length - 1;
+            }
+        } else {
+            next = current + step;
+        }
+
+        // Stay on the outermost wall rather than wrapping around the room
+        if (next >= 0 && next < walls.length) {
+            this.focusWall(walls[next]);
+        }
+        return true;
+    },
+
+    /**
+     * Move focus between the controls of the focused wall
+     * @param {number} step - -1 for the previous control, 1 for the next
+     * @returns {boolean} Whether the key was handled; unhandled keys scroll the wall
+     */
+    moveWithinWall(step) {
+        const wall = this.getWalls().find(entry => entry.element.contains(document.activeElement));
+        if (!wall || wall.controls.length < 2) {
+            return false;
+        }
+
+        const index = wall.controls.indexOf(document.activeElement);
+        const next = Math.min(Math.max(index + step, 0), wall.controls.length - 1);
+        this.focusControl(wall, wall.controls[next]);
+        return true;
+    },
+
+    /**
+     * Focus a wall, returning to the control last focused on it if it is still there
+     * @param {Object} wall - Wall from getWalls()
+     */
+    focusWall(wall) {
+        const saved = this.lastFocused.get(wall.element);
+        this.focusControl(wall, wall.controls.includes(saved) ? saved : wall.controls[0]);
+    },
+
+    /**
+     * Focus a control on a wall and remember it
+     * @param {Object} wall - Wall from getWalls()
+     * @param {HTMLElement} control - Control to focus
+     */
+    focusControl(wall, control) {
+        this.lastFocused.set(wall.element, control);
+        control.focus();
+    },
+
+    /**
+     * Activate the focused exhibit
+     * Buttons and links activate on Enter by themselves; other controls are clicked
+     * @returns {boolean} Whether the key was handled
+     */
+    activate() {
+        const active = document.activeElement;
+        if (!active || active === document.body || active.matches(this.nativeSelector)) {
+            return false;
+        }
+
+        active.click();
+        return true;
+    },
+
+    /**
+     * Step up to the parent room
+     * @returns {boolean} Whether the key was handled
+     */
+    goToParent() {
+        if (!window.Router || Router.currentRoute === '') {
+            return false;
+        }
+
+        Router.goBack();
+        return true;
+    }
+};
+
+// Export to window for global access
+window.SpatialNavigation = SpatialNavigation;
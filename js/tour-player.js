@@ -0,0 +1,319 @@
+/**
+ * Tour Player - Guided, narrated walks through the museum
+ * Tours are authored as JSON (see the "tours" list in content/site.json): an
+ * ordered list of stops, each a room route or item deep link with a curator's note
+ */
+
+const TourPlayer = {
+    // Tour being played ({ id, title, description, url, duration, autoAdvance, stops })
+    tour: null,
+    index: 0,
+    isPlaying: false,
+    advanceTimer: null,
+
+    // Stops being visited; route changes they cause are the tour's own
+    visiting: 0,
+
+    // Seconds a stop stays up during auto-advance, unless the tour or stop sets a duration
+    defaultDuration: 20,
+
+    // DOM elements cache
+    elements: {
+        player: null,
+        title: null,
+        position: null,
+        progress: null,
+        note: null,
+        timer: null,
+        previous: null,
+        play: null,
+        next: null,
+        exit: null
+    },
+
+    /**
+     * Initialize the tour player
+     */
+    init() {
+        this.cacheElements();
+        this.setupEventListeners();
+
+        // Leave the tour once the visitor walks off into another room
+        document.addEventListener('routechange', (event) => this.handleRouteChange(event.detail));
+
+        console.log('TourPlayer: Initialized with', SiteManifest.tours.length, 'tours');
+    },
+
+    /**
+     * Cache DOM elements
+     */
+    cacheElements() {
+        const player = document.getElementById('tour-player');
+
+        this.elements.player = player;
+        this.elements.title = player?.querySelector('.tour-title');
+        this.elements.position = player?.querySelector('.tour-position');
+        this.elements.progress = player?.querySelector('.tour-progress-bar');
+        this.elements.note = player?.querySelector('.tour-note');
+        this.elements.timer = player?.querySelector('.tour-timer');
+        this.elements.previous = player?.querySelector('.tour-previous');
+        this.elements.play = player?.querySelector('.tour-play');
+        this.elements.next = player?.querySelector('.tour-next');
+        this.elements.exit = player?.querySelector('.tour-exit');
+    },
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        this.elements.previous?.addEventListener('click', () => this.previous());
+        this.elements.next?.addEventListener('click', () => this.next());
+        this.elements.play?.addEventListener('click', () => this.togglePlay());
+        this.elements.exit?.addEventListener('click', () => this.exit());
+    },
+
+    /**
+     * Load a tour and take the visitor to its first stop
+     * @param {string} id - Tour id from the site manifest
+     * @returns {Promise<boolean>} Whether the tour started
+     */
+    async start(id) {
+        const entry = SiteManifest.getTour(id);
+        if (!entry) {
+            console.error('TourPlayer: Unknown tour:', id);
+            return false;
+        }
+
+        this.exit();
+
+        try {
+            const tour = await ContentLoader.fetchJSON(entry.url);
+            if (!Array.isArray(tour.stops) || tour.stops.length === 0) {
+                throw new Error(`Tour "${id}" has no stops`);
+            }
+
+            this.tour = { ...entry, ...tour };
+        } catch (error) {
+            console.error('TourPlayer: Failed to load tour:', error);
+            if (window.App) {
+                window.App.showGlobalError('This tour could not be loaded');
+            }
+            return false;
+        }
+
+        console.log(`TourPlayer: Starting "${this.tour.title}" with`, this.tour.stops.length, 'stops');
+
+        this.isPlaying = this.tour.autoAdvance === true;
+        this.show();
+        await this.goTo(0);
+        return true;
+    },
+
+    /**
+     * Take the visitor to a stop
+     * @param {number} index - Stop index
+     */
+    async goTo(index) {
+        if (!this.tour || index < 0 || index >= this.tour.stops.length) return;
+
+        clearTimeout(this.advanceTimer);
+        this.index = index;
+        this.render();
+
+        const stop = this.tour.stops[index];
+
+        this.visiting++;
+        try {
+            await this.visit(stop.route);
+        } finally {
+            this.visiting--;
+        }
+
+        // Skipped ahead or left the tour meanwhile
+        if (!this.tour || this.index !== index) return;
+
+        if (this.visiting === 0 && !this.isAtStop(Router.roomRoute)) {
+            console.log('TourPlayer: Visitor left the tour for', Router.roomRoute);
+            this.exit();
+            return;
+        }
+
+        this.scheduleAdvance();
+    },
+
+    /**
+     * Show a stop's room or item
+     * Items of the room on display are swapped in the lightbox rather than re-entering the room
+     * @param {string} route - Room route or item deep link
+     * @returns {Promise<boolean>} Whether the stop is on display
+     */
+    async visit(route) {
+        const target = Router.resolveRedirect(route);
+        const roomRoute = Router.getRoomRoute(target);
+        const lightbox = window.UniversalContentLightbox;
+
+        // Other overlays are closed by navigating, which keeps their history entries in order
+        const onlyLightbox = Router.overlayStack.every(name => name.startsWith('lightbox'));
+
+        if (roomRoute === Router.roomRoute && onlyLightbox) {
+            if (target === roomRoute) {
+                if (lightbox && lightbox.isOpen) {
+                    lightbox.close();
+                }
+                return true;
+            }
+            if (lightbox && lightbox.restoreItem(target)) {
+                return true;
+            }
+        }
+
+        return Router.navigateTo(target);
+    },
+
+    /**
+     * Go to the next stop, or end the tour after the last one
+     */
+    next() {
+        if (!this.tour) return;
+
+        if (this.index >= this.tour.stops.length - 1) {
+            this.exit();
+            return;
+        }
+        this.goTo(this.index + 1);
+    },
+
+    /**
+     * Go back to the previous stop
+     */
+    previous() {
+        if (!this.tour || this.index === 0) return;
+
+        this.goTo(this.index - 1);
+    },
+
+    /**
+     * Pause or resume auto-advance; resuming gives the current stop its full time again
+     */
+    togglePlay() {
+        if (!this.tour) return;
+
+        this.isPlaying = !this.isPlaying;
+        this.render();
+        this.scheduleAdvance();
+    },
+
+    /**
+     * Start the countdown to the next stop while auto-advance is on
+     * The last stop stays up until the visitor ends the tour
+     */
+    scheduleAdvance() {
+        clearTimeout(this.advanceTimer);
+        this.elements.timer?.classList.remove('running');
+
+        if (!this.tour || !this.isPlaying || this.index >= this.tour.stops.length - 1) return;
+
+        const stop = this.tour.stops[this.index];
+        const seconds = stop.duration || this.tour.duration || this.defaultDuration;
+
+        if (this.elements.timer) {
+            // Force a reflow so the countdown animation starts over
+            void this.elements.timer.offsetWidth;
+            this.elements.timer.style.animationDuration = `${seconds}s`;
+            this.elements.timer.classList.add('running');
+        }
+
+        this.advanceTimer = setTimeout(() => this.next(), seconds * 1000);
+    },
+
+    /**
+     * End the tour, leaving the visitor where they are
+     */
+    exit() {
+        if (!this.tour) return;
+
+        console.log(`TourPlayer: Leaving "${this.tour.title}"`);
+
+        clearTimeout(this.advanceTimer);
+        this.tour = null;
+        this.index = 0;
+        this.isPlaying = false;
+        this.hide();
+    },
+
+    /**
+     * End the tour when a navigation it didn't make leaves the current stop's room
+     * @param {Object} detail - routechange event detail ({ from, to, params })
+     */
+    handleRouteChange(detail) {
+        if (!this.tour || this.visiting > 0) return;
+
+        if (!this.isAtStop(detail.to)) {
+            console.log('TourPlayer: Visitor left the tour for', detail.to);
+            this.exit();
+        }
+    },
+
+    /**
+     * Check whether a route is in the current stop's room
+     * @param {string} route - Route path
+     * @returns {boolean}
+     */
+    isAtStop(route) {
+        const stop = this.tour.stops[this.index];
+        const stopRoom = Router.getRoomRoute(Router.resolveRedirect(stop.route));
+
+        return Router.getRoutePath(Router.getRoomRoute(route)) === Router.getRoutePath(stopRoom);
+    },
+
+    /**
+     * Show the current stop's note and the visitor's progress
+     */
+    render() {
+        if (!this.tour) return;
+
+        const stop = this.tour.stops[this.index];
+        const total = this.tour.stops.length;
+        const isLast = this.index === total - 1;
+
+        if (this.elements.title) this.elements.title.textContent = this.tour.title;
+        if (this.elements.position) this.elements.position.textContent = `Stop ${this.index + 1} of ${total}`;
+        if (this.elements.note) this.elements.note.textContent = stop.note || '';
+        if (this.elements.progress) this.elements.progress.style.width = `${((this.index + 1) / total) * 100}%`;
+
+        if (this.elements.previous) this.elements.previous.disabled = this.index === 0;
+        if (this.elements.next) this.elements.next.textContent = isLast ? 'Finish' : 'Next →';
+        if (this.elements.play) {
+            this.elements.play.textContent = this.isPlaying ? 'Pause' : 'Play';
+            this.elements.play.setAttribute('aria-pressed', String(this.isPlaying));
+            this.elements.play.disabled = isLast;
+        }
+    },
+
+    /**
+     * Show the player
+     */
+    show() {
+        if (!this.elements.player) return;
+
+        this.elements.player.classList.remove('hidden');
+        this.elements.player.classList.add('entering');
+
+        setTimeout(() => {
+            this.elements.player.classList.remove('entering');
+        }, 300);
+    },
+
+    /**
+     * Hide the player
+     */
+    hide() {
+        if (!this.elements.player) return;
+
+        this.elements.timer?.classList.remove('running');
+        this.elements.player.classList.add('hidden');
+    }
+};
+
+// Export to window for global access
+window.TourPlayer = TourPlayer;
@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+/**
+ * Validate Content - Checks content files against their JSON Schemas
+ * Usage: node scripts/validate-content.js [content file ...]
+ * Without arguments every file listed in ContentValidator.schemas is checked;
+ * exits with status 1 when any problem is found
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ContentValidator = require('../js/content-validator.js');
+
+const root = path.join(__dirname, '..');
+
+/**
+ * Read and parse a JSON file relative to the site root
+ * @param {string} file - Path relative to the site root
+ * @returns {*} Parsed JSON
+ * @throws {Error} If the file is missing or is not valid JSON
+ */
+function readJSON(file) {
+    return JSON.parse(fs.readFileSync(path.join(root, file), 'utf8'));
+}
+
+/**
+ * Check one content file
+ * @param {string} file - Path relative to the site root
+ * @returns {Array<Object>} Problems ({ file, path, message })
+ */
+function checkFile(file) {
+    const schemaFile = ContentValidator.schemas[file];
+    if (!schemaFile) {
+        return [{ file, path: '', message: 'No schema is registered for this file' }];
+    }
+
+    try {
+        return ContentValidator.validateFile(file, readJSON(file), readJSON(schemaFile));
+    } catch (error) {
+        return [{ file, path: '', message: `Could not be checked: ${error.message}` }];
+    }
+}
+
+const files = process.argv.length > 2
+    ? process.argv.slice(2).map(file => path.relative(root, path.resolve(file)).split(path.sep).join('/'))
+    : Object.keys(ContentValidator.schemas);
+
+const problems = files.flatMap(checkFile);
+
+problems.forEach((problem) => {
+    console.error(`${problem.file} ${problem.path || '/'}: ${problem.message}`);
+});
+
+if (problems.length > 0) {
+    const failed = new Set(problems.map(problem => problem.file)).size;
+    console.error(`\n${problems.length} problem(s) in ${failed} of ${files.length} content files`);
+    process.exitCode = 1;
+} else {
+    console.log(`All ${files.length} content files match their schemas`);
+}
@@ -0,0 +1,175 @@
+/**
+ * Service Worker - Keeps the museum open without a connection
+ * The shell (page, styles, scripts, fonts) and the content JSON are precached on install.
+ * Pages and JSON come from the network while it answers, so content stays current;
+ * images and markdown are cached as they are viewed and served stale-while-revalidate
+ */
+
+// Bump to drop the shell cache of older releases
+const VERSION = '2026101901';
+const SHELL_CACHE = `museum-shell-${VERSION}`;
+const RUNTIME_CACHE = 'museum-runtime';
+
+// Images and markdown kept at most; the oldest are dropped first
+const RUNTIME_LIMIT = 200;
+
+// Not referenced from index.html, so not found by readShell()
+const SHELL = [
+    './',
+    'index.html',
+    'lib/marked.min.js',
+    'assets/fonts/Atkinson-Hyperlegible-Regular-102a.woff2',
+    'assets/fonts/Atkinson-Hyperlegible-Bold-102a.woff2',
+    'assets/fonts/Atkinson-Hyperlegible-Italic-102a.woff2'
+];
+
+const MANIFEST = 'content/site.json';
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(precache().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name.startsWith('museum-shell-') && name !== SHELL_CACHE)
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+
+    if (request.method !== 'GET' || url.origin !== self.location.origin) {
+        return;
+    }
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request, SHELL_CACHE, 'index.html'));
+    } else if (url.pathname.endsWith('.json')) {
+        event.respondWith(networkFirst(request, SHELL_CACHE));
+    } else if (/\.(md|webp|jpe?g|png|gif|avif|svg)$/i.test(url.pathname)) {
+        event.respondWith(staleWhileRevalidate(event, request));
+    } else {
+        event.respondWith(cacheFirst(request));
+    }
+});
+
+/**
+ * Cache the shell, the manifest and every content JSON file the manifest names
+ * @returns {Promise<void>}
+ */
+async function precache() {
+    const cache = await caches.open(SHELL_CACHE);
+    const [shell, content] = await Promise.all([readShell(), readContent()]);
+
+    await cache.addAll([...new Set([...SHELL, ...shell, MANIFEST, ...content])]);
+}
+
+/**
+ * Read the styles and scripts index.html loads, with their version queries
+ * @returns {Promise<Array<string>>} URLs relative to the site root
+ */
+async function readShell() {
+    const response = await fetch('index.html', { cache: 'no-cache' });
+    const html = await response.text();
+    const pattern = /<(?:link|script)\b[^>]*?\b(?:href|src)="([^"#:]+\.(?:css|js)(?:\?[^"]*)?)"/g;
+
+    return Array.from(html.matchAll(pattern), match => match[1]);
+}
+
+/**
+ * Read the content JSON files named by the manifest's rooms and tours
+ * @returns {Promise<Array<string>>} URLs relative to the site root
+ */
+async function readContent() {
+    const response = await fetch(MANIFEST, { cache: 'no-cache' });
+    const manifest = await response.json();
+
+    const data = manifest.rooms.flatMap(room => Object.values(room.data || {}));
+    const tours = (manifest.tours || []).map(tour => tour.url);
+
+    return [...data, ...tours].filter(url => url.endsWith('.json'));
+}
+
+/**
+ * Answer from the network, keeping a copy; fall back to the copy when offline
+ * @param {Request} request
+ * @param {string} cacheName - Cache holding the copy
+ * @param {string} fallback - Optional cached URL for requests that were never cached
+ * @returns {Promise<Response>}
+ */
+async function networkFirst(request, cacheName, fallback = null) {
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const cache = await caches.open(cacheName);
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await caches.match(request) || (fallback && await caches.match(fallback));
+        if (cached) {
+            return cached;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Answer from the cache, going to the network (and caching) on a miss
+ * Shell URLs carry a version query, so a new release is a miss rather than a stale hit
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function cacheFirst(request) {
+    const cached = await caches.match(request);
+    if (cached) {
+        return cached;
+    }
+
+    const response = await fetch(request);
+    if (response.ok) {
+        const cache = await caches.open(SHELL_CACHE);
+        await cache.put(request, response.clone());
+    }
+    return response;
+}
+
+/**
+ * Answer from the cache at once and refresh the copy from the network behind it
+ * @param {FetchEvent} event - Kept alive until the refresh is stored
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function staleWhileRevalidate(event, request) {
+    const cache = await caches.open(RUNTIME_CACHE);
+    const cached = await cache.match(request);
+
+    const refresh = fetch(request).then(async (response) => {
+        if (response.ok) {
+            await cache.put(request, response.clone());
+            await trimRuntimeCache(cache);
+        }
+        return response;
+    });
+
+    if (cached) {
+        event.waitUntil(refresh.catch(() => {}));
+        return cached;
+    }
+    return refresh;
+}
+
+/**
+ * Drop the oldest runtime entries beyond RUNTIME_LIMIT
+ * @param {Cache} cache - Runtime cache
+ * @returns {Promise<void>}
+ */
+async function trimRuntimeCache(cache) {
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - RUNTIME_LIMIT)).map(key => cache.delete(key)));
+}